@@ -1,8 +1,40 @@
-import { createHighQualityLineArt } from '../utils/image_processing';
+import { createHighQualityLineArt, readImagePixels, DEFAULT_LINE_ART_SETTINGS } from '../utils/image_processing';
+import { HistoryManager } from '../services/history_manager';
+import { ActionLog, Replay } from '../services/timelapse';
+import { FillService } from '../services/fill_service';
+import { LineArtService } from '../services/line_art_service';
+import { createLineMask, createSoftLineMask } from '../utils/flood_fill';
+import { regionIdAt, regionIdNear, createRegionMask } from '../utils/region_map';
+import { hexToRgb, rgbToHex } from '../utils/color_utils';
+import { renderFillSource, createMaskCanvas } from '../utils/fill_styles';
+import { replaceColorPixels, findUntouchedRegions } from '../utils/recolor';
+import { regionColorCoverage } from '../utils/color_by_number';
+import { symmetryMatrices, symmetryAxes, applyMatrix } from '../utils/symmetry';
+import { SHAPE_TOOLS, shapeFromDrag, drawShape, shapeBounds, shapeToSVG } from '../utils/shapes';
+import { STICKERS, loadSticker, stickerSize } from '../utils/stickers';
+import { rectSelection, lassoSelection, selectionFromAlpha, selectionContains, intersectSelection, restoreOutsideSelection } from '../utils/selection';
+import { LayerStack } from './LayerStack';
+import { BrushStroke, BRUSH_PRESETS, sampleFromEvent } from '../services/brush_engine';
 
 const waterDropSound = '/audio/water_drop.mp3';
 const bubblePopSound = '/audio/bubble_pop.mp3';
 
+const MIN_ZOOM = 0.1;
+const MAX_ZOOM = 5;
+const WHEEL_ZOOM_FACTOR = 1.1; // Per wheel notch
+const ROTATION_STEP = 15;      // Degrees per rotate button press
+const ROTATE_DEADZONE = 10; // Degrees of twist before a pinch starts rotating
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const PREVIEW_TINT = 'rgba(249, 115, 22, 0.35)';
+const PREVIEW_LEAK_TINT = 'rgba(239, 68, 68, 0.35)'; // Region reaches the page edge
+const PREVIEW_CACHE_SIZE = 24;
+const SYMMETRY_HANDLE_RADIUS = 14; // Screen pixels around the symmetry center that grab it
+const HANDLE_RADIUS = 12;          // Screen pixels around a stamp or selection scale handle
+const SELECT_TOOLS = ['select-rect', 'select-lasso', 'select-region'];
+const SELECTION_TINT = 'rgba(59, 130, 246, 0.15)';
+const PUZZLE_DONE_COVERAGE = 0.9; // Share of a color-by-number region that must show its color
+const PUZZLE_COLOR_TOLERANCE = 32;
+
 /**
  * Canvas Editor with fixed internal resolution
  * Uses the image's natural size as the canvas size, 
@@ -14,22 +46,93 @@ export class CanvasEditor {
         this.container = container;
         this.currentColor = options.initialColor || '#000000';
         this.onUpdate = options.onUpdate;
-        this.mode = 'fill'; // 'brush', 'fill', 'pan', 'eraser'
+        this.onLoadError = options.onLoadError; // The page could not be turned into line art
+        this.onColorPick = options.onColorPick; // Eyedropper result
+        this.onColorUsed = options.onColorUsed; // A fill or stroke painted with a color
+        this.mode = 'fill'; // 'brush', 'fill', 'pan', 'eraser', 'eyedropper', 'line', 'rect', 'ellipse', 'stamp',
+                            // 'select-rect', 'select-lasso', 'select-region'
         this.brushSize = 10;
+        this.stabilizer = options.stabilizer ?? 0; // Stroke smoothing, 0-100
+        this.brushPreset = options.brushPreset || 'round'; // Key of BRUSH_PRESETS
+        this.clipToRegion = options.clipToRegion ?? false; // "Stay inside the lines"
+        this.clipMasks = new Map(); // regionId -> { canvas, x, y }, reset with the region map
+        this.gapSize = options.gapSize ?? 0; // Fill-only gap closing radius (px), 0 = off
+        // Bucket paint: 'solid', 'linear' / 'radial' gradient (to color2) or 'pattern' (built-in name or uploaded tile)
+        this.fillStyle = { type: 'solid', color2: '#FFFFFF', pattern: 'dots', tile: null };
+
+        // Symmetry: strokes and fills are repeated for every mirrored / rotated copy
+        this.symmetry = { type: 'off', folds: 6, center: null }; // center null = page center
+        this.isDraggingSymmetryCenter = false;
+
+        // Shape tools: outline or filled, drawn with the brush size
+        this.shapeFilled = options.shapeFilled ?? false;
+        this.shapeDrag = null; // { pointerId, start, end, constrain } while rubber-banding
+
+        // Stamp tool: a placed sticker can be moved, scaled and rotated until it is committed
+        this.sticker = 'star'; // Key of STICKERS
+        this.pendingStamp = null; // { name, image, x, y, size, angle }
+        this.stampDrag = null;    // { type: 'move' | 'transform', dx, dy }
+        this.onStampChange = options.onStampChange; // (hasPendingStamp) => void
+
+        // Selection: brush, fill and shapes only paint inside it
+        this.selection = null;      // Region-format mask plus { canvas (mask canvas), outline: {x, y}[] | null }
+        this.selectionDraft = null; // { pointerId, type: 'rect' | 'lasso', points } while dragging out a selection
+        this.selectionTint = null;  // { selection, canvas }: canvas element tinting the selection
+        this.floating = null;       // Selected or pasted pixels being moved, flipped or scaled (see liftSelection)
+        this.floatDrag = null;      // { pointerId, type: 'move' | 'scale', last }
+        this.clipboard = null;      // { canvas, x, y }
+        this.onSelectionChange = options.onSelectionChange; // ({ selected, floating }) => void
+
         this.isDrawing = false;
         this.isPanning = false;
+        this.panOverride = false; // Space held: pan whatever the tool
 
         // Transform state
         this.zoom = 1;
+        this.rotation = 0; // Degrees, around the page's top-left corner
         this.pan = { x: 0, y: 0 };
-        this.lastTouchDist = 0;
         this.startPan = { x: 0, y: 0 };
+        this.onViewChange = options.onViewChange; // ({ zoom, rotation, corners, width, height }) => void, on every pan/zoom/rotate
+
+        // Multi-touch gestures
+        this.touchPointers = new Map(); // pointerId -> { x, y } in client coords
+        this.gesture = null;            // Set from the second finger down until all fingers lift
+        this.gestureRotate = options.gestureRotate ?? true;
+        this.pendingFill = null;        // Touch and gradient fills wait for pointerup (a second finger, or the drag's end)
 
         // Line art boundary data
+        this.lineArtSettings = options.lineArt || {}; // Import settings, see DEFAULT_LINE_ART_SETTINGS
         this.lineArtData = null;
+        this.softLineMask = null; // Anti-aliased line edges that fills reach under
         this.lineArtWidth = 0;
         this.lineArtHeight = 0;
 
+        // Labeled regions of the line art (built in the fill worker)
+        this.regionMap = null;
+        this.regionMapToken = 0;
+        this.onRegionsReady = options.onRegionsReady;
+
+        // Fill hover preview: tinted region canvases, cached per region id
+        this.fillPreview = { regionId: 0, canvas: null, cache: new Map(), point: null, frame: 0 };
+        this.onFillPreview = options.onFillPreview;
+
+        // Color-by-number puzzle (see setPuzzle)
+        this.puzzle = null;
+        this.onPuzzleProgress = options.onPuzzleProgress;
+        this.onPuzzleFeedback = options.onPuzzleFeedback;
+
+        // Layers (this.canvas / this.ctx always point at the active layer)
+        this.layers = null;
+        this.onLayersChange = options.onLayersChange;
+
+        // Undo/Redo
+        this.history = new HistoryManager({ onChange: options.onHistoryChange });
+
+        // Time-lapse: every change to the page, with timestamps (continuing a saved project's)
+        this.actionLog = ActionLog.restore(options.initialTimelapse);
+        this.strokeSnapshot = null;
+        this.activeStroke = null;
+
         this.init(imageSrc, options.initialDrawingData);
     }
 
@@ -39,22 +142,32 @@ export class CanvasEditor {
         this.img.crossOrigin = 'anonymous';
         this.img.src = imageSrc;
 
-        this.img.onload = () => {
+        this.img.onload = async () => {
             console.log('Original image loaded, processing line art...');
 
-            // Process the image to create high-quality binary line art
-            const processed = createHighQualityLineArt(this.img, {
-                threshold: 200,
-                dilationRadius: 0,   // No dilation - keep lines thin
-            });
+            let processed;
+            try {
+                processed = await this.processLineArt();
+            } catch (e) {
+                console.error('Line art processing failed', e);
+                if (this.onLoadError) this.onLoadError(e);
+                return;
+            }
 
             this.lineArtData = processed.boundaryData;
+            this.softLineMask = createSoftLineMask(processed.boundaryData, processed.displayData);
             this.lineArtWidth = processed.width;
             this.lineArtHeight = processed.height;
+            this.symmetry.center = null; // Back to the middle of the new page
             const processedLineArtURL = processed.dataURL;
 
             console.log(`Line art processed: ${this.lineArtWidth}x${this.lineArtHeight}`);
 
+            // Hand the boundaries to the fill worker once per page
+            this.fillService = new FillService();
+            this.fillService.setBoundaries(createLineMask(this.lineArtData), this.lineArtWidth, this.lineArtHeight, this.softLineMask);
+            this.buildRegionMap();
+
             // Create the editor structure
             this.createEditorDOM(processedLineArtURL);
 
@@ -72,21 +185,122 @@ export class CanvasEditor {
     }
 
     /**
-     * Load existing coloring data onto the canvas
+     * Process the image to create high-quality binary line art (in a worker: photos take a while).
+     * Import settings the processing fails on fall back to the defaults
+     * @returns {Promise<Object>} - createHighQualityLineArt result
+     */
+    async processLineArt() {
+        const lineArtService = new LineArtService();
+        const run = async (settings) => createHighQualityLineArt(
+            await lineArtService.process(readImagePixels(this.img, settings.photo), settings));
+        try {
+            return await run({ ...DEFAULT_LINE_ART_SETTINGS, ...this.lineArtSettings });
+        } catch (e) {
+            console.warn('Line art processing failed, trying the default settings', e);
+            return await run(DEFAULT_LINE_ART_SETTINGS);
+        } finally {
+            lineArtService.destroy();
+        }
+    }
+
+    /**
+     * Active layer canvas and context
+     */
+    get canvas() {
+        return this.layers ? this.layers.getActive().canvas : null;
+    }
+
+    get ctx() {
+        return this.layers ? this.layers.getActive().ctx : null;
+    }
+
+    /**
+     * Load existing coloring data
+     * @param {Object|string} drawingData - getDrawingData() result, or a single
+     *   data URL from saves made before layers existed (goes onto the bottom layer)
      */
-    loadDrawingData(dataURL) {
+    loadDrawingData(drawingData) {
+        if (drawingData && drawingData.layers) {
+            this.layers.restore(drawingData).then(() => {
+                if (this.actionLog.length === 0) this.logRestoredLayers();
+                this.refreshPuzzleProgress();
+            });
+            return;
+        }
+
         const img = new Image();
-        img.src = dataURL;
+        img.src = drawingData;
         img.onload = () => {
-            this.ctx.drawImage(img, 0, 0);
+            this.layers.layers[0].ctx.drawImage(img, 0, 0);
+            if (this.actionLog.length === 0) this.logRestoredLayers();
+            this.refreshPuzzleProgress();
         };
     }
 
     /**
-     * Get just the coloring layer
+     * Projects saved without a time-lapse: start it from the resumed picture,
+     * since the steps that led there are unknown
+     */
+    logRestoredLayers() {
+        this.layers.layers.forEach(layer => {
+            const { width, height } = layer.canvas;
+            this.logAction('restore', layer.id, 0, 0, layer.ctx.getImageData(0, 0, width, height));
+        });
+    }
+
+    /**
+     * Get every layer (settings and pixels) for persistence
      */
     getDrawingData() {
-        return this.canvas.toDataURL('image/png');
+        return this.layers.serialize();
+    }
+
+    /**
+     * Get the time-lapse log for persistence
+     * @returns {Promise<Object>} - Pass back as options.initialTimelapse to continue it
+     */
+    getTimelapseData() {
+        return this.actionLog.serialize();
+    }
+
+    // Layer operations (the layers panel calls these)
+
+    getLayers() {
+        return this.layers ? this.layers.layers : [];
+    }
+
+    getActiveLayerId() {
+        return this.layers ? this.layers.activeId : null;
+    }
+
+    addLayer(type = 'paint') {
+        this.layers.add({ type });
+        if (this.onUpdate) this.onUpdate();
+    }
+
+    removeLayer(id) {
+        if (!this.layers.remove(id)) return;
+        // Its undo steps can't be replayed any more
+        this.history.discard(entry => entry.layerId === id);
+        this.refreshPuzzleProgress();
+        if (this.onUpdate) this.onUpdate();
+    }
+
+    moveLayer(id, delta) {
+        this.layers.move(id, delta);
+        this.refreshPuzzleProgress();
+        if (this.onUpdate) this.onUpdate();
+    }
+
+    setActiveLayer(id) {
+        this.dropFloating();
+        this.layers.setActive(id);
+    }
+
+    updateLayer(id, props) {
+        this.layers.update(id, props);
+        if (props.visible !== undefined) this.refreshPuzzleProgress();
+        if (this.onUpdate) this.onUpdate();
     }
 
     /**
@@ -101,6 +315,8 @@ export class CanvasEditor {
         // Inner container - fixed size matching image dimensions
         this.innerContainer = document.createElement('div');
         this.innerContainer.style.position = 'absolute';
+        this.innerContainer.style.left = '0'; // Pinned to the wrapper origin, which screenToCanvas measures from
+        this.innerContainer.style.top = '0';
         this.innerContainer.style.width = this.lineArtWidth + 'px';
         this.innerContainer.style.height = this.lineArtHeight + 'px';
         this.innerContainer.style.transformOrigin = '0 0'; // Transform from top-left for easier math
@@ -108,27 +324,8 @@ export class CanvasEditor {
         this.innerContainer.style.backfaceVisibility = 'hidden';
         this.innerContainer.style.boxShadow = '0 20px 50px rgba(0,0,0,0.1)';
 
-        // Canvas Layer (Drawing)
-        this.canvas = document.createElement('canvas');
-        this.canvas.width = this.lineArtWidth;
-        this.canvas.height = this.lineArtHeight;
-        this.canvas.style.position = 'absolute';
-        this.canvas.style.top = '0';
-        this.canvas.style.left = '0';
-        this.canvas.style.width = '100%';
-        this.canvas.style.height = '100%';
-        this.canvas.style.touchAction = 'none';
-        this.canvas.style.imageRendering = 'auto'; // Smooth scaling
-
-        this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
-        this.ctx.lineCap = 'round';
-        this.ctx.lineJoin = 'round';
-        this.ctx.imageSmoothingEnabled = true;
-        this.ctx.imageSmoothingQuality = 'high';
-
-        // Fill with white background
-        this.ctx.fillStyle = '#FFFFFF';
-        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        this.innerContainer.style.isolation = 'isolate'; // Layer blend modes only mix with each other
+        this.innerContainer.style.backgroundColor = '#FFFFFF';
 
         // Line art overlay
         this.overlayImg = document.createElement('img');
@@ -150,8 +347,27 @@ export class CanvasEditor {
         this.cursorPreview.style.boxShadow = '0 0 4px rgba(255, 255, 255, 0.8), inset 0 0 2px rgba(255, 255, 255, 0.8)'; // detailed visibility
 
         // Assemble the DOM
-        this.innerContainer.appendChild(this.canvas);
         this.innerContainer.appendChild(this.overlayImg);
+
+        // Layer canvases (Drawing) go underneath the line art
+        this.layers = new LayerStack(this.innerContainer, this.overlayImg, this.lineArtWidth, this.lineArtHeight, {
+            onChange: (layers, activeId) => {
+                if (this.onLayersChange) this.onLayersChange(layers, activeId);
+            }
+        });
+
+        // Guides (gradient direction, ...) drawn in page coordinates above everything else
+        this.guides = document.createElementNS(SVG_NS, 'svg');
+        this.guides.setAttribute('viewBox', `0 0 ${this.lineArtWidth} ${this.lineArtHeight}`);
+        this.guides.style.position = 'absolute';
+        this.guides.style.top = '0';
+        this.guides.style.left = '0';
+        this.guides.style.width = '100%';
+        this.guides.style.height = '100%';
+        this.guides.style.overflow = 'visible';
+        this.guides.style.pointerEvents = 'none';
+        this.innerContainer.appendChild(this.guides);
+
         this.wrapper.appendChild(this.innerContainer);
         // Append cursor to container
         this.container.appendChild(this.cursorPreview);
@@ -168,20 +384,98 @@ export class CanvasEditor {
         const availableWidth = wrapperRect.width - padding;
         const availableHeight = wrapperRect.height - padding;
 
-        const scaleX = availableWidth / this.lineArtWidth;
-        const scaleY = availableHeight / this.lineArtHeight;
+        // Bounding box of the (possibly rotated) page
+        const rad = this.rotation * Math.PI / 180;
+        const cos = Math.abs(Math.cos(rad));
+        const sin = Math.abs(Math.sin(rad));
+        const boxWidth = this.lineArtWidth * cos + this.lineArtHeight * sin;
+        const boxHeight = this.lineArtWidth * sin + this.lineArtHeight * cos;
+
+        const scaleX = availableWidth / boxWidth;
+        const scaleY = availableHeight / boxHeight;
         this.zoom = Math.min(scaleX, scaleY, 0.9); // Limit max initial zoom
 
         // Center it
-        this.pan.x = (wrapperRect.width - this.lineArtWidth * this.zoom) / 2;
-        this.pan.y = (wrapperRect.height - this.lineArtHeight * this.zoom) / 2;
+        this.placeCanvasPoint(
+            { x: this.lineArtWidth / 2, y: this.lineArtHeight / 2 },
+            wrapperRect.width / 2,
+            wrapperRect.height / 2
+        );
 
         this.updateTransform();
     }
 
     updateTransform() {
-        this.innerContainer.style.transform = `translate(${this.pan.x}px, ${this.pan.y}px) scale(${this.zoom})`;
+        this.innerContainer.style.transform =
+            `translate(${this.pan.x}px, ${this.pan.y}px) rotate(${this.rotation}deg) scale(${this.zoom})`;
         this.updateCursorSize();
+        // Keep guide handles the same size on screen
+        this.updateSymmetryGuide();
+        this.updateStampGuide();
+        this.updateSelectionGuide();
+
+        if (this.onViewChange) {
+            this.onViewChange({
+                zoom: this.zoom,
+                rotation: this.rotation,
+                corners: this.getViewCorners(),
+                width: this.lineArtWidth,
+                height: this.lineArtHeight
+            });
+        }
+    }
+
+    /**
+     * Page coordinates of the visible area's corners (clockwise from top-left on screen)
+     */
+    getViewCorners() {
+        const rect = this.wrapper.getBoundingClientRect();
+        return [
+            this.screenToCanvas(rect.left, rect.top),
+            this.screenToCanvas(rect.right, rect.top),
+            this.screenToCanvas(rect.right, rect.bottom),
+            this.screenToCanvas(rect.left, rect.bottom)
+        ];
+    }
+
+    /**
+     * Scroll so a page point is in the middle of the view
+     */
+    centerOn(point) {
+        const rect = this.wrapper.getBoundingClientRect();
+        this.placeCanvasPoint(point, rect.width / 2, rect.height / 2);
+        this.updateTransform();
+    }
+
+    /**
+     * Convert client (screen) coordinates to canvas pixels under the current pan/zoom/rotation
+     */
+    screenToCanvas(clientX, clientY) {
+        const rect = this.wrapper.getBoundingClientRect();
+        const dx = clientX - rect.left - this.pan.x;
+        const dy = clientY - rect.top - this.pan.y;
+        const rad = -this.rotation * Math.PI / 180;
+        const cos = Math.cos(rad);
+        const sin = Math.sin(rad);
+
+        return {
+            x: (dx * cos - dy * sin) / this.zoom,
+            y: (dx * sin + dy * cos) / this.zoom
+        };
+    }
+
+    /**
+     * Set pan so a canvas point lands on a wrapper-relative screen position
+     */
+    placeCanvasPoint(point, screenX, screenY) {
+        const rad = this.rotation * Math.PI / 180;
+        const cos = Math.cos(rad);
+        const sin = Math.sin(rad);
+        const px = point.x * this.zoom;
+        const py = point.y * this.zoom;
+
+        this.pan.x = screenX - (px * cos - py * sin);
+        this.pan.y = screenY - (px * sin + py * cos);
     }
 
     updateCursorSize() {
@@ -234,6 +528,7 @@ export class CanvasEditor {
         // Track mouse globally for smoother dragging, but also locally for cursor
         window.addEventListener('pointermove', (e) => this.handleMove(e));
         window.addEventListener('pointerup', (e) => this.handleEnd(e));
+        window.addEventListener('pointercancel', (e) => this.handleEnd(e));
 
         // Cursor visibility
         this.wrapper.addEventListener('pointerenter', () => {
@@ -241,61 +536,224 @@ export class CanvasEditor {
         });
         this.wrapper.addEventListener('pointerleave', () => {
             this.cursorPreview.classList.add('hidden');
+            this.hideFillPreview();
         });
 
         // Touch specific checks
         this.wrapper.addEventListener('touchstart', (e) => {
             if (e.touches.length > 1) e.preventDefault();
         }, { passive: false });
+
+        // Undo (Ctrl+Z) / Redo (Ctrl+Shift+Z)
+        window.addEventListener('keydown', (e) => this.handleKeyDown(e));
+        window.addEventListener('paste', (e) => this.handlePaste(e));
+    }
+
+    handleKeyDown(e) {
+        if (e.target.matches && e.target.matches('input[type="text"], textarea')) return;
+
+        // Enter stamps the placed sticker, Escape throws it away
+        if (this.pendingStamp && (e.key === 'Enter' || e.key === 'Escape')) {
+            e.preventDefault();
+            if (e.key === 'Enter') this.commitStamp();
+            else this.cancelStamp();
+            return;
+        }
+
+        const hasSelection = !!(this.selection || this.floating);
+        const inField = e.target.matches && e.target.matches('input, select');
+        if (hasSelection && !inField && !(e.ctrlKey || e.metaKey)) {
+            if (e.key === 'Escape') this.deselect();
+            else if (e.key === 'Enter' && this.floating) this.dropFloating();
+            else if (e.key === 'Delete' || e.key === 'Backspace') this.deleteSelection();
+            else return;
+            e.preventDefault();
+            return;
+        }
+
+        if (!(e.ctrlKey || e.metaKey)) return;
+        const key = e.key.toLowerCase();
+
+        if (key === 'a' && !inField) {
+            e.preventDefault();
+            this.selectAll();
+        } else if (hasSelection && (key === 'c' || key === 'x')) {
+            e.preventDefault();
+            if (key === 'c') this.copySelection();
+            else this.cutSelection();
+        } else if (key === 'z') {
+            e.preventDefault();
+            if (e.shiftKey) this.redo();
+            else this.undo();
+        }
+    }
+
+    /**
+     * Ctrl+V: an image from the system clipboard, or the last copied selection
+     */
+    handlePaste(e) {
+        if (e.target.matches && e.target.matches('input, textarea')) return;
+        const file = [...(e.clipboardData ? e.clipboardData.files : [])].find(f => f.type.startsWith('image/'));
+        if (!file && !this.clipboard) return;
+        e.preventDefault();
+
+        if (!file) {
+            this.pasteImage(this.clipboard.canvas, this.clipboard);
+            return;
+        }
+        createImageBitmap(file)
+            .then(bitmap => this.pasteBitmap(bitmap))
+            .catch(err => console.warn('Pasted image could not be read', err));
     }
 
     handleWheel(e) {
         e.preventDefault();
+        if (!e.deltaY) return;
+
+        // Zoom towards mouse pointer
+        this.zoomBy(e.deltaY < 0 ? WHEEL_ZOOM_FACTOR : 1 / WHEEL_ZOOM_FACTOR, e.clientX, e.clientY);
+    }
 
-        const delta = -Math.sign(e.deltaY);
-        const zoomStep = 0.1;
-        const newZoom = Math.max(0.1, Math.min(5, this.zoom + delta * zoomStep));
+    /**
+     * Multiply the zoom, so each step looks the same at any magnification
+     * @param {number} factor - Above 1 zooms in
+     * @param {number} [clientX] - Screen point that stays put; defaults to the middle of the view
+     * @param {number} [clientY]
+     */
+    zoomBy(factor, clientX, clientY) {
+        this.setZoom(this.zoom * factor, clientX, clientY);
+    }
 
+    /**
+     * @param {number} zoom - 1 shows page pixels at screen size
+     * @param {number} [clientX] - Screen point that stays put; defaults to the middle of the view
+     * @param {number} [clientY]
+     */
+    setZoom(zoom, clientX, clientY) {
+        const newZoom = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, zoom));
         if (newZoom === this.zoom) return;
 
-        // Zoom towards mouse pointer
         const rect = this.wrapper.getBoundingClientRect();
-        const mouseX = e.clientX - rect.left;
-        const mouseY = e.clientY - rect.top;
-
-        // Calculate offset relative to current pan
-        const renderX = (mouseX - this.pan.x) / this.zoom;
-        const renderY = (mouseY - this.pan.y) / this.zoom;
+        if (clientX === undefined) {
+            clientX = rect.left + rect.width / 2;
+            clientY = rect.top + rect.height / 2;
+        }
+        const anchor = this.screenToCanvas(clientX, clientY);
 
         this.zoom = newZoom;
+        this.placeCanvasPoint(anchor, clientX - rect.left, clientY - rect.top);
 
-        // Recalculate pan to keep point stationary
-        this.pan.x = mouseX - renderX * this.zoom;
-        this.pan.y = mouseY - renderY * this.zoom;
+        this.updateTransform();
+    }
+
+    /**
+     * Turn the page around the middle of the view, in -180..180 degrees
+     */
+    setRotation(degrees) {
+        const rotation = ((degrees % 360) + 540) % 360 - 180;
+        const rect = this.wrapper.getBoundingClientRect();
+        const anchor = this.screenToCanvas(rect.left + rect.width / 2, rect.top + rect.height / 2);
 
+        this.rotation = rotation === -180 ? 180 : rotation;
+        this.placeCanvasPoint(anchor, rect.width / 2, rect.height / 2);
         this.updateTransform();
     }
 
+    /**
+     * Rotate by whole steps, snapping a pinch-twisted page back onto the step grid
+     * @param {number} steps - Positive turns clockwise
+     */
+    rotateBy(steps) {
+        this.setRotation((Math.round(this.rotation / ROTATION_STEP) + steps) * ROTATION_STEP);
+    }
+
+    /**
+     * Pan with any tool while a key is held (space)
+     */
+    setPanOverride(active) {
+        if (this.panOverride === !!active) return;
+        this.panOverride = !!active;
+        if (this.isDrawing || this.isPanning) return; // The cursor is restored when the drag ends
+
+        if (this.panOverride) {
+            this.hideFillPreview();
+            this.wrapper.style.cursor = 'grab';
+            if (this.cursorPreview) this.cursorPreview.classList.add('hidden');
+        } else {
+            this.updateCursor();
+        }
+    }
+
     getCoords(e) {
         // We need coords relative to the inner canvas
-        const rect = this.canvas.getBoundingClientRect();
-        const scaleX = this.canvas.width / rect.width;
-        const scaleY = this.canvas.height / rect.height;
+        return this.screenToCanvas(e.clientX, e.clientY);
+    }
 
-        return {
-            x: (e.clientX - rect.left) * scaleX,
-            y: (e.clientY - rect.top) * scaleY
+    /**
+     * Two fingers down: drop whatever the first finger started and track the pinch
+     */
+    startGesture() {
+        this.cancelStroke();
+        this.cancelPendingFill();
+        this.cancelShape();
+        this.stampDrag = null;
+        this.floatDrag = null;
+        this.cancelSelectionDraft();
+        this.isDrawing = false;
+        this.isPanning = false;
+
+        const [a, b] = [...this.touchPointers.values()];
+        const centerX = (a.x + b.x) / 2;
+        const centerY = (a.y + b.y) / 2;
+
+        this.gesture = {
+            startDist: Math.hypot(b.x - a.x, b.y - a.y) || 1,
+            startAngle: Math.atan2(b.y - a.y, b.x - a.x) * 180 / Math.PI,
+            startZoom: this.zoom,
+            startRotation: this.rotation,
+            rotateFrom: null,
+            anchor: this.screenToCanvas(centerX, centerY) // Canvas point that stays under the fingers
         };
     }
 
+    /**
+     * Pinch to zoom around the gesture center, drag to pan, twist to rotate
+     */
+    updateGesture() {
+        const [a, b] = [...this.touchPointers.values()];
+        const g = this.gesture;
+        const rect = this.wrapper.getBoundingClientRect();
+
+        const dist = Math.hypot(b.x - a.x, b.y - a.y);
+        this.zoom = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, g.startZoom * dist / g.startDist));
+
+        if (this.gestureRotate) {
+            let twist = Math.atan2(b.y - a.y, b.x - a.x) * 180 / Math.PI - g.startAngle;
+            twist = ((twist + 540) % 360) - 180; // Normalize to -180..180
+            if (g.rotateFrom === null && Math.abs(twist) > ROTATE_DEADZONE) g.rotateFrom = twist;
+            if (g.rotateFrom !== null) this.rotation = g.startRotation + twist - g.rotateFrom;
+        }
+
+        this.placeCanvasPoint(g.anchor, (a.x + b.x) / 2 - rect.left, (a.y + b.y) / 2 - rect.top);
+        this.updateTransform();
+    }
+
+    setGestureRotation(enabled) {
+        this.gestureRotate = !!enabled;
+    }
+
     handleStart(e) {
-        // Handle 2-finger touch
-        if (e.pointerType === 'touch' && !e.isPrimary) return;
+        this.hideFillPreview();
 
-        // Check for Middle Mouse or Spacebar logic if we wanted hidden shortcuts
-        // But for now, rely on Tool Mode or Touch Gestures
+        if (e.pointerType === 'touch') {
+            this.touchPointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            if (this.touchPointers.size === 2) this.startGesture();
+            // Extra fingers, or the fingers left over from a pinch, never paint
+            if (this.gesture) return;
+        }
 
-        if (this.mode === 'pan' || e.button === 1) {
+        // Pan tool, middle mouse button, or space held
+        if (this.mode === 'pan' || this.panOverride || e.button === 1) {
             this.isPanning = true;
             this.startPan = { x: e.clientX - this.pan.x, y: e.clientY - this.pan.y };
             this.wrapper.style.cursor = 'grabbing';
@@ -303,30 +761,123 @@ export class CanvasEditor {
         }
 
         const { x, y } = this.getCoords(e);
+
+        // Grab the symmetry center handle
+        if (this.symmetry.type !== 'off') {
+            const center = this.getSymmetryCenter();
+            if (Math.hypot(x - center.x, y - center.y) * this.zoom <= SYMMETRY_HANDLE_RADIUS) {
+                this.isDraggingSymmetryCenter = true;
+                return;
+            }
+        }
+
         this.isDrawing = true;
 
+        if (this.mode === 'eyedropper') {
+            this.isDrawing = false;
+            const color = this.sampleColor(x, y);
+            if (color && this.onColorPick) this.onColorPick(color);
+            return;
+        }
+
         if (this.mode === 'fill') {
             const isRightClick = e.button === 2;
-            this.floodFill(x, y, isRightClick ? '#FFFFFF' : this.currentColor, isRightClick);
             this.isDrawing = false; // Fill is one-shot
+            const isGradient = !isRightClick && (this.fillStyle.type === 'linear' || this.fillStyle.type === 'radial');
+            if (e.pointerType === 'touch' || isGradient) {
+                this.pendingFill = { pointerId: e.pointerId, x, y, isGradient };
+                return;
+            }
+            this.floodFill(x, y, isRightClick ? '#FFFFFF' : this.currentColor, isRightClick);
+        } else if (SHAPE_TOOLS.includes(this.mode)) {
+            this.isDrawing = false;
+            if (e.button !== 2) this.shapeDrag = { pointerId: e.pointerId, start: { x, y }, end: { x, y }, constrain: false };
+        } else if (this.mode === 'stamp') {
+            this.isDrawing = false;
+            if (e.button !== 2) this.handleStampStart(x, y);
+        } else if (SELECT_TOOLS.includes(this.mode)) {
+            this.isDrawing = false;
+            if (e.button !== 2) this.handleSelectStart(e, x, y);
         } else {
             // Brush or Eraser
             if (e.button !== 2) { // Left click only
-                this.ctx.beginPath();
-                this.ctx.moveTo(x, y);
-                this.ctx.strokeStyle = this.mode === 'eraser' ? '#FFFFFF' : this.currentColor;
-                this.ctx.lineWidth = this.brushSize;
+                const erasing = this.mode === 'eraser';
+                this.beginStroke();
+                this.activeStroke = new BrushStroke(this.ctx, {
+                    color: erasing ? '#FFFFFF' : this.currentColor,
+                    size: this.brushSize,
+                    stabilizer: this.stabilizer,
+                    preset: erasing ? 'round' : this.brushPreset,
+                    snapshot: this.strokeSnapshot,
+                    copies: symmetryMatrices(this.getSymmetry()).map(matrix => ({
+                        matrix,
+                        clip: this.getStrokeClip(applyMatrix(matrix, { x, y }))
+                    })),
+                    // Erasing on a transparent layer clears it; the paper layer is erased to white
+                    compositeOperation: erasing && !this.layers.getActive().background ? 'destination-out' : 'source-over'
+                });
+                this.activeStroke.addPoint(sampleFromEvent(e, { x, y }));
+            } else {
+                this.isDrawing = false;
             }
         }
     }
 
     handleMove(e) {
+        if (this.touchPointers.has(e.pointerId)) {
+            this.touchPointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        }
+        if (this.gesture) {
+            if (this.touchPointers.size >= 2) this.updateGesture();
+            return;
+        }
+
         // Update brush/eraser cursor position
         if ((this.mode === 'brush' || this.mode === 'eraser') && this.cursorPreview) {
             this.cursorPreview.style.top = e.clientY + 'px';
             this.cursorPreview.style.left = e.clientX + 'px';
         }
 
+        if (this.isDraggingSymmetryCenter) {
+            this.setSymmetry({ center: this.getCoords(e) });
+            return;
+        }
+
+        if (this.shapeDrag && this.shapeDrag.pointerId === e.pointerId) {
+            this.shapeDrag.end = this.getCoords(e);
+            this.shapeDrag.constrain = e.shiftKey;
+            this.showShapeGuide();
+            return;
+        }
+
+        if (this.stampDrag) {
+            this.dragStamp(this.getCoords(e), e.shiftKey);
+            return;
+        }
+
+        if (this.selectionDraft && this.selectionDraft.pointerId === e.pointerId) {
+            this.extendSelectionDraft(this.getCoords(e));
+            return;
+        }
+
+        if (this.floatDrag && this.floatDrag.pointerId === e.pointerId) {
+            this.dragFloating(this.getCoords(e));
+            return;
+        }
+
+        // Fill mode hover: highlight what a click would fill
+        if (this.mode === 'fill' && e.pointerType !== 'touch' && !this.isPanning && !this.panOverride && !this.pendingFill) {
+            if (this.wrapper.contains(e.target)) this.queueFillPreview(this.getCoords(e));
+            else this.hideFillPreview();
+        }
+
+        // Gradient drag: show the direction
+        if (this.pendingFill && this.pendingFill.isGradient && this.pendingFill.pointerId === e.pointerId) {
+            const end = this.getCoords(e);
+            this.showGradientGuide(this.pendingFill, end);
+            return;
+        }
+
         if (this.isPanning) {
             this.pan.x = e.clientX - this.startPan.x;
             this.pan.y = e.clientY - this.startPan.y;
@@ -334,26 +885,69 @@ export class CanvasEditor {
             return;
         }
 
-        if (!this.isDrawing || this.mode === 'fill') return;
+        if (!this.isDrawing || !this.activeStroke) return;
 
-        const { x, y } = this.getCoords(e);
-        this.ctx.lineTo(x, y);
-        this.ctx.stroke();
+        // Coalesced events keep fast pen strokes from turning into polygons
+        const events = e.getCoalescedEvents ? e.getCoalescedEvents() : [];
+        (events.length > 0 ? events : [e]).forEach(ev => {
+            this.activeStroke.addPoint(sampleFromEvent(ev, this.getCoords(ev)));
+        });
     }
 
-    handleEnd() {
+    handleEnd(e) {
+        if (e && e.pointerType === 'touch') {
+            this.touchPointers.delete(e.pointerId);
+
+            if (this.gesture) {
+                if (this.touchPointers.size === 0) this.gesture = null;
+                return;
+            }
+        }
+
+        // A single-finger tap, or the end of a gradient drag, in fill mode
+        const fill = this.pendingFill;
+        if (fill && e && fill.pointerId === e.pointerId) {
+            this.cancelPendingFill();
+            if (e.type === 'pointerup') {
+                this.floodFill(fill.x, fill.y, this.currentColor, false, fill.isGradient ? this.getCoords(e) : null);
+            }
+        }
+
+        // The end of a line / rectangle / ellipse drag
+        const shape = this.shapeDrag;
+        if (shape && e && shape.pointerId === e.pointerId) {
+            this.cancelShape();
+            if (e.type === 'pointerup') this.paintShape(shapeFromDrag(this.mode, shape.start, shape.end, shape.constrain));
+        }
+
+        const wasPanning = this.isPanning;
         this.isPanning = false;
         this.isDrawing = false;
+        // The end of a rectangle / lasso selection drag
+        const draft = this.selectionDraft;
+        if (draft && e && draft.pointerId === e.pointerId) {
+            this.cancelSelectionDraft();
+            if (e.type === 'pointerup') this.finishSelectionDraft(draft);
+        }
+
+        this.isDraggingSymmetryCenter = false;
+        this.stampDrag = null;
+        this.floatDrag = null;
 
         // Restore cursor based on mode
-        if (this.mode === 'pan') {
+        if (this.panOverride) {
+            this.wrapper.style.cursor = 'grab';
+        } else if (wasPanning) {
+            this.updateCursor();
+        } else if (this.mode === 'pan') {
             this.wrapper.style.cursor = 'grab';
         } else if (this.mode === 'brush' || this.mode === 'eraser') {
             this.wrapper.style.cursor = 'none';
         } else if (this.mode === 'fill') {
             // Keep bucket
         }
-        this.ctx.closePath();
+        if (this.activeStroke) this.activeStroke.end();
+        this.commitStroke();
 
         // Notify update for persistence
         if (this.onUpdate) {
@@ -376,18 +970,71 @@ export class CanvasEditor {
         this.updateCursorSize();
     }
 
+    /**
+     * Keep brush and eraser strokes inside the region they start in
+     */
+    setClipToRegion(enabled) {
+        this.clipToRegion = !!enabled;
+    }
+
+    /**
+     * Brush look (crayon, marker, ...); the eraser always uses the round brush
+     */
+    setBrushPreset(name) {
+        if (BRUSH_PRESETS[name]) this.brushPreset = name;
+    }
+
+    /**
+     * Stroke smoothing: 0 paints exactly under the pointer, 100 trails it heavily
+     */
+    setStabilizer(strength) {
+        this.stabilizer = Math.max(0, Math.min(100, Number(strength) || 0));
+    }
+
+    /**
+     * Bucket paint
+     * @param {Object} style - Any of { type: 'solid' | 'linear' | 'radial' | 'pattern', color2, pattern, tile }
+     */
+    setFillStyle(style) {
+        this.fillStyle = { ...this.fillStyle, ...style };
+    }
+
+    /**
+     * Treat line gaps up to about twice this many pixels as closed when filling.
+     * The displayed line art is not affected.
+     */
+    setGapSize(size) {
+        this.gapSize = Math.max(0, size | 0);
+
+        // Regions depend on the gap size; relabel once the slider settles
+        clearTimeout(this.regionMapTimer);
+        this.regionMapTimer = setTimeout(() => this.buildRegionMap(), 250);
+    }
+
     setMode(mode) {
+        if (mode !== 'stamp') this.commitStamp();
+        if (!SELECT_TOOLS.includes(mode)) this.dropFloating();
+        this.cancelShape();
         this.mode = mode;
+        this.hideFillPreview();
         this.wrapper.style.touchAction = 'none';
+        if (this.panOverride) return; // Space is held; the tool's cursor comes back on release
+        this.updateCursor();
+    }
 
+    /**
+     * Cursor and brush outline for the current tool
+     */
+    updateCursor() {
+        const mode = this.mode;
         if (mode === 'brush' || mode === 'eraser') {
             this.wrapper.style.cursor = 'none';
             if (this.cursorPreview) {
                 this.cursorPreview.classList.remove('hidden');
                 this.updateCursorSize();
             }
-        } else if (mode === 'fill') {
-            // Paint bucket cursor
+        } else if (mode === 'fill' || mode === 'eyedropper' || mode === 'stamp' || SHAPE_TOOLS.includes(mode) || SELECT_TOOLS.includes(mode)) {
+            // Paint bucket / eyedropper / shape / selection cursor
             this.wrapper.style.cursor = "crosshair";
             if (this.cursorPreview) this.cursorPreview.classList.add('hidden');
         } else if (mode === 'pan') {
@@ -396,19 +1043,6 @@ export class CanvasEditor {
         }
     }
 
-    // Pinch Zoom Handling (needs specialized touch events since pointer events don't expose pinch distance easily)
-    // We already added 'wheel' for mouse. 
-    // For robust touch pinch-zoom, we'd need to track 2 active pointers.
-    // Given the complexity of robust multi-touch in raw JS, 
-    // and the request for "Pan and Zoom Tool", we rely on the Pan tool for movement 
-    // and pinch gestures if supported or simple buttons.
-    // Currently, the mouse wheel zoom works for trackpads.
-    // Native browser pinch-zoom is disabled via touch-action: none.
-
-    // Simplest Pinch Zoom implementation for this context:
-    // Browser default pinch zoom might actually be desirable if we weren't doing custom canvas rendering.
-    // But since we are, we should implement a basic tracker.
-
     /**
      * Check if a pixel is a boundary (black line)
      */
@@ -422,89 +1056,1574 @@ export class CanvasEditor {
     }
 
     /**
-     * Animated flood fill
+     * (Re)label the line art regions. Fills fall back to the scanline
+     * search until the new map arrives.
      */
-    floodFill(startX, startY, fillColor, isUnfill = false) {
-        const width = this.canvas.width;
-        const height = this.canvas.height;
-
-        startX = Math.round(startX);
-        startY = Math.round(startY);
+    async buildRegionMap() {
+        if (!this.fillService) return;
 
-        if (this.isLineBoundary(startX, startY)) return;
+        const token = ++this.regionMapToken;
+        this.regionMap = null;
+        this.clipMasks.clear();
+        this.hideFillPreview();
+        this.fillPreview.cache.clear();
 
-        const imageData = this.ctx.getImageData(0, 0, width, height);
-        const data = imageData.data;
+        const map = await this.fillService.buildRegionMap(this.gapSize);
+        if (token !== this.regionMapToken || !map) return;
 
-        const startPos = (startY * width + startX) * 4;
-        const targetR = data[startPos], targetG = data[startPos + 1], targetB = data[startPos + 2], targetA = data[startPos + 3];
+        this.regionMap = map;
+        if (this.onRegionsReady) this.onRegionsReady(map);
+    }
 
-        const fillR = parseInt(fillColor.slice(1, 3), 16);
-        const fillG = parseInt(fillColor.slice(3, 5), 16);
-        const fillB = parseInt(fillColor.slice(5, 7), 16);
+    /**
+     * Replace the contents of a named guide group (SVG markup in page coordinates; '' clears it)
+     */
+    setGuide(name, markup) {
+        if (!this.guides) return;
+        let group = this.guides.querySelector(`[data-guide="${name}"]`);
+        if (!group) {
+            group = document.createElementNS(SVG_NS, 'g');
+            group.dataset.guide = name;
+            this.guides.appendChild(group);
+        }
+        group.innerHTML = markup;
+    }
 
-        if (targetR === fillR && targetG === fillG && targetB === fillB && targetA === 255) return;
+    /**
+     * Line (linear) or circle (radial) showing the gradient being dragged
+     */
+    showGradientGuide(start, end) {
+        const line = 'fill="none" stroke-width="2" vector-effect="non-scaling-stroke"';
+        const dashed = `${line} stroke="#FFFFFF" stroke-dasharray="6 4"`;
+        const solid = `${line} stroke="#44403c"`;
+        const shapes = this.fillStyle.type === 'radial'
+            ? [`<circle cx="${start.x}" cy="${start.y}" r="${Math.hypot(end.x - start.x, end.y - start.y)}"`]
+            : [`<line x1="${start.x}" y1="${start.y}" x2="${end.x}" y2="${end.y}"`];
+        this.setGuide('gradient', shapes.map(shape => `${shape} ${solid}/>${shape} ${dashed}/>`).join(''));
+    }
 
-        const visited = new Uint8Array(width * height);
-        const tolerance = 32;
-        const colorMatches = (pos) => {
-            return Math.abs(data[pos] - targetR) <= tolerance &&
-                Math.abs(data[pos + 1] - targetG) <= tolerance &&
-                Math.abs(data[pos + 2] - targetB) <= tolerance;
-        };
+    cancelPendingFill() {
+        this.pendingFill = null;
+        this.setGuide('gradient', '');
+    }
 
-        const pixelsToFill = [];
-        const queue = [[startX, startY]];
+    // Symmetry
 
-        while (queue.length > 0) {
-            const [x, y] = queue.shift();
-            if (x < 0 || x >= width || y < 0 || y >= height) continue;
+    /**
+     * Current symmetry with the center resolved to page coordinates
+     * @returns {Object} - { type, folds, center: { x, y } }
+     */
+    getSymmetry() {
+        return { ...this.symmetry, center: this.getSymmetryCenter() };
+    }
 
-            const pixelIndex = y * width + x;
-            if (visited[pixelIndex]) continue;
-            visited[pixelIndex] = 1;
-            const pos = pixelIndex * 4;
+    getSymmetryCenter() {
+        return this.symmetry.center || { x: this.lineArtWidth / 2, y: this.lineArtHeight / 2 };
+    }
 
-            if (this.isLineBoundary(x, y)) continue;
-            if (!colorMatches(pos)) continue;
+    /**
+     * @param {Object} props - Any of { type: 'off' | 'vertical' | 'horizontal' | 'radial', folds, center: {x, y} | null }
+     */
+    setSymmetry(props) {
+        Object.assign(this.symmetry, props);
+        this.symmetry.folds = Math.max(2, Math.min(24, Math.round(this.symmetry.folds) || 6));
+        this.updateSymmetryGuide();
+    }
 
-            pixelsToFill.push({ pos, origR: data[pos], origG: data[pos + 1], origB: data[pos + 2] });
-            queue.push([x + 1, y], [x - 1, y], [x, y + 1], [x, y - 1]);
+    /**
+     * Axes plus a draggable center handle
+     */
+    updateSymmetryGuide() {
+        if (!this.guides) return;
+        const symmetry = this.getSymmetry();
+        if (symmetry.type === 'off') {
+            this.setGuide('symmetry', '');
+            return;
         }
 
-        if (pixelsToFill.length === 0) return;
-
-        if (isUnfill) this.playUnfillSound();
-        else this.playFillSound();
+        const line = 'fill="none" stroke-width="1.5" vector-effect="non-scaling-stroke"';
+        const axes = symmetryAxes(symmetry, this.lineArtWidth, this.lineArtHeight)
+            .map(({ x1, y1, x2, y2 }) => `<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" ${line} stroke="#a855f7" stroke-opacity="0.6" stroke-dasharray="8 6"/>`)
+            .join('');
+        const { x, y } = symmetry.center;
+        const radius = SYMMETRY_HANDLE_RADIUS / (this.zoom || 1);
+        const handle = `<circle cx="${x}" cy="${y}" r="${radius}" fill="#FFFFFF" fill-opacity="0.7" stroke="#a855f7" stroke-width="2" vector-effect="non-scaling-stroke"/>` +
+            `<circle cx="${x}" cy="${y}" r="${radius / 4}" fill="#a855f7"/>`;
+        this.setGuide('symmetry', axes + handle);
+    }
 
-        // Immediate fill for performance on large areas, can add animation back if needed
-        for (const pixel of pixelsToFill) {
-            const { pos } = pixel;
-            data[pos] = fillR;
+    /**
+     * Repeat guide markup for every symmetry copy
+     */
+    symmetricMarkup(markup) {
+        return symmetryMatrices(this.getSymmetry())
+            .map(m => `<g transform="matrix(${m.join(' ')})">${markup}</g>`)
+            .join('');
+    }
+
+    /**
+     * Draw once per symmetry copy on the active layer, as one undoable action
+     * @param {Object} bounds - { minX, minY, maxX, maxY } the original can touch, in page pixels
+     * @param {Function} draw - (ctx) => void, draws the original in page coordinates
+     * @returns {boolean} - Whether anything on the page was covered
+     */
+    paintSymmetric(bounds, draw) {
+        const matrices = symmetryMatrices(this.getSymmetry());
+        const corners = matrices.flatMap(m => [
+            [bounds.minX, bounds.minY], [bounds.maxX, bounds.minY],
+            [bounds.minX, bounds.maxY], [bounds.maxX, bounds.maxY]
+        ].map(([x, y]) => applyMatrix(m, { x, y })));
+
+        const rect = this.clampRect(
+            Math.floor(Math.min(...corners.map(p => p.x))),
+            Math.floor(Math.min(...corners.map(p => p.y))),
+            Math.ceil(Math.max(...corners.map(p => p.x))),
+            Math.ceil(Math.max(...corners.map(p => p.y)))
+        );
+        if (!rect) return false;
+
+        const ctx = this.ctx;
+        const before = ctx.getImageData(rect.x, rect.y, rect.width, rect.height);
+        matrices.forEach(m => {
+            ctx.save();
+            ctx.transform(...m);
+            draw(ctx);
+            ctx.restore();
+        });
+        const after = ctx.getImageData(rect.x, rect.y, rect.width, rect.height);
+        if (this.selection) {
+            restoreOutsideSelection(this.selection, before, after, rect.x, rect.y);
+            ctx.putImageData(after, rect.x, rect.y);
+        }
+
+        this.recordHistory({ x: rect.x, y: rect.y, before, after });
+        if (this.onColorUsed) this.onColorUsed(this.currentColor);
+        if (this.onUpdate) this.onUpdate();
+        return true;
+    }
+
+    // Shapes
+
+    /**
+     * Rectangles and ellipses: filled (true) or outlined with the brush size (false)
+     */
+    setShapeFilled(filled) {
+        this.shapeFilled = !!filled;
+    }
+
+    getShapeStyle() {
+        return { color: this.currentColor, width: this.brushSize, filled: this.shapeFilled };
+    }
+
+    /**
+     * Rubber band for the shape being dragged
+     */
+    showShapeGuide() {
+        const { start, end, constrain } = this.shapeDrag;
+        const shape = shapeFromDrag(this.mode, start, end, constrain);
+        this.setGuide('shape', this.symmetricMarkup(shapeToSVG(shape, this.getShapeStyle())));
+    }
+
+    cancelShape() {
+        this.shapeDrag = null;
+        this.setGuide('shape', '');
+    }
+
+    paintShape(shape) {
+        // A click without a drag draws nothing
+        if (Math.hypot(shape.x2 - shape.x1, shape.y2 - shape.y1) < 1) return;
+        const style = this.getShapeStyle();
+        this.paintSymmetric(shapeBounds(shape, style.width), ctx => drawShape(ctx, shape, style));
+    }
+
+    // Stamps
+
+    /**
+     * Sticker for the stamp tool; swaps the image of a stamp that is still being placed
+     * @param {string} name - Key of STICKERS
+     */
+    async setSticker(name) {
+        if (!STICKERS[name]) return;
+        this.sticker = name;
+        if (!this.pendingStamp) return;
+
+        const image = await loadSticker(name);
+        if (!this.pendingStamp || this.sticker !== name) return;
+        Object.assign(this.pendingStamp, { name, image });
+        this.updateStampGuide();
+    }
+
+    /**
+     * Pointer down in stamp mode: grab the placed sticker, or commit it and place a new one
+     */
+    handleStampStart(x, y) {
+        const hit = this.hitTestStamp(x, y);
+        if (hit === 'transform') {
+            this.stampDrag = { type: 'transform' };
+            return;
+        }
+        if (hit === 'move') {
+            this.stampDrag = { type: 'move', dx: x - this.pendingStamp.x, dy: y - this.pendingStamp.y };
+            return;
+        }
+
+        this.commitStamp();
+        this.placeStamp(x, y);
+    }
+
+    async placeStamp(x, y) {
+        const name = this.sticker;
+        let image;
+        try {
+            image = await loadSticker(name);
+        } catch (err) {
+            console.warn(err.message);
+            return;
+        }
+        if (this.mode !== 'stamp') return;
+
+        const size = Math.round(Math.min(this.lineArtWidth, this.lineArtHeight) / 6);
+        this.pendingStamp = { name, image, x, y, size, angle: 0 };
+        this.updateStampGuide();
+        if (this.onStampChange) this.onStampChange(true);
+    }
+
+    /**
+     * Half extents of the pending stamp, and its scale/rotate corner (top right) in stamp space
+     */
+    getStampFrame() {
+        const { image, size } = this.pendingStamp;
+        const { width, height } = stickerSize(image, size);
+        return { hw: width / 2, hh: height / 2, corner: { x: width / 2, y: -height / 2 } };
+    }
+
+    /**
+     * @returns {string|null} - 'transform' (the corner handle), 'move' (the sticker) or null
+     */
+    hitTestStamp(x, y) {
+        const stamp = this.pendingStamp;
+        if (!stamp) return null;
+
+        // Into the stamp's own unrotated frame
+        const dx = x - stamp.x;
+        const dy = y - stamp.y;
+        const cos = Math.cos(-stamp.angle);
+        const sin = Math.sin(-stamp.angle);
+        const lx = dx * cos - dy * sin;
+        const ly = dx * sin + dy * cos;
+
+        const { hw, hh, corner } = this.getStampFrame();
+        if (Math.hypot(lx - corner.x, ly - corner.y) * this.zoom <= HANDLE_RADIUS) return 'transform';
+        if (Math.abs(lx) <= hw && Math.abs(ly) <= hh) return 'move';
+        return null;
+    }
+
+    /**
+     * Move the stamp, or scale and rotate it so its corner follows the pointer
+     * @param {boolean} snap - Rotate in 15° steps
+     */
+    dragStamp(point, snap) {
+        const stamp = this.pendingStamp;
+        if (!stamp) return;
+
+        if (this.stampDrag.type === 'move') {
+            stamp.x = point.x - this.stampDrag.dx;
+            stamp.y = point.y - this.stampDrag.dy;
+        } else {
+            const { corner } = this.getStampFrame();
+            const distance = Math.hypot(point.x - stamp.x, point.y - stamp.y);
+            stamp.size = Math.max(8, stamp.size * distance / Math.hypot(corner.x, corner.y));
+
+            let angle = Math.atan2(point.y - stamp.y, point.x - stamp.x) - Math.atan2(corner.y, corner.x);
+            if (snap) {
+                const step = Math.PI / 12;
+                angle = Math.round(angle / step) * step;
+            }
+            stamp.angle = angle;
+        }
+        this.updateStampGuide();
+    }
+
+    /**
+     * Draw the stamp's sticker at its position, size and angle
+     */
+    drawStampImage(ctx, stamp) {
+        const { width, height } = stickerSize(stamp.image, stamp.size);
+        ctx.translate(stamp.x, stamp.y);
+        ctx.rotate(stamp.angle);
+        ctx.drawImage(stamp.image, -width / 2, -height / 2, width, height);
+    }
+
+    /**
+     * Sticker preview (with its symmetry copies), frame and scale/rotate handle
+     */
+    updateStampGuide() {
+        const stamp = this.pendingStamp;
+        if (!stamp) {
+            this.setGuide('stamp', '');
+            return;
+        }
+
+        const { hw, hh, corner } = this.getStampFrame();
+        const place = `transform="translate(${stamp.x} ${stamp.y}) rotate(${stamp.angle * 180 / Math.PI})"`;
+        const image = `<g ${place}><image href="${stamp.image.src}" x="${-hw}" y="${-hh}" width="${hw * 2}" height="${hh * 2}"/></g>`;
+        const line = 'fill="none" stroke-width="1.5" vector-effect="non-scaling-stroke"';
+        const frame = `<g ${place}>` +
+            `<rect x="${-hw}" y="${-hh}" width="${hw * 2}" height="${hh * 2}" ${line} stroke="#f97316" stroke-dasharray="6 4"/>` +
+            `<circle cx="${corner.x}" cy="${corner.y}" r="${HANDLE_RADIUS / (this.zoom || 1)}" fill="#FFFFFF" stroke="#f97316" stroke-width="2" vector-effect="non-scaling-stroke"/>` +
+            '</g>';
+        this.setGuide('stamp', this.symmetricMarkup(image) + frame);
+    }
+
+    /**
+     * Paint the placed sticker onto the active layer
+     */
+    commitStamp() {
+        const stamp = this.pendingStamp;
+        if (!stamp) return;
+        this.cancelStamp();
+
+        // The rotated sticker fits in a circle through its corners
+        const { width, height } = stickerSize(stamp.image, stamp.size);
+        const r = Math.hypot(width, height) / 2 + 1;
+        this.paintSymmetric(
+            { minX: stamp.x - r, minY: stamp.y - r, maxX: stamp.x + r, maxY: stamp.y + r },
+            ctx => this.drawStampImage(ctx, stamp)
+        );
+    }
+
+    cancelStamp() {
+        if (!this.pendingStamp) return;
+        this.pendingStamp = null;
+        this.stampDrag = null;
+        this.updateStampGuide();
+        if (this.onStampChange) this.onStampChange(false);
+    }
+
+    // Selection
+
+    /**
+     * Replace the selection (null clears it)
+     * @param {Object|null} selection - Region-format mask
+     * @param {Object[]} [outline] - Rectangle / lasso points to draw instead of the bounding box
+     */
+    setSelection(selection, outline = null) {
+        this.selection = selection ? { ...selection, outline, canvas: createMaskCanvas(selection) } : null;
+        this.updateSelectionGuide();
+        this.notifySelection();
+
+        // Fill previews only tint the selected part of a region: redraw them
+        const preview = this.fillPreview;
+        preview.cache.clear();
+        if (preview.canvas) preview.canvas.remove();
+        preview.canvas = null;
+        preview.regionId = 0;
+        if (preview.point) this.queueFillPreview(preview.point);
+    }
+
+    selectAll() {
+        this.dropFloating();
+        const { lineArtWidth: width, lineArtHeight: height } = this;
+        this.setSelection(rectSelection(0, 0, width, height, width, height));
+    }
+
+    deselect() {
+        this.dropFloating();
+        this.setSelection(null);
+    }
+
+    notifySelection() {
+        if (this.onSelectionChange) {
+            this.onSelectionChange({ selected: !!(this.selection || this.floating), floating: !!this.floating });
+        }
+    }
+
+    /**
+     * Brush clip for a stroke starting at a point: its region ("Stay inside the lines"),
+     * the selection, or where the two overlap
+     * @returns {Object|null} - { canvas, x, y }
+     */
+    getStrokeClip(point) {
+        const region = this.clipToRegion ? this.getClipMask(point) : null;
+        const selection = this.selection && { canvas: this.selection.canvas, x: this.selection.x, y: this.selection.y };
+        if (!region || !selection) return region || selection;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = selection.canvas.width;
+        canvas.height = selection.canvas.height;
+        const ctx = canvas.getContext('2d');
+        const dx = region.x - selection.x;
+        const dy = region.y - selection.y;
+        ctx.drawImage(selection.canvas, 0, 0);
+        ctx.globalCompositeOperation = 'destination-in';
+        ctx.drawImage(region.canvas, dx, dy);
+
+        // Not every browser clears outside the drawn image under destination-in
+        ctx.globalCompositeOperation = 'source-over';
+        ctx.beginPath();
+        ctx.rect(0, 0, canvas.width, canvas.height);
+        ctx.rect(dx, dy, region.canvas.width, region.canvas.height);
+        ctx.clip('evenodd');
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        return { canvas, x: selection.x, y: selection.y };
+    }
+
+    /**
+     * Also mark everything outside the selection in a page-sized skip mask (1 = leave alone), in place
+     */
+    maskOutsideSelection(mask) {
+        const selection = this.selection;
+        if (!selection) return mask;
+        const width = this.lineArtWidth;
+        for (let i = 0; i < mask.length; i++) {
+            if (!selectionContains(selection, i % width, (i / width) | 0)) mask[i] = 1;
+        }
+        return mask;
+    }
+
+    /**
+     * Pointer down with a selection tool: grab the selection (Alt-drag grabs a copy),
+     * pick a region, or start a new rectangle / lasso
+     */
+    handleSelectStart(e, x, y) {
+        const hit = this.hitTestSelection(x, y);
+        if (hit) {
+            if (!this.floating) this.liftSelection(e.altKey);
+            this.floatDrag = { pointerId: e.pointerId, type: hit, last: { x, y } };
+            return;
+        }
+
+        this.dropFloating();
+        if (this.mode === 'select-region') {
+            const regionId = this.isLineBoundary(x, y) ? 0 : regionIdAt(this.regionMap, x, y);
+            this.setSelection(regionId ? createRegionMask(this.regionMap, regionId) : null);
+            return;
+        }
+        this.selectionDraft = { pointerId: e.pointerId, type: this.mode === 'select-rect' ? 'rect' : 'lasso', points: [{ x, y }] };
+    }
+
+    /**
+     * @returns {string|null} - 'scale' (the floating frame's corner), 'move' (inside the selection) or null
+     */
+    hitTestSelection(x, y) {
+        if (this.floating) {
+            const b = this.getFloatingBounds();
+            if (Math.hypot(x - b.maxX, y - b.maxY) * this.zoom <= HANDLE_RADIUS) return 'scale';
+            return x >= b.minX && x <= b.maxX && y >= b.minY && y <= b.maxY ? 'move' : null;
+        }
+        return this.selection && selectionContains(this.selection, x, y) ? 'move' : null;
+    }
+
+    extendSelectionDraft(point) {
+        const draft = this.selectionDraft;
+        if (draft.type === 'rect') {
+            draft.points = [draft.points[0], point];
+        } else {
+            const last = draft.points[draft.points.length - 1];
+            if (Math.hypot(point.x - last.x, point.y - last.y) * this.zoom < 2) return;
+            draft.points.push(point);
+        }
+
+        const points = draft.type === 'rect' ? rectPoints(draft.points[0], point) : draft.points;
+        this.setGuide('selection-draft', this.outlineMarkup(points));
+    }
+
+    finishSelectionDraft(draft) {
+        const { lineArtWidth: width, lineArtHeight: height } = this;
+        const first = draft.points[0];
+        const last = draft.points[draft.points.length - 1];
+
+        if (draft.type === 'lasso') {
+            this.setSelection(lassoSelection(draft.points, width, height), draft.points);
+            return;
+        }
+        // A click without a drag just deselects
+        if (Math.abs(last.x - first.x) < 2 || Math.abs(last.y - first.y) < 2) {
+            this.setSelection(null);
+            return;
+        }
+        this.setSelection(rectSelection(first.x, first.y, last.x, last.y, width, height), rectPoints(first, last));
+    }
+
+    cancelSelectionDraft() {
+        this.selectionDraft = null;
+        this.setGuide('selection-draft', '');
+    }
+
+    /**
+     * Marching-ants style outline: a light line under a dark dashed one
+     */
+    outlineMarkup(points) {
+        const list = points.map(p => `${p.x},${p.y}`).join(' ');
+        const line = 'fill="none" stroke-width="1.5" vector-effect="non-scaling-stroke"';
+        return `<polygon points="${list}" ${line} stroke="#FFFFFF"/>` +
+            `<polygon points="${list}" ${line} stroke="#1c1917" stroke-dasharray="5 4"/>`;
+    }
+
+    /**
+     * Tint and outline for the selection, or a frame with a scale handle around floating pixels
+     */
+    updateSelectionGuide() {
+        if (!this.guides) return;
+        const selection = this.selection;
+
+        if (!this.selectionTint || this.selectionTint.selection !== selection) {
+            if (this.selectionTint) this.selectionTint.canvas.remove();
+            this.selectionTint = selection ? { selection, canvas: this.createSelectionTint(selection) } : null;
+            if (this.selectionTint) this.innerContainer.insertBefore(this.selectionTint.canvas, this.guides);
+        }
+
+        let markup = '';
+        if (this.floating) {
+            const b = this.getFloatingBounds();
+            markup = this.outlineMarkup(rectPoints({ x: b.minX, y: b.minY }, { x: b.maxX, y: b.maxY })) +
+                `<circle cx="${b.maxX}" cy="${b.maxY}" r="${HANDLE_RADIUS / (this.zoom || 1)}" fill="#FFFFFF" stroke="#3b82f6" stroke-width="2" vector-effect="non-scaling-stroke"/>`;
+        } else if (selection) {
+            markup = this.outlineMarkup(selection.outline || rectPoints(
+                { x: selection.x, y: selection.y },
+                { x: selection.x + selection.width, y: selection.y + selection.height }
+            ));
+        }
+        this.setGuide('selection', markup);
+    }
+
+    createSelectionTint(selection) {
+        const canvas = createMaskCanvas(selection);
+        const ctx = canvas.getContext('2d');
+        ctx.globalCompositeOperation = 'source-in';
+        ctx.fillStyle = SELECTION_TINT;
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        canvas.style.position = 'absolute';
+        canvas.style.left = `${selection.x}px`;
+        canvas.style.top = `${selection.y}px`;
+        canvas.style.width = `${selection.width}px`;
+        canvas.style.height = `${selection.height}px`;
+        canvas.style.pointerEvents = 'none';
+        return canvas;
+    }
+
+    /**
+     * Selected pixels of a layer on a selection-sized canvas
+     */
+    extractSelection(layer, selection) {
+        const canvas = document.createElement('canvas');
+        canvas.width = selection.width;
+        canvas.height = selection.height;
+        const ctx = canvas.getContext('2d');
+        ctx.putImageData(layer.ctx.getImageData(selection.x, selection.y, selection.width, selection.height), 0, 0);
+        ctx.globalCompositeOperation = 'destination-in';
+        ctx.drawImage(selection.canvas, 0, 0);
+        return canvas;
+    }
+
+    /**
+     * Clear the selected pixels: back to white on the paper layer, transparent elsewhere
+     * @returns {Object} - History patch { x, y, before, after }
+     */
+    clearSelectionPixels(layer, selection) {
+        const { x, y, width, height, mask } = selection;
+        const before = layer.ctx.getImageData(x, y, width, height);
+        const after = new ImageData(new Uint8ClampedArray(before.data), width, height);
+        const value = layer.background ? 255 : 0;
+        for (let i = 0; i < mask.length; i++) {
+            if (mask[i]) after.data.fill(value, i * 4, i * 4 + 4);
+        }
+        layer.ctx.putImageData(after, x, y);
+        return { x, y, before, after, layerId: layer.id };
+    }
+
+    /**
+     * Pick the selected pixels up off the active layer so they can be moved, flipped and scaled.
+     * The layer is snapshotted so the whole edit becomes one undo step when dropped.
+     * @param {boolean} [copy=false] - Leave the original pixels in place
+     */
+    liftSelection(copy = false) {
+        const selection = this.selection;
+        if (!selection || this.floating) return;
+
+        const layer = this.layers.getActive();
+        const { width, height } = layer.canvas;
+        const before = layer.ctx.getImageData(0, 0, width, height);
+        const canvas = this.extractSelection(layer, selection);
+        if (!copy) this.clearSelectionPixels(layer, selection);
+
+        const center = { x: selection.x + selection.width / 2, y: selection.y + selection.height / 2 };
+        this.floating = {
+            canvas,
+            mask: selection.canvas,
+            width: selection.width,
+            height: selection.height,
+            cx: center.x,
+            cy: center.y,
+            scale: 1,
+            flipX: false,
+            flipY: false,
+            anchor: center, // Where the outline's points were taken
+            outline: selection.outline,
+            origin: { minX: selection.x, minY: selection.y, maxX: selection.x + selection.width, maxY: selection.y + selection.height },
+            before,
+            base: layer.ctx.getImageData(0, 0, width, height), // The layer without the floating pixels
+            layerId: layer.id,
+            drawn: null, // Page box the pixels were last drawn in
+            changed: copy
+        };
+        this.selection = null;
+        this.renderFloating();
+        this.updateSelectionGuide();
+        this.notifySelection();
+    }
+
+    /**
+     * Add an image as floating pixels on the active layer, ready to be moved into place
+     * @param {CanvasImageSource} image - Canvas or bitmap
+     * @param {Object} [at] - { x, y } top-left corner; centered on the page by default
+     */
+    pasteImage(image, at = null) {
+        if (!this.layers) return;
+        this.commitStamp();
+        this.dropFloating();
+
+        const canvas = document.createElement('canvas');
+        canvas.width = image.width;
+        canvas.height = image.height;
+        canvas.getContext('2d').drawImage(image, 0, 0);
+
+        const layer = this.layers.getActive();
+        const snapshot = layer.ctx.getImageData(0, 0, layer.canvas.width, layer.canvas.height);
+        const center = at
+            ? { x: at.x + canvas.width / 2, y: at.y + canvas.height / 2 }
+            : { x: this.lineArtWidth / 2, y: this.lineArtHeight / 2 };
+
+        this.floating = {
+            canvas,
+            mask: canvas,
+            width: canvas.width,
+            height: canvas.height,
+            cx: center.x,
+            cy: center.y,
+            // Big pictures start out fitting the page
+            scale: Math.min(1, this.lineArtWidth / canvas.width, this.lineArtHeight / canvas.height),
+            flipX: false,
+            flipY: false,
+            anchor: center,
+            outline: null,
+            origin: null,
+            before: snapshot,
+            base: snapshot,
+            layerId: layer.id,
+            drawn: null,
+            changed: true
+        };
+        this.selection = null;
+        this.renderFloating();
+        this.updateSelectionGuide();
+        this.notifySelection();
+    }
+
+    /**
+     * Paste an image, putting our own copy back where it was taken from
+     */
+    pasteBitmap(bitmap) {
+        const clip = this.clipboard;
+        const own = clip && bitmap.width === clip.canvas.width && bitmap.height === clip.canvas.height;
+        this.pasteImage(bitmap, own ? clip : null);
+    }
+
+    /**
+     * Paste button: an image on the system clipboard where the browser allows reading it, otherwise the last copy
+     */
+    async paste() {
+        if (navigator.clipboard && navigator.clipboard.read) {
+            try {
+                for (const item of await navigator.clipboard.read()) {
+                    const type = item.types.find(t => t.startsWith('image/'));
+                    if (!type) continue;
+                    this.pasteBitmap(await createImageBitmap(await item.getType(type)));
+                    return;
+                }
+            } catch (err) {
+                // Permission refused or nothing readable: use our own copy
+            }
+        }
+        if (this.clipboard) this.pasteImage(this.clipboard.canvas, this.clipboard);
+    }
+
+    /**
+     * Copy the selected pixels of the active layer, to the system clipboard too where allowed
+     */
+    copySelection() {
+        this.dropFloating();
+        const selection = this.selection;
+        if (!selection) return;
+
+        const canvas = this.extractSelection(this.layers.getActive(), selection);
+        this.clipboard = { canvas, x: selection.x, y: selection.y };
+
+        if (navigator.clipboard && navigator.clipboard.write && window.ClipboardItem) {
+            const blob = new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+            navigator.clipboard.write([new ClipboardItem({ 'image/png': blob })])
+                .catch(err => console.warn('Copying to the system clipboard failed', err));
+        }
+    }
+
+    cutSelection() {
+        this.copySelection();
+        this.deleteSelection();
+    }
+
+    /**
+     * Clear the selected pixels (or throw away floating ones), as one undoable action
+     */
+    deleteSelection() {
+        if (this.floating) {
+            this.dropFloating(true);
+            return;
+        }
+        if (!this.selection) return;
+        this.recordHistory(this.clearSelectionPixels(this.layers.getActive(), this.selection));
+        if (this.onUpdate) this.onUpdate();
+    }
+
+    /**
+     * Mirror the selected pixels where they are
+     * @param {string} axis - 'horizontal' (left ↔ right) or 'vertical' (top ↕ bottom)
+     */
+    flipSelection(axis) {
+        this.liftSelection();
+        const f = this.floating;
+        if (!f) return;
+        if (axis === 'horizontal') f.flipX = !f.flipX;
+        else f.flipY = !f.flipY;
+        f.changed = true;
+        this.renderFloating();
+    }
+
+    /**
+     * Grow (> 1) or shrink (< 1) the selected pixels around their center
+     */
+    scaleSelection(factor) {
+        this.liftSelection();
+        const f = this.floating;
+        if (!f) return;
+        f.scale = Math.max(0.05, Math.min(10, f.scale * factor));
+        f.changed = true;
+        this.renderFloating();
+        this.updateSelectionGuide();
+    }
+
+    dragFloating(point) {
+        const f = this.floating;
+        const drag = this.floatDrag;
+        if (!f) return;
+
+        if (drag.type === 'move') {
+            f.cx += point.x - drag.last.x;
+            f.cy += point.y - drag.last.y;
+            drag.last = point;
+        } else {
+            // The corner follows the pointer, scaling around the center
+            const distance = Math.hypot(point.x - f.cx, point.y - f.cy);
+            f.scale = Math.max(0.05, distance / Math.hypot(f.width / 2, f.height / 2));
+        }
+        f.changed = true;
+        this.renderFloating();
+        this.updateSelectionGuide();
+    }
+
+    /**
+     * Page box covered by the floating pixels
+     * @returns {Object} - { minX, minY, maxX, maxY }
+     */
+    getFloatingBounds(f = this.floating) {
+        const hw = f.width * f.scale / 2;
+        const hh = f.height * f.scale / 2;
+        return { minX: f.cx - hw, minY: f.cy - hh, maxX: f.cx + hw, maxY: f.cy + hh };
+    }
+
+    /**
+     * Draw an image (the floating pixels or their mask) at the floating position, scale and flip
+     */
+    drawFloating(ctx, f, image) {
+        ctx.save();
+        ctx.translate(f.cx, f.cy);
+        ctx.scale(f.flipX ? -f.scale : f.scale, f.flipY ? -f.scale : f.scale);
+        ctx.drawImage(image, -f.width / 2, -f.height / 2);
+        ctx.restore();
+    }
+
+    /**
+     * Show the floating pixels on their layer, restoring what they covered last time
+     */
+    renderFloating() {
+        const f = this.floating;
+        const layer = f && this.layers.get(f.layerId);
+        if (!layer) return;
+
+        const b = this.getFloatingBounds(f);
+        const drawn = { minX: Math.floor(b.minX), minY: Math.floor(b.minY), maxX: Math.ceil(b.maxX), maxY: Math.ceil(b.maxY) };
+        const box = f.drawn ? unionBounds(f.drawn, drawn) : drawn;
+        const dirty = this.clampRect(box.minX, box.minY, box.maxX, box.maxY);
+        if (dirty) layer.ctx.putImageData(f.base, 0, 0, dirty.x, dirty.y, dirty.width, dirty.height);
+
+        this.drawFloating(layer.ctx, f, f.canvas);
+        f.drawn = drawn;
+    }
+
+    /**
+     * Put floating pixels down for good, as one undo step; the selection follows them
+     * @param {boolean} [discard=false] - Throw the pixels away instead (Delete)
+     */
+    dropFloating(discard = false) {
+        const f = this.floating;
+        if (!f) return;
+        this.floating = null;
+        this.floatDrag = null;
+
+        const layer = this.layers.get(f.layerId);
+        if (layer && !f.changed && !discard) {
+            // Lifted and put straight back: restore the exact pixels, nothing to undo
+            layer.ctx.putImageData(f.before, 0, 0);
+        } else if (layer) {
+            const drawn = this.clampRect(f.drawn.minX, f.drawn.minY, f.drawn.maxX, f.drawn.maxY);
+            if (discard && drawn) layer.ctx.putImageData(f.base, 0, 0, drawn.x, drawn.y, drawn.width, drawn.height);
+
+            // Where the pixels came from and where they landed
+            const box = f.origin ? unionBounds(f.origin, f.drawn) : f.drawn;
+            const rect = this.clampRect(box.minX, box.minY, box.maxX, box.maxY);
+            if (rect) {
+                this.recordHistory({
+                    x: rect.x,
+                    y: rect.y,
+                    before: this.cropImageData(f.before, rect),
+                    after: layer.ctx.getImageData(rect.x, rect.y, rect.width, rect.height),
+                    layerId: f.layerId
+                });
+            }
+        }
+
+        if (discard) {
+            this.setSelection(null);
+        } else {
+            const sx = f.flipX ? -f.scale : f.scale;
+            const sy = f.flipY ? -f.scale : f.scale;
+            const outline = f.outline && f.outline.map(p => ({
+                x: f.cx + (p.x - f.anchor.x) * sx,
+                y: f.cy + (p.y - f.anchor.y) * sy
+            }));
+            this.setSelection(this.placedFloatingMask(f), outline);
+        }
+        if (layer && (f.changed || discard) && this.onUpdate) this.onUpdate();
+    }
+
+    /**
+     * Selection covering where floating pixels were put down
+     */
+    placedFloatingMask(f) {
+        const b = f.drawn;
+        const canvas = document.createElement('canvas');
+        canvas.width = b.maxX - b.minX;
+        canvas.height = b.maxY - b.minY;
+        const ctx = canvas.getContext('2d');
+        ctx.translate(-b.minX, -b.minY);
+        this.drawFloating(ctx, f, f.mask);
+        return selectionFromAlpha(canvas, b.minX, b.minY);
+    }
+
+    /**
+     * Throttle hover previews to one per animation frame
+     */
+    queueFillPreview(point) {
+        this.fillPreview.point = point;
+        if (this.fillPreview.frame) return;
+        this.fillPreview.frame = requestAnimationFrame(() => {
+            this.fillPreview.frame = 0;
+            if (this.fillPreview.point) this.updateFillPreview(this.fillPreview.point);
+        });
+    }
+
+    /**
+     * Show the region a click at this point would fill. Previews come from the
+     * region map (the same lookup floodFill uses), so there is none until it is built.
+     */
+    updateFillPreview({ x, y }) {
+        const preview = this.fillPreview;
+        const regionId = this.isLineBoundary(Math.round(x), Math.round(y)) ? 0 : regionIdAt(this.regionMap, Math.round(x), Math.round(y));
+        if (regionId === preview.regionId) return;
+
+        if (preview.canvas) preview.canvas.remove();
+        preview.canvas = null;
+        preview.regionId = regionId;
+
+        const region = regionId ? this.regionMap.regions[regionId - 1] : null;
+        if (region) preview.canvas = this.getFillPreviewCanvas(region);
+        if (preview.canvas) this.innerContainer.insertBefore(preview.canvas, this.guides);
+
+        if (this.onFillPreview) {
+            this.onFillPreview(region ? { regionId, area: region.area, leaks: region.touchesBorder } : null);
+        }
+    }
+
+    hideFillPreview() {
+        const preview = this.fillPreview;
+        preview.point = null;
+        if (!preview.regionId && !preview.canvas) return;
+        if (preview.canvas) preview.canvas.remove();
+        preview.canvas = null;
+        preview.regionId = 0;
+        if (this.onFillPreview) this.onFillPreview(null);
+    }
+
+    /**
+     * Tinted, page-positioned canvas covering the part of a region a fill would paint
+     * (least recently used ones are dropped)
+     * @returns {HTMLCanvasElement|null} - null when the region lies outside the selection
+     */
+    getFillPreviewCanvas(region) {
+        const cache = this.fillPreview.cache;
+        let canvas = cache.get(region.id);
+        if (cache.has(region.id)) {
+            cache.delete(region.id);
+        } else {
+            let mask = createRegionMask(this.regionMap, region.id);
+            if (this.selection) mask = intersectSelection(mask, this.selection);
+            canvas = mask ? createMaskCanvas(mask) : null;
+            if (canvas) {
+                const ctx = canvas.getContext('2d');
+                ctx.globalCompositeOperation = 'source-in';
+                ctx.fillStyle = region.touchesBorder ? PREVIEW_LEAK_TINT : PREVIEW_TINT;
+                ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+                canvas.style.position = 'absolute';
+                canvas.style.left = `${mask.x}px`;
+                canvas.style.top = `${mask.y}px`;
+                canvas.style.width = `${mask.width}px`;
+                canvas.style.height = `${mask.height}px`;
+                canvas.style.pointerEvents = 'none';
+            }
+        }
+
+        cache.set(region.id, canvas);
+        if (cache.size > PREVIEW_CACHE_SIZE) cache.delete(cache.keys().next().value);
+        return canvas;
+    }
+
+    /**
+     * Region under a canvas point
+     * @returns {Object|null} - { id, area, minX, minY, maxX, maxY, centroid, touchesBorder }
+     */
+    getRegionAt(x, y) {
+        const id = regionIdAt(this.regionMap, x, y);
+        return id ? this.regionMap.regions[id - 1] : null;
+    }
+
+    /**
+     * All labeled regions (empty until the region map is ready)
+     */
+    getRegions() {
+        return this.regionMap ? this.regionMap.regions : [];
+    }
+
+    /**
+     * RGBA a fill writes on the active layer. Unfilling clears transparent
+     * layers and paints the paper layer white.
+     */
+    getFillRGBA(fillColor, isUnfill = false) {
+        if (isUnfill && !this.layers.getActive().background) return [0, 0, 0, 0];
+        return [
+            parseInt(fillColor.slice(1, 3), 16),
+            parseInt(fillColor.slice(3, 5), 16),
+            parseInt(fillColor.slice(5, 7), 16),
+            255
+        ];
+    }
+
+    /**
+     * Paint a whole region by id, as one undoable action
+     * @returns {boolean} - Whether any pixel changed
+     */
+    fillRegion(regionId, fillColor, isUnfill = false) {
+        return this.fillRegions([regionId], fillColor, isUnfill);
+    }
+
+    /**
+     * Paint several whole regions, as one undoable action
+     * @returns {boolean} - Whether any pixel changed
+     */
+    fillRegions(regionIds, fillColor, isUnfill = false) {
+        const regions = this.regionMap ? regionIds.map(id => this.regionMap.regions[id - 1]).filter(Boolean) : [];
+        if (regions.length === 0) return false;
+
+        const [fillR, fillG, fillB, fillA] = this.getFillRGBA(fillColor, isUnfill);
+
+        const { labels } = this.regionMap;
+        const selection = this.selection;
+        const selected = new Set(regions.map(r => r.id));
+        const x = Math.min(...regions.map(r => r.minX));
+        const y = Math.min(...regions.map(r => r.minY));
+        const width = Math.max(...regions.map(r => r.maxX)) - x + 1;
+        const height = Math.max(...regions.map(r => r.maxY)) - y + 1;
+
+        const before = this.ctx.getImageData(x, y, width, height);
+        const after = new ImageData(new Uint8ClampedArray(before.data), width, height);
+        const data = after.data;
+        let changed = 0;
+
+        for (let row = 0; row < height; row++) {
+            const labelRow = (y + row) * this.regionMap.width + x;
+            for (let col = 0; col < width; col++) {
+                if (!selected.has(labels[labelRow + col])) continue;
+                if (selection && !selectionContains(selection, x + col, y + row)) continue;
+                const pos = (row * width + col) * 4;
+                if (data[pos] === fillR && data[pos + 1] === fillG && data[pos + 2] === fillB && data[pos + 3] === fillA) continue;
+                data[pos] = fillR;
+                data[pos + 1] = fillG;
+                data[pos + 2] = fillB;
+                data[pos + 3] = fillA;
+                changed++;
+            }
+        }
+
+        if (!changed) return false;
+
+        this.ctx.putImageData(after, x, y);
+        this.recordHistory({ x, y, before, after });
+        return true;
+    }
+
+    /**
+     * Flood fill. Uses the precomputed region map when the click lands in a
+     * labeled region, otherwise the scanline fill worker.
+     * Only the dirty bounding box is read back, painted and recorded.
+     * With symmetry on, every mirrored position is filled too.
+     * @param {Object} [dragEnd] - { x, y } where a gradient drag ended
+     */
+    async floodFill(startX, startY, fillColor, isUnfill = false, dragEnd = null) {
+        startX = Math.round(startX);
+        startY = Math.round(startY);
+
+        if (this.isLineBoundary(startX, startY)) return;
+        if (this.selection && !selectionContains(this.selection, startX, startY)) return;
+
+        // Unfilling always clears to solid
+        const styled = !isUnfill && this.fillStyle.type !== 'solid';
+        const copies = symmetryMatrices(this.getSymmetry()).map(matrix => {
+            const start = applyMatrix(matrix, { x: startX, y: startY });
+            return {
+                x: Math.round(start.x),
+                y: Math.round(start.y),
+                drag: { start, end: dragEnd && applyMatrix(matrix, dragEnd) }
+            };
+        }).filter((copy, i) => i === 0 || !this.isLineBoundary(copy.x, copy.y));
+
+        const regionId = regionIdAt(this.regionMap, startX, startY);
+        if (regionId) {
+            // One region per copy; copies landing in the same region are painted once
+            const parts = new Map();
+            copies.forEach(copy => {
+                const id = regionIdAt(this.regionMap, copy.x, copy.y);
+                if (id && !parts.has(id)) parts.set(id, copy.drag);
+            });
+
+            const painted = styled
+                ? this.paintStyledFill(this.layers.getActive(), [...parts].map(([id, drag]) => ({ region: createRegionMask(this.regionMap, id), drag })), fillColor)
+                : this.fillRegions([...parts.keys()], fillColor, isUnfill);
+            if (!painted) return;
+            if (isUnfill) this.playUnfillSound();
+            else this.playFillSound();
+            if (!isUnfill && this.onColorUsed) this.onColorUsed(fillColor);
+
+            // Color-by-number: a gentle nudge when the color doesn't match the region's number
+            if (this.puzzle && !isUnfill && !styled && this.puzzle.targets.has(regionId) && this.onPuzzleFeedback) {
+                const expected = this.puzzle.targets.get(regionId);
+                const correct = this.puzzle.palette[expected - 1].toLowerCase() === fillColor.toLowerCase();
+                this.onPuzzleFeedback({ regionId, correct, expected });
+            }
+
+            if (this.onUpdate) this.onUpdate();
+            return;
+        }
+
+        // No region map (yet): search each copy in the worker, one after another
+        const layerId = this.layers.activeId;
+        let painted = false;
+        for (const copy of copies) {
+            if (await this.fillInWorker(layerId, copy, fillColor, isUnfill, styled)) painted = true;
+        }
+        if (!painted) return;
+
+        if (isUnfill) this.playUnfillSound();
+        else this.playFillSound();
+        if (!isUnfill && this.onColorUsed) this.onColorUsed(fillColor);
+
+        // Fill resolves after pointerup, so persist here
+        if (this.onUpdate) this.onUpdate();
+    }
+
+    /**
+     * Scanline fill from one point via the fill worker
+     * @param {string} layerId - Layer that was active when the fill started
+     * @param {Object} copy - { x, y, drag }
+     * @returns {Promise<boolean>} - Whether anything was painted
+     */
+    async fillInWorker(layerId, copy, fillColor, isUnfill, styled) {
+        const [fillR, fillG, fillB, fillA] = this.getFillRGBA(fillColor, isUnfill);
+        const startLayer = this.layers.get(layerId);
+        if (!startLayer) return false;
+
+        let region = await this.fillService.fill(startLayer.canvas, {
+            startX: copy.x,
+            startY: copy.y,
+            // Styled fills repaint even a region that already has the main color
+            fillRGB: fillA && !styled ? [fillR, fillG, fillB] : null,
+            tolerance: 32,
+            gapSize: this.gapSize
+        });
+
+        // The user may have switched layers while the worker was busy
+        const layer = this.layers.get(layerId);
+        if (!region || region.count === 0 || !layer) return false;
+        if (this.selection) {
+            region = intersectSelection(region, this.selection);
+            if (!region) return false;
+        }
+
+        if (styled) return this.paintStyledFill(layer, [{ region, drag: copy.drag }], fillColor);
+
+        const before = layer.ctx.getImageData(region.x, region.y, region.width, region.height);
+        const after = new ImageData(new Uint8ClampedArray(before.data), region.width, region.height);
+        const data = after.data;
+        const mask = region.mask;
+
+        for (let i = 0; i < mask.length; i++) {
+            if (!mask[i]) continue;
+            const pos = i * 4;
+            data[pos] = fillR;
             data[pos + 1] = fillG;
             data[pos + 2] = fillB;
-            data[pos + 3] = 255;
+            data[pos + 3] = fillA;
+        }
+
+        layer.ctx.putImageData(after, region.x, region.y);
+        this.recordHistory({ x: region.x, y: region.y, before, after, layerId });
+        return true;
+    }
+
+    /**
+     * Paint a gradient or pattern into fill masks, as one undoable action
+     * @param {Object} layer - Layer to paint on
+     * @param {Object[]} parts - { region: { x, y, width, height, mask } (bounding-box-cropped), drag: { start, end } }
+     * @param {string} color - Main color
+     * @returns {boolean}
+     */
+    paintStyledFill(layer, parts, color) {
+        if (this.selection) parts = parts.map(p => ({ ...p, region: p.region && intersectSelection(p.region, this.selection) }));
+        parts = parts.filter(p => p.region);
+        if (!layer || parts.length === 0) return false;
+
+        const rect = this.clampRect(
+            Math.min(...parts.map(p => p.region.x)),
+            Math.min(...parts.map(p => p.region.y)),
+            Math.max(...parts.map(p => p.region.x + p.region.width - 1)),
+            Math.max(...parts.map(p => p.region.y + p.region.height - 1))
+        );
+        const before = layer.ctx.getImageData(rect.x, rect.y, rect.width, rect.height);
+
+        // Built-in patterns scale with the page so they read the same on small and large pages
+        const tileSize = Math.max(16, Math.round(Math.min(this.lineArtWidth, this.lineArtHeight) / 40));
+        parts.forEach(({ region, drag }) => {
+            const source = renderFillSource(region, this.fillStyle, color, drag, tileSize);
+            const sourceCtx = source.getContext('2d');
+            sourceCtx.setTransform(1, 0, 0, 1, 0, 0);
+            sourceCtx.globalCompositeOperation = 'destination-in';
+            sourceCtx.drawImage(createMaskCanvas(region), 0, 0);
+
+            layer.ctx.save();
+            layer.ctx.globalCompositeOperation = 'source-over';
+            layer.ctx.drawImage(source, region.x, region.y);
+            layer.ctx.restore();
+        });
+
+        const after = layer.ctx.getImageData(rect.x, rect.y, rect.width, rect.height);
+        this.recordHistory({ x: rect.x, y: rect.y, before, after, layerId: layer.id });
+        return true;
+    }
+
+    // Page-wide commands
+
+    /**
+     * Recolor every pixel on the active layer within tolerance of one color, as one undoable action.
+     * With a selection, only pixels inside it change.
+     * @returns {number} - Pixels changed
+     */
+    replaceColor(fromColor, toColor, tolerance = 32) {
+        if (!this.lineArtData) return 0;
+
+        const { width, height } = this.canvas;
+        const imageData = this.ctx.getImageData(0, 0, width, height);
+        const before = new Uint8ClampedArray(imageData.data);
+        // Paint under the soft edges of the lines is recolored along with the rest
+        const lineMask = createLineMask(this.lineArtData);
+        if (this.softLineMask) {
+            for (let i = 0; i < lineMask.length; i++) {
+                if (this.softLineMask[i]) lineMask[i] = 0;
+            }
         }
-        this.ctx.putImageData(imageData, 0, 0);
+        const changed = replaceColorPixels(imageData.data, width, {
+            fromRGB: hexToRgb(fromColor),
+            toRGB: hexToRgb(toColor),
+            tolerance,
+            lineMask: this.maskOutsideSelection(lineMask)
+        });
+        if (!changed) return 0;
+
+        this.ctx.putImageData(imageData, 0, 0, changed.x, changed.y, changed.width, changed.height);
+        this.recordHistory({
+            x: changed.x,
+            y: changed.y,
+            before: this.cropImageData(new ImageData(before, width, height), changed),
+            after: this.cropImageData(imageData, changed)
+        });
+        this.playFillSound();
+        if (this.onColorUsed) this.onColorUsed(toColor);
+        if (this.onUpdate) this.onUpdate();
+        return changed.count;
+    }
+
+    /**
+     * Fill every region that is still white, as one undoable action
+     * @returns {number} - Regions filled (0 until the region map is ready)
+     */
+    fillUntouchedRegions(fillColor) {
+        if (!this.regionMap) return 0;
+
+        const { width, height } = this.regionMap;
+        const composite = this.getCompositeImageData({ x: 0, y: 0, width, height });
+        const regionIds = findUntouchedRegions(this.regionMap, composite.data);
+        if (!this.fillRegions(regionIds, fillColor)) return 0;
+
+        this.playFillSound();
+        if (this.onColorUsed) this.onColorUsed(fillColor);
+        if (this.onUpdate) this.onUpdate();
+        return regionIds.length;
+    }
+
+    /**
+     * Clip mask for the region under a stroke's first point. Strokes that start
+     * on a line use the nearest region under the brush; until the region map
+     * is ready strokes are not clipped.
+     * @returns {Object|null} - { canvas, x, y }
+     */
+    getClipMask({ x, y }) {
+        const regionId = regionIdNear(this.regionMap, x, y, this.brushSize / 2);
+        if (!regionId) return null;
+        if (this.clipMasks.has(regionId)) return this.clipMasks.get(regionId);
+
+        const region = createRegionMask(this.regionMap, regionId);
+        const clip = { canvas: createMaskCanvas(region), x: region.x, y: region.y };
+        this.clipMasks.set(regionId, clip);
+        return clip;
+    }
+
+    /**
+     * Snapshot the canvas before a brush/eraser stroke.
+     * Only the touched rectangle is kept once the stroke ends.
+     */
+    beginStroke() {
+        this.strokeSnapshot = this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
+    }
+
+    /**
+     * Throw away an in-progress stroke without recording it
+     */
+    cancelStroke() {
+        if (!this.strokeSnapshot) return;
+        this.ctx.putImageData(this.strokeSnapshot, 0, 0);
+        this.strokeSnapshot = null;
+        this.activeStroke = null;
+    }
+
+    /**
+     * Record the finished stroke as a history patch
+     */
+    commitStroke() {
+        if (!this.strokeSnapshot) return;
+
+        // Bounds already include each dab's radius
+        const b = this.activeStroke && this.activeStroke.bounds;
+        const rect = b && this.clampRect(
+            Math.floor(b.minX),
+            Math.floor(b.minY),
+            Math.ceil(b.maxX),
+            Math.ceil(b.maxY)
+        );
+
+        if (rect) {
+            this.recordHistory({
+                x: rect.x,
+                y: rect.y,
+                before: this.cropImageData(this.strokeSnapshot, rect),
+                after: this.ctx.getImageData(rect.x, rect.y, rect.width, rect.height)
+            });
+            if (this.mode === 'brush' && this.onColorUsed) this.onColorUsed(this.currentColor);
+        }
+
+        this.strokeSnapshot = null;
+        this.activeStroke = null;
+    }
+
+    /**
+     * Clamp an inclusive pixel box to the canvas, returning { x, y, width, height }
+     */
+    clampRect(minX, minY, maxX, maxY) {
+        const x = Math.max(0, minX);
+        const y = Math.max(0, minY);
+        const width = Math.min(this.canvas.width - 1, maxX) - x + 1;
+        const height = Math.min(this.canvas.height - 1, maxY) - y + 1;
+        if (width <= 0 || height <= 0) return null;
+        return { x, y, width, height };
+    }
+
+    /**
+     * Copy a rectangle out of a full-canvas ImageData
+     */
+    cropImageData(imageData, rect) {
+        const out = new ImageData(rect.width, rect.height);
+        const rowBytes = rect.width * 4;
+        for (let row = 0; row < rect.height; row++) {
+            const start = ((rect.y + row) * imageData.width + rect.x) * 4;
+            out.data.set(imageData.data.subarray(start, start + rowBytes), row * rowBytes);
+        }
+        return out;
+    }
+
+    /**
+     * Push a patch of the active layer onto the undo stack and let dependent state catch up
+     */
+    recordHistory(entry) {
+        entry.layerId = entry.layerId || this.layers.activeId;
+        this.history.push(entry);
+        this.logAction(this.mode, entry.layerId, entry.x, entry.y, entry.after);
+        this.handlePixelsChanged(entry);
+    }
+
+    /**
+     * Add a change to the time-lapse log
+     * @param {string} tool - Tool or command that made it
+     * @param {ImageData} imageData - The changed rectangle's new pixels, placed at x, y
+     */
+    logAction(tool, layerId, x, y, imageData) {
+        this.actionLog.record({ tool, color: this.currentColor, layerId, x, y, imageData });
+    }
+
+    /**
+     * Replay of this session's changes over the blank line art, with the current layer settings
+     * @returns {Replay}
+     */
+    createReplay() {
+        return new Replay(this.actionLog.entries, {
+            width: this.lineArtWidth,
+            height: this.lineArtHeight,
+            layers: this.getLayers().map(({ id, visible, opacity, blendMode }) => ({ id, visible, opacity, blendMode })),
+            lineArt: this.overlayImg
+        });
+    }
+
+    undo() {
+        this.dropFloating();
+        const entry = this.history.undo();
+        if (!entry) return;
+        this.layers.get(entry.layerId).ctx.putImageData(entry.before, entry.x, entry.y);
+        this.logAction('undo', entry.layerId, entry.x, entry.y, entry.before);
+        this.handlePixelsChanged(entry);
+        if (this.onUpdate) this.onUpdate();
+    }
+
+    redo() {
+        this.dropFloating();
+        const entry = this.history.redo();
+        if (!entry) return;
+        this.layers.get(entry.layerId).ctx.putImageData(entry.after, entry.x, entry.y);
+        this.logAction('redo', entry.layerId, entry.x, entry.y, entry.after);
+        this.handlePixelsChanged(entry);
+        if (this.onUpdate) this.onUpdate();
+    }
+
+    /**
+     * Called with the rectangle ({ x, y } plus a patch's size) after any recorded edit
+     */
+    handlePixelsChanged(entry) {
+        const rect = { x: entry.x, y: entry.y, width: entry.after.width, height: entry.after.height };
+        if (this.puzzle) this.updatePuzzleProgress(rect);
+    }
+
+    /**
+     * Eyedropper: the color the layers show at a canvas point (line art ignored)
+     * @returns {string|null} - "#rrggbb", or null outside the page
+     */
+    sampleColor(x, y) {
+        const ix = Math.floor(x);
+        const iy = Math.floor(y);
+        if (ix < 0 || iy < 0 || ix >= this.canvas.width || iy >= this.canvas.height) return null;
+        const [r, g, b] = this.getCompositeImageData({ x: ix, y: iy, width: 1, height: 1 }).data;
+        return rgbToHex([r, g, b]);
+    }
+
+    /**
+     * Flattened pixels of all visible layers, as the user sees them (minus the line art)
+     * @param {Object} rect - { x, y, width, height }
+     */
+    getCompositeImageData(rect) {
+        const scratch = document.createElement('canvas');
+        scratch.width = rect.width;
+        scratch.height = rect.height;
+        const ctx = scratch.getContext('2d', { willReadFrequently: true });
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillRect(0, 0, rect.width, rect.height);
+        this.layers.composite(ctx, rect);
+        return ctx.getImageData(0, 0, rect.width, rect.height);
+    }
+
+    /**
+     * Start color-by-number mode
+     * @param {Object} puzzle - createColorByNumber result for the current region map
+     */
+    setPuzzle(puzzle) {
+        this.puzzle = {
+            ...puzzle,
+            targetRGB: puzzle.palette.map(hexToRgb),
+            regionMap: this.regionMap,
+            complete: new Set()
+        };
+
+        if (!this.numbersCanvas) {
+            this.numbersCanvas = document.createElement('canvas');
+            this.numbersCanvas.width = this.lineArtWidth;
+            this.numbersCanvas.height = this.lineArtHeight;
+            this.numbersCanvas.style.position = 'absolute';
+            this.numbersCanvas.style.top = '0';
+            this.numbersCanvas.style.left = '0';
+            this.numbersCanvas.style.width = '100%';
+            this.numbersCanvas.style.height = '100%';
+            this.numbersCanvas.style.pointerEvents = 'none';
+            this.innerContainer.appendChild(this.numbersCanvas);
+        }
+
+        this.refreshPuzzleProgress();
+    }
+
+    /**
+     * Re-check every region against the whole canvas (after loading a saved drawing)
+     */
+    refreshPuzzleProgress() {
+        if (!this.puzzle) return;
+        this.updatePuzzleProgress({ x: 0, y: 0, width: this.lineArtWidth, height: this.lineArtHeight }, true);
+    }
+
+    /**
+     * Re-check the regions that overlap a changed rectangle. A region counts as done when
+     * most of it shows the target color: a dab on its number isn't enough, and textured
+     * strokes over a finished region don't undo it.
+     */
+    updatePuzzleProgress(rect, force = false) {
+        const { labels, targets, targetRGB, regionMap, complete } = this.puzzle;
+        let changed = force;
+
+        // Regions whose bounding box meets the change, and the area covering all of them
+        const checked = new Map(); // Region id -> target [r, g, b]
+        let minX = Infinity, minY = Infinity, maxX = -1, maxY = -1;
+        labels.forEach((point, regionId) => {
+            const r = regionMap.regions[regionId - 1];
+            if (r.maxX < rect.x || r.maxY < rect.y || r.minX >= rect.x + rect.width || r.minY >= rect.y + rect.height) return;
+            checked.set(regionId, targetRGB[targets.get(regionId) - 1]);
+            minX = Math.min(minX, r.minX);
+            minY = Math.min(minY, r.minY);
+            maxX = Math.max(maxX, r.maxX);
+            maxY = Math.max(maxY, r.maxY);
+        });
+
+        if (checked.size > 0) {
+            const area = { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 };
+            const coverage = regionColorCoverage(regionMap, this.getCompositeImageData(area), area, checked, PUZZLE_COLOR_TOLERANCE);
+            coverage.forEach((share, regionId) => {
+                const done = share >= PUZZLE_DONE_COVERAGE;
+                if (done !== complete.has(regionId)) {
+                    if (done) complete.add(regionId);
+                    else complete.delete(regionId);
+                    changed = true;
+                }
+            });
+        }
+
+        if (!changed) return;
+
+        this.renderPuzzleNumbers();
+        if (this.onPuzzleProgress) {
+            this.onPuzzleProgress({ done: complete.size, total: labels.size });
+        }
+    }
+
+    /**
+     * Draw the number of every unfinished region at its visual center
+     */
+    renderPuzzleNumbers() {
+        const ctx = this.numbersCanvas.getContext('2d');
+        ctx.clearRect(0, 0, this.numbersCanvas.width, this.numbersCanvas.height);
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = '#78716c';
+
+        this.puzzle.labels.forEach((point, regionId) => {
+            if (this.puzzle.complete.has(regionId)) return;
+            const size = Math.max(8, Math.min(48, Math.round(point.radius * 1.2)));
+            ctx.font = `600 ${size}px Quicksand, sans-serif`;
+            ctx.fillText(String(this.puzzle.targets.get(regionId)), point.x + 0.5, point.y + 0.5);
+        });
     }
 
     getImageDataURL() {
         const mergedCanvas = document.createElement('canvas');
         mergedCanvas.width = this.canvas.width;
         mergedCanvas.height = this.canvas.height;
-        const mergedCtx = mergedCanvas.getContext('2d');
+        this.renderPage(mergedCanvas.getContext('2d'));
+
+        return mergedCanvas.toDataURL('image/png');
+    }
+
+    /**
+     * Draw the finished-looking page: paper, coloring layers, then line art
+     * @param {CanvasRenderingContext2D} ctx - Any size; the page is scaled to fit (e.g. a thumbnail)
+     */
+    renderPage(ctx) {
+        ctx.save();
+        ctx.scale(ctx.canvas.width / this.lineArtWidth, ctx.canvas.height / this.lineArtHeight);
 
         // Fill white background first (Fixes transparency issue)
-        mergedCtx.fillStyle = '#FFFFFF';
-        mergedCtx.fillRect(0, 0, mergedCanvas.width, mergedCanvas.height);
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillRect(0, 0, this.lineArtWidth, this.lineArtHeight);
 
-        // Draw coloring layer
-        mergedCtx.drawImage(this.canvas, 0, 0);
+        // Draw all coloring layers with their opacity and blend mode
+        this.layers.composite(ctx);
 
         // Draw line art
-        mergedCtx.globalCompositeOperation = 'multiply';
-        mergedCtx.drawImage(this.overlayImg, 0, 0);
-
-        return mergedCanvas.toDataURL('image/png');
+        ctx.globalCompositeOperation = 'multiply';
+        ctx.drawImage(this.overlayImg, 0, 0, this.lineArtWidth, this.lineArtHeight);
+        ctx.restore();
     }
 }
+
+/**
+ * Corners of the rectangle between two points, as an outline
+ */
+function rectPoints(a, b) {
+    return [{ x: a.x, y: a.y }, { x: b.x, y: a.y }, { x: b.x, y: b.y }, { x: a.x, y: b.y }];
+}
+
+function unionBounds(a, b) {
+    return {
+        minX: Math.min(a.minX, b.minX),
+        minY: Math.min(a.minY, b.minY),
+        maxX: Math.max(a.maxX, b.maxX),
+        maxY: Math.max(a.maxY, b.maxY)
+    };
+}
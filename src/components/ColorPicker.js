@@ -0,0 +1,97 @@
+import { hexToHsv, hsvToHex, normalizeHex } from '../utils/color_utils';
+
+const HUE_GRADIENT = 'linear-gradient(to right, #f00 0%, #ff0 17%, #0f0 33%, #0ff 50%, #00f 67%, #f0f 83%, #f00 100%)';
+
+/**
+ * HSV color picker: saturation/value square, hue slider and hex field
+ * @param {Object} actions - { onChange(hex), onSave(hex) }
+ * @returns {{ element: HTMLElement, setColor: (hex) => void }}
+ */
+export const ColorPicker = (actions) => {
+    const section = document.createElement('div');
+    section.className = "flex flex-col gap-2";
+    section.innerHTML = `
+        <div class="picker-sv relative w-full h-28 rounded-xl cursor-crosshair touch-none overflow-hidden">
+            <div class="absolute inset-0" style="background: linear-gradient(to right, #fff, rgba(255,255,255,0))"></div>
+            <div class="absolute inset-0" style="background: linear-gradient(to top, #000, rgba(0,0,0,0))"></div>
+            <div class="picker-thumb absolute w-4 h-4 -ml-2 -mt-2 rounded-full border-2 border-white shadow pointer-events-none"></div>
+        </div>
+        <input type="range" class="picker-hue w-full h-2 rounded-lg appearance-none cursor-pointer" min="0" max="359" value="0"
+            style="background: ${HUE_GRADIENT}" title="Hue">
+        <div class="flex items-center gap-2">
+            <div class="picker-preview w-8 h-8 rounded-full border-2 border-white shadow-sm flex-shrink-0"></div>
+            <input type="text" class="picker-hex flex-1 min-w-0 px-2 py-1 rounded-lg bg-stone-50 text-sm text-stone-600 outline-none focus:ring-2 focus:ring-orange-300"
+                maxlength="7" spellcheck="false" title="Hex color">
+            <button class="picker-save text-xs px-2 py-1.5 rounded-lg bg-stone-50 hover:bg-stone-100 text-stone-600" title="Save to my colors">+ Save</button>
+        </div>
+    `;
+
+    const sv = section.querySelector('.picker-sv');
+    const thumb = section.querySelector('.picker-thumb');
+    const hue = section.querySelector('.picker-hue');
+    const hexInput = section.querySelector('.picker-hex');
+    const preview = section.querySelector('.picker-preview');
+
+    let hsv = [0, 1, 1];
+
+    const render = () => {
+        const hex = hsvToHex(hsv);
+        sv.style.backgroundColor = hsvToHex([hsv[0], 1, 1]);
+        thumb.style.left = `${hsv[1] * 100}%`;
+        thumb.style.top = `${(1 - hsv[2]) * 100}%`;
+        thumb.style.backgroundColor = hex;
+        hue.value = Math.round(hsv[0]);
+        preview.style.backgroundColor = hex;
+        if (document.activeElement !== hexInput) hexInput.value = hex;
+        return hex;
+    };
+
+    const commit = () => actions.onChange(render());
+
+    // Saturation / value square
+    const pickSV = (e) => {
+        const rect = sv.getBoundingClientRect();
+        const s = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+        const v = 1 - Math.max(0, Math.min(1, (e.clientY - rect.top) / rect.height));
+        hsv = [hsv[0], s, v];
+        commit();
+    };
+    sv.onpointerdown = (e) => {
+        sv.setPointerCapture(e.pointerId);
+        pickSV(e);
+    };
+    sv.onpointermove = (e) => {
+        if (sv.hasPointerCapture(e.pointerId)) pickSV(e);
+    };
+
+    hue.oninput = () => {
+        hsv = [Number(hue.value), hsv[1], hsv[2]];
+        commit();
+    };
+
+    hexInput.oninput = () => {
+        const hex = normalizeHex(hexInput.value);
+        if (!hex) return;
+        hsv = hexToHsv(hex);
+        commit();
+    };
+    hexInput.onblur = render;
+
+    section.querySelector('.picker-save').onclick = () => actions.onSave(hsvToHex(hsv));
+
+    /**
+     * Show a color picked elsewhere (palette, eyedropper) without firing onChange
+     */
+    const setColor = (hex) => {
+        const normalized = normalizeHex(hex);
+        if (!normalized) return;
+        const next = hexToHsv(normalized);
+        // Greys have no hue; keep the slider where it was
+        if (next[1] === 0 || next[2] === 0) next[0] = hsv[0];
+        hsv = next;
+        render();
+    };
+
+    render();
+    return { element: section, setColor };
+};
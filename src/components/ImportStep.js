@@ -0,0 +1,189 @@
+import { readImagePixels, DEFAULT_LINE_ART_SETTINGS } from '../utils/image_processing';
+import { LineArtService } from '../services/line_art_service';
+
+const PREVIEW_DELAY = 150; // ms after the last change before reprocessing
+
+// Settings for each "Find lines by" button
+const MODES = {
+    dark: { edgeDetect: false, photo: false },
+    edges: { edgeDetect: true, photo: false },
+    photo: { edgeDetect: false, photo: true }
+};
+
+/**
+ * Import step between picking a page and coloring it: tune how the picture is turned into
+ * line art, with the original and the result side by side
+ * @param {HTMLImageElement} img - The picked page, loaded
+ * @param {Object} actions - { onConfirm(settings), onBack() }
+ * @param {Object} [initial] - Settings to start from (defaults to DEFAULT_LINE_ART_SETTINGS)
+ * @returns {HTMLElement}
+ */
+export const ImportStep = (img, actions, initial = {}) => {
+    let settings = { ...DEFAULT_LINE_ART_SETTINGS, ...initial };
+
+    const container = document.createElement('div');
+    container.className = "h-screen w-full flex items-center justify-center p-4 bg-gradient-to-br from-orange-50 via-pink-50 to-purple-50 fade-in";
+    container.innerHTML = `
+        <div class="w-full max-w-5xl max-h-full flex flex-col gap-4 p-6 bg-white/80 backdrop-blur-md rounded-3xl shadow-2xl border border-white/50">
+            <div class="flex items-center justify-between">
+                <h1 class="text-2xl font-bold text-stone-800">Get the lines just right</h1>
+                <span class="import-status text-xs text-stone-400"></span>
+            </div>
+            <div class="grid grid-cols-2 gap-4 min-h-0">
+                <div class="flex flex-col gap-1 min-h-0">
+                    <span class="text-xs font-bold text-stone-400 uppercase tracking-widest">Original</span>
+                    <img class="import-original w-full rounded-xl border border-stone-200 bg-white object-contain" style="max-height: 55vh" alt="Original page">
+                </div>
+                <div class="flex flex-col gap-1 min-h-0">
+                    <span class="text-xs font-bold text-stone-400 uppercase tracking-widest">Coloring page</span>
+                    <canvas class="import-result w-full rounded-xl border border-stone-200 bg-white object-contain" style="max-height: 55vh"></canvas>
+                </div>
+            </div>
+            <div class="grid grid-cols-2 gap-x-6 gap-y-3 text-sm text-stone-600">
+                <label class="import-threshold-row flex items-center gap-3" title="How dark a pixel must be to count as a line (outlines mode: how faint an edge may be)">
+                    <span class="w-28">Line threshold</span>
+                    <input type="range" class="import-threshold flex-1 h-1.5 bg-stone-200 rounded-lg appearance-none cursor-pointer accent-orange-500" min="20" max="250">
+                    <span class="import-threshold-value w-8 text-right text-xs text-stone-400"></span>
+                </label>
+                <label class="import-detail-row flex items-center gap-3" title="Few bold shapes, or lots of fine detail">
+                    <span class="w-28">Detail</span>
+                    <input type="range" class="import-detail flex-1 h-1.5 bg-stone-200 rounded-lg appearance-none cursor-pointer accent-orange-500" min="0" max="100">
+                    <span class="import-detail-value w-8 text-right text-xs text-stone-400"></span>
+                </label>
+                <label class="flex items-center gap-3" title="Thicken lines to close small gaps">
+                    <span class="w-28">Line thickening</span>
+                    <input type="range" class="import-dilation flex-1 h-1.5 bg-stone-200 rounded-lg appearance-none cursor-pointer accent-orange-500" min="0" max="4">
+                    <span class="import-dilation-value w-8 text-right text-xs text-stone-400"></span>
+                </label>
+                <label class="flex items-center gap-3 cursor-pointer select-none" title="Blur the picture slightly first, so specks and paper grain don't become lines">
+                    <input type="checkbox" class="import-blur accent-orange-500">
+                    Remove noise
+                </label>
+                <label class="import-paper-row flex items-center gap-3 cursor-pointer select-none" title="Turn tinted or unevenly lit scanned paper white">
+                    <input type="checkbox" class="import-paper accent-orange-500">
+                    Remove paper background
+                </label>
+                <div class="flex items-center gap-3">
+                    <span class="w-28">Find lines by</span>
+                    <button class="import-mode px-3 py-1.5 rounded-lg text-xs" data-mode="dark" title="Dark pixels become lines (for line art)">Darkness</button>
+                    <button class="import-mode px-3 py-1.5 rounded-lg text-xs" data-mode="edges" title="Outlines around shapes and color changes (for filled drawings)">Outlines</button>
+                    <button class="import-mode px-3 py-1.5 rounded-lg text-xs" data-mode="photo" title="Turn a photo into a coloring page">Photo</button>
+                </div>
+            </div>
+            <div class="flex items-center gap-2">
+                <button class="import-back px-4 py-2 text-stone-500 hover:text-stone-800">Back</button>
+                <button class="import-reset px-4 py-2 rounded-lg bg-stone-50 hover:bg-stone-100 text-sm text-stone-600">Reset</button>
+                <div class="flex-1"></div>
+                <button class="import-confirm px-6 py-2 bg-orange-100 text-orange-700 rounded-lg font-bold hover:bg-orange-200">Start coloring</button>
+            </div>
+        </div>
+    `;
+
+    const original = container.querySelector('.import-original');
+    const result = container.querySelector('.import-result');
+    const statusText = container.querySelector('.import-status');
+    const thresholdInput = container.querySelector('.import-threshold');
+    const thresholdValue = container.querySelector('.import-threshold-value');
+    const detailInput = container.querySelector('.import-detail');
+    const detailValue = container.querySelector('.import-detail-value');
+    const dilationInput = container.querySelector('.import-dilation');
+    const dilationValue = container.querySelector('.import-dilation-value');
+    const blurInput = container.querySelector('.import-blur');
+    const paperInput = container.querySelector('.import-paper');
+    const modeButtons = container.querySelectorAll('.import-mode');
+
+    original.src = img.src;
+
+    const currentMode = () => settings.photo ? 'photo' : settings.edgeDetect ? 'edges' : 'dark';
+
+    // Processing runs in a worker, one preview at a time; changes made meanwhile are picked up after
+    const service = new LineArtService();
+    const pixels = new Map(); // photo flag -> source pixels (photos are read scaled down)
+    let timer = 0;
+    let busy = false;
+    let stale = false;
+
+    const renderPreview = async () => {
+        timer = 0;
+        if (busy) {
+            stale = true;
+            return;
+        }
+        busy = true;
+        stale = false;
+
+        if (!pixels.has(settings.photo)) pixels.set(settings.photo, readImagePixels(img, settings.photo));
+        try {
+            const processed = await service.process(pixels.get(settings.photo), settings);
+            result.width = processed.width; // Photos may come out smaller than the original
+            result.height = processed.height;
+            result.getContext('2d').putImageData(new ImageData(processed.display, processed.width, processed.height), 0, 0);
+        } catch (e) {
+            console.warn('Preview failed', e);
+        }
+        busy = false;
+
+        if (stale) renderPreview();
+        else if (!timer) statusText.textContent = '';
+    };
+    const schedulePreview = () => {
+        statusText.textContent = 'Updating…';
+        clearTimeout(timer);
+        timer = setTimeout(renderPreview, PREVIEW_DELAY);
+    };
+    const leave = () => {
+        clearTimeout(timer);
+        service.destroy();
+    };
+
+    // Reflect settings in the controls
+    const syncControls = () => {
+        thresholdInput.value = settings.threshold;
+        thresholdValue.textContent = settings.threshold;
+        detailInput.value = settings.detail;
+        detailValue.textContent = settings.detail;
+        container.querySelector('.import-threshold-row').classList.toggle('hidden', settings.photo);
+        container.querySelector('.import-detail-row').classList.toggle('hidden', !settings.photo);
+        dilationInput.value = settings.dilationRadius;
+        dilationValue.textContent = settings.dilationRadius;
+        blurInput.checked = settings.gaussianBlur;
+        paperInput.checked = settings.removeBackground;
+        container.querySelector('.import-paper-row').classList.toggle('hidden', settings.photo);
+        modeButtons.forEach(btn => {
+            const selected = btn.dataset.mode === currentMode();
+            btn.classList.toggle('bg-orange-100', selected);
+            btn.classList.toggle('border-2', selected);
+            btn.classList.toggle('border-orange-400', selected);
+            btn.classList.toggle('bg-stone-50', !selected);
+        });
+    };
+
+    const change = (props) => {
+        settings = { ...settings, ...props };
+        syncControls();
+        schedulePreview();
+    };
+
+    thresholdInput.oninput = () => change({ threshold: parseInt(thresholdInput.value, 10) });
+    detailInput.oninput = () => change({ detail: parseInt(detailInput.value, 10) });
+    dilationInput.oninput = () => change({ dilationRadius: parseInt(dilationInput.value, 10) });
+    blurInput.onchange = () => change({ gaussianBlur: blurInput.checked });
+    paperInput.onchange = () => change({ removeBackground: paperInput.checked });
+    modeButtons.forEach(btn => {
+        btn.onclick = () => change(MODES[btn.dataset.mode]);
+    });
+    container.querySelector('.import-reset').onclick = () => change({ ...DEFAULT_LINE_ART_SETTINGS });
+    container.querySelector('.import-back').onclick = () => {
+        leave();
+        actions.onBack();
+    };
+    container.querySelector('.import-confirm').onclick = () => {
+        leave();
+        actions.onConfirm({ ...settings });
+    };
+
+    syncControls();
+    schedulePreview();
+
+    return container;
+};
@@ -0,0 +1,247 @@
+/**
+ * Layer Stack
+ * A set of same-size canvases stacked under the line art overlay.
+ * Each layer has its own visibility, opacity and blend mode; CSS shows
+ * the stack live and composite() flattens it with the same settings.
+ */
+
+// Blend modes supported by both CSS mix-blend-mode and canvas globalCompositeOperation
+export const BLEND_MODES = [
+    'normal', 'multiply', 'screen', 'overlay', 'darken', 'lighten',
+    'color-dodge', 'color-burn', 'hard-light', 'soft-light',
+    'difference', 'exclusion', 'hue', 'saturation', 'color', 'luminosity'
+];
+
+// Defaults per layer type
+export const LAYER_TYPES = {
+    fill: { name: 'Fills', blendMode: 'normal' },
+    paint: { name: 'Paint', blendMode: 'normal' },
+    effect: { name: 'Effects', blendMode: 'overlay' }
+};
+
+export class LayerStack {
+    /**
+     * @param {HTMLElement} parent - Element the layer canvases live in
+     * @param {HTMLElement} beforeNode - Layers are kept below this node (the line art)
+     * @param {number} width
+     * @param {number} height
+     * @param {Object} options - { onChange }
+     */
+    constructor(parent, beforeNode, width, height, options = {}) {
+        this.parent = parent;
+        this.beforeNode = beforeNode;
+        this.width = width;
+        this.height = height;
+        this.onChange = options.onChange;
+
+        this.layers = []; // Bottom to top
+        this.activeId = null;
+        this.nextId = 1;
+
+        // Paper layer: opaque white, erasing paints white instead of clearing
+        const base = this.add({ type: 'fill', background: true });
+        this.add({ type: 'paint' });
+        this.setActive(base.id);
+    }
+
+    createCanvas() {
+        const canvas = document.createElement('canvas');
+        canvas.width = this.width;
+        canvas.height = this.height;
+        canvas.style.position = 'absolute';
+        canvas.style.top = '0';
+        canvas.style.left = '0';
+        canvas.style.width = '100%';
+        canvas.style.height = '100%';
+        canvas.style.touchAction = 'none';
+        canvas.style.imageRendering = 'auto'; // Smooth scaling
+
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.imageSmoothingEnabled = true;
+        ctx.imageSmoothingQuality = 'high';
+
+        return { canvas, ctx };
+    }
+
+    /**
+     * Add a layer directly above the active one and make it active
+     * @param {Object} props - { type, name, visible, opacity, blendMode, background, id }
+     */
+    add(props = {}) {
+        const type = LAYER_TYPES[props.type] ? props.type : 'paint';
+        const { canvas, ctx } = this.createCanvas();
+
+        const layer = {
+            id: props.id || `layer-${this.nextId++}`,
+            type,
+            name: props.name || this.uniqueName(LAYER_TYPES[type].name),
+            visible: props.visible ?? true,
+            opacity: props.opacity ?? 1,
+            blendMode: props.blendMode || LAYER_TYPES[type].blendMode,
+            background: !!props.background,
+            canvas,
+            ctx
+        };
+
+        if (layer.background) {
+            ctx.fillStyle = '#FFFFFF';
+            ctx.fillRect(0, 0, this.width, this.height);
+        }
+
+        const activeIndex = this.layers.findIndex(l => l.id === this.activeId);
+        this.layers.splice(activeIndex + 1, 0, layer);
+        this.activeId = layer.id;
+
+        this.sync();
+        return layer;
+    }
+
+    /**
+     * Remove a layer (the last remaining layer can't be removed)
+     * @returns {boolean}
+     */
+    remove(id) {
+        if (this.layers.length <= 1) return false;
+        const index = this.layers.findIndex(l => l.id === id);
+        if (index < 0) return false;
+
+        const [layer] = this.layers.splice(index, 1);
+        layer.canvas.remove();
+
+        if (this.activeId === id) {
+            this.activeId = this.layers[Math.max(0, index - 1)].id;
+        }
+
+        this.sync();
+        return true;
+    }
+
+    /**
+     * Move a layer up (+1) or down (-1) in the stack
+     */
+    move(id, delta) {
+        const index = this.layers.findIndex(l => l.id === id);
+        const target = index + delta;
+        if (index < 0 || target < 0 || target >= this.layers.length) return;
+
+        const [layer] = this.layers.splice(index, 1);
+        this.layers.splice(target, 0, layer);
+        this.sync();
+    }
+
+    setActive(id) {
+        if (!this.get(id)) return;
+        this.activeId = id;
+        this.sync();
+    }
+
+    /**
+     * Change layer properties: { name, visible, opacity, blendMode }
+     */
+    update(id, props) {
+        const layer = this.get(id);
+        if (!layer) return;
+
+        if (props.name !== undefined) layer.name = props.name;
+        if (props.visible !== undefined) layer.visible = !!props.visible;
+        if (props.opacity !== undefined) layer.opacity = Math.max(0, Math.min(1, props.opacity));
+        if (props.blendMode !== undefined && BLEND_MODES.includes(props.blendMode)) layer.blendMode = props.blendMode;
+
+        this.sync();
+    }
+
+    get(id) {
+        return this.layers.find(l => l.id === id) || null;
+    }
+
+    getActive() {
+        return this.get(this.activeId);
+    }
+
+    uniqueName(base) {
+        const taken = new Set(this.layers.map(l => l.name));
+        if (!taken.has(base)) return base;
+        let n = 2;
+        while (taken.has(`${base} ${n}`)) n++;
+        return `${base} ${n}`;
+    }
+
+    /**
+     * Apply order and display settings to the DOM, then notify
+     */
+    sync() {
+        this.layers.forEach(layer => {
+            layer.canvas.style.display = layer.visible ? '' : 'none';
+            layer.canvas.style.opacity = layer.opacity;
+            layer.canvas.style.mixBlendMode = layer.blendMode;
+            this.parent.insertBefore(layer.canvas, this.beforeNode);
+        });
+
+        if (this.onChange) this.onChange(this.layers, this.activeId);
+    }
+
+    /**
+     * Flatten all visible layers onto a context
+     * @param {CanvasRenderingContext2D} targetCtx
+     * @param {Object} [rect] - { x, y, width, height } to flatten only part of the page (drawn at 0, 0)
+     */
+    composite(targetCtx, rect = null) {
+        this.layers.forEach(layer => {
+            if (!layer.visible) return;
+            targetCtx.save();
+            targetCtx.globalAlpha = layer.opacity;
+            targetCtx.globalCompositeOperation = layer.blendMode === 'normal' ? 'source-over' : layer.blendMode;
+            if (rect) {
+                targetCtx.drawImage(layer.canvas, rect.x, rect.y, rect.width, rect.height, 0, 0, rect.width, rect.height);
+            } else {
+                targetCtx.drawImage(layer.canvas, 0, 0);
+            }
+            targetCtx.restore();
+        });
+    }
+
+    /**
+     * Layer settings and pixels for persistence
+     */
+    serialize() {
+        return {
+            activeId: this.activeId,
+            layers: this.layers.map(({ canvas, ctx, ...props }) => ({
+                ...props,
+                data: canvas.toDataURL('image/png')
+            }))
+        };
+    }
+
+    /**
+     * Replace the stack with serialized layers
+     * @returns {Promise<void>} - Resolves once every layer's pixels are drawn
+     */
+    restore(saved) {
+        this.layers.forEach(l => l.canvas.remove());
+        this.layers = [];
+        this.activeId = null;
+
+        const loads = saved.layers.map(({ data, ...props }) => {
+            const layer = this.add(props);
+            const num = parseInt(String(layer.id).replace('layer-', ''), 10);
+            if (num >= this.nextId) this.nextId = num + 1;
+
+            return new Promise((resolve) => {
+                const img = new Image();
+                img.onload = () => {
+                    layer.ctx.clearRect(0, 0, this.width, this.height);
+                    layer.ctx.drawImage(img, 0, 0);
+                    resolve();
+                };
+                img.onerror = () => resolve();
+                img.src = data;
+            });
+        });
+
+        this.setActive(this.get(saved.activeId) ? saved.activeId : this.layers[0].id);
+        return Promise.all(loads);
+    }
+}
@@ -0,0 +1,67 @@
+import { BLEND_MODES } from './LayerStack';
+
+/**
+ * Layers panel for the left sidebar
+ * @param {Object} actions - { onAdd(type), onRemove(id), onMove(id, delta), onSelect(id), onChange(id, props) }
+ * @returns {{ element: HTMLElement, update: (layers, activeId) => void }}
+ */
+export const LayersPanel = (actions) => {
+    const section = document.createElement('div');
+    section.className = "py-4 border-b border-stone-100";
+    section.innerHTML = `
+        <div class="flex items-center justify-between mb-3">
+            <span class="text-xs text-orange-500 font-bold">Layers</span>
+            <div class="flex gap-1">
+                <button class="layer-add text-xs px-2 py-1 rounded-lg bg-stone-50 hover:bg-stone-100 text-stone-600" data-type="paint" title="Add paint layer">+ Paint</button>
+                <button class="layer-add text-xs px-2 py-1 rounded-lg bg-stone-50 hover:bg-stone-100 text-stone-600" data-type="fill" title="Add fill layer">+ Fill</button>
+                <button class="layer-add text-xs px-2 py-1 rounded-lg bg-stone-50 hover:bg-stone-100 text-stone-600" data-type="effect" title="Add effect layer">+ FX</button>
+            </div>
+        </div>
+        <div class="layer-list flex flex-col gap-2"></div>
+    `;
+
+    section.querySelectorAll('.layer-add').forEach(btn => {
+        btn.onclick = () => actions.onAdd(btn.dataset.type);
+    });
+
+    const list = section.querySelector('.layer-list');
+
+    const update = (layers, activeId) => {
+        list.innerHTML = '';
+
+        // Top of the stack first, like most paint programs
+        layers.slice().reverse().forEach((layer, i) => {
+            const isActive = layer.id === activeId;
+            const row = document.createElement('div');
+            row.className = `rounded-xl p-2 border-2 transition-colors ${isActive ? 'border-orange-400 bg-orange-50' : 'border-transparent bg-stone-50 hover:bg-stone-100'}`;
+            row.innerHTML = `
+                <div class="flex items-center gap-1">
+                    <button class="layer-visible w-6 text-sm ${layer.visible ? '' : 'opacity-30'}" title="Show/Hide">👁️</button>
+                    <button class="layer-select flex-1 text-left text-sm text-stone-700 truncate" title="Select layer">${layer.name}</button>
+                    <button class="layer-up w-5 text-xs text-stone-400 hover:text-stone-700 disabled:opacity-20" title="Move up" ${i === 0 ? 'disabled' : ''}>▲</button>
+                    <button class="layer-down w-5 text-xs text-stone-400 hover:text-stone-700 disabled:opacity-20" title="Move down" ${i === layers.length - 1 ? 'disabled' : ''}>▼</button>
+                    <button class="layer-remove w-5 text-xs text-stone-400 hover:text-red-500 disabled:opacity-20" title="Delete layer" ${layers.length <= 1 ? 'disabled' : ''}>✕</button>
+                </div>
+                <div class="flex items-center gap-2 mt-1">
+                    <input type="range" class="layer-opacity flex-1 h-1 bg-stone-200 rounded-lg appearance-none cursor-pointer accent-orange-500"
+                        min="0" max="100" value="${Math.round(layer.opacity * 100)}" title="Opacity">
+                    <select class="layer-blend bg-transparent text-xs text-stone-500 outline-none cursor-pointer w-20" title="Blend mode">
+                        ${BLEND_MODES.map(m => `<option value="${m}" ${m === layer.blendMode ? 'selected' : ''}>${m}</option>`).join('')}
+                    </select>
+                </div>
+            `;
+
+            row.querySelector('.layer-select').onclick = () => actions.onSelect(layer.id);
+            row.querySelector('.layer-visible').onclick = () => actions.onChange(layer.id, { visible: !layer.visible });
+            row.querySelector('.layer-up').onclick = () => actions.onMove(layer.id, 1);
+            row.querySelector('.layer-down').onclick = () => actions.onMove(layer.id, -1);
+            row.querySelector('.layer-remove').onclick = () => actions.onRemove(layer.id);
+            row.querySelector('.layer-opacity').onchange = (e) => actions.onChange(layer.id, { opacity: e.target.value / 100 });
+            row.querySelector('.layer-blend').onchange = (e) => actions.onChange(layer.id, { blendMode: e.target.value });
+
+            list.appendChild(row);
+        });
+    };
+
+    return { element: section, update };
+};
@@ -0,0 +1,130 @@
+const MAP_MAX_SIDE = 160; // Thumbnail size in CSS pixels
+
+/**
+ * Minimap of the page with the visible area outlined (drag it, or click to jump),
+ * plus zoom and rotation buttons
+ * @param {Object} actions - { renderPage(ctx), onMoveView({ x, y }), onZoomIn(), onZoomOut(), onZoomReset(), onFit(), onRotate(steps), onResetRotation() }
+ * @returns {{ element: HTMLElement, update: (view: Object) => void, refresh: () => void }}
+ */
+export const Navigator = (actions) => {
+    const section = document.createElement('div');
+    section.className = "absolute bottom-3 right-3 z-20 bg-white/95 rounded-xl shadow-[0_4px_20px_rgba(0,0,0,0.12)] p-2 flex flex-col gap-2 select-none";
+    section.innerHTML = `
+        <div class="nav-map relative rounded-lg overflow-hidden border border-stone-100 cursor-move touch-none">
+            <canvas class="nav-thumb block"></canvas>
+            <svg class="nav-view absolute inset-0 w-full h-full pointer-events-none" preserveAspectRatio="none">
+                <polygon fill="rgba(249, 115, 22, 0.12)" stroke="#f97316" stroke-width="2" vector-effect="non-scaling-stroke"></polygon>
+            </svg>
+        </div>
+        <div class="flex items-center gap-1 text-xs text-stone-600">
+            <button class="nav-zoom-out w-7 h-7 rounded-lg bg-stone-50 hover:bg-stone-100" title="Zoom out">−</button>
+            <button class="nav-zoom-reset min-w-[3rem] h-7 rounded-lg hover:bg-stone-100 tabular-nums" title="Actual size (100%)">100%</button>
+            <button class="nav-zoom-in w-7 h-7 rounded-lg bg-stone-50 hover:bg-stone-100" title="Zoom in">+</button>
+            <button class="nav-fit px-2 h-7 rounded-lg bg-stone-50 hover:bg-stone-100" title="Fit to screen">Fit</button>
+            <div class="w-px h-4 bg-stone-200 mx-0.5"></div>
+            <button class="nav-rotate-left w-7 h-7 rounded-lg bg-stone-50 hover:bg-stone-100" title="Rotate left 15°">⟲</button>
+            <button class="nav-rotate-reset min-w-[2.5rem] h-7 rounded-lg hover:bg-stone-100 tabular-nums" title="Straighten">0°</button>
+            <button class="nav-rotate-right w-7 h-7 rounded-lg bg-stone-50 hover:bg-stone-100" title="Rotate right 15°">⟳</button>
+            <button class="nav-toggle w-7 h-7 rounded-lg text-stone-400 hover:text-stone-700 hover:bg-stone-100" title="Hide map">▾</button>
+        </div>
+    `;
+
+    const map = section.querySelector('.nav-map');
+    const thumb = section.querySelector('.nav-thumb');
+    const svg = section.querySelector('.nav-view');
+    const viewBox = svg.querySelector('polygon');
+    const zoomText = section.querySelector('.nav-zoom-reset');
+    const rotationText = section.querySelector('.nav-rotate-reset');
+    const toggleBtn = section.querySelector('.nav-toggle');
+
+    let page = null;   // { width, height } once the first view arrives
+    let corners = [];  // Visible area in page coordinates
+    let frame = 0;     // Pending thumbnail redraw
+
+    section.querySelector('.nav-zoom-out').onclick = () => actions.onZoomOut();
+    section.querySelector('.nav-zoom-in').onclick = () => actions.onZoomIn();
+    section.querySelector('.nav-fit').onclick = () => actions.onFit();
+    section.querySelector('.nav-rotate-left').onclick = () => actions.onRotate(-1);
+    section.querySelector('.nav-rotate-right').onclick = () => actions.onRotate(1);
+    zoomText.onclick = () => actions.onZoomReset();
+    rotationText.onclick = () => actions.onResetRotation();
+    toggleBtn.onclick = () => {
+        const hidden = map.classList.toggle('hidden');
+        toggleBtn.textContent = hidden ? '▴' : '▾';
+        toggleBtn.title = hidden ? 'Show map' : 'Hide map';
+        if (!hidden) refresh();
+    };
+
+    const toPage = (e) => {
+        const rect = thumb.getBoundingClientRect();
+        return {
+            x: (e.clientX - rect.left) / rect.width * page.width,
+            y: (e.clientY - rect.top) / rect.height * page.height
+        };
+    };
+
+    const viewCenter = () => ({
+        x: corners.reduce((sum, p) => sum + p.x, 0) / corners.length,
+        y: corners.reduce((sum, p) => sum + p.y, 0) / corners.length
+    });
+
+    // Is a page point inside the (possibly rotated) visible area?
+    const inView = (p) => corners.every((a, i) => {
+        const b = corners[(i + 1) % corners.length];
+        return (b.x - a.x) * (p.y - a.y) - (b.y - a.y) * (p.x - a.x) >= 0;
+    });
+
+    // Grabbing the outline drags it; anywhere else jumps there first
+    let drag = null; // { pointerId, offset }
+    map.onpointerdown = (e) => {
+        if (!page || corners.length === 0) return;
+        const p = toPage(e);
+        const center = viewCenter();
+        drag = { pointerId: e.pointerId, offset: inView(p) ? { x: center.x - p.x, y: center.y - p.y } : { x: 0, y: 0 } };
+        map.setPointerCapture(e.pointerId);
+        actions.onMoveView({ x: p.x + drag.offset.x, y: p.y + drag.offset.y });
+    };
+    map.onpointermove = (e) => {
+        if (!drag || drag.pointerId !== e.pointerId) return;
+        const p = toPage(e);
+        actions.onMoveView({ x: p.x + drag.offset.x, y: p.y + drag.offset.y });
+    };
+    map.onpointerup = map.onpointercancel = () => {
+        drag = null;
+    };
+
+    /**
+     * Redraw the thumbnail on the next frame (call after the picture changes)
+     */
+    const refresh = () => {
+        if (!page || frame || map.classList.contains('hidden')) return;
+        frame = requestAnimationFrame(() => {
+            frame = 0;
+            actions.renderPage(thumb.getContext('2d'));
+        });
+    };
+
+    /**
+     * @param {Object} view - { zoom, rotation, corners, width, height }
+     */
+    const update = (view) => {
+        if (!page || page.width !== view.width || page.height !== view.height) {
+            page = { width: view.width, height: view.height };
+            const scale = Math.min(MAP_MAX_SIDE / page.width, MAP_MAX_SIDE / page.height);
+            const dpr = window.devicePixelRatio || 1;
+            thumb.style.width = `${Math.round(page.width * scale)}px`;
+            thumb.style.height = `${Math.round(page.height * scale)}px`;
+            thumb.width = Math.round(page.width * scale * dpr);
+            thumb.height = Math.round(page.height * scale * dpr);
+            svg.setAttribute('viewBox', `0 0 ${page.width} ${page.height}`);
+            refresh();
+        }
+
+        corners = view.corners;
+        viewBox.setAttribute('points', corners.map(p => `${p.x},${p.y}`).join(' '));
+        zoomText.textContent = `${Math.round(view.zoom * 100)}%`;
+        rotationText.textContent = `${Math.round(view.rotation)}°`;
+    };
+
+    return { element: section, update, refresh };
+};
@@ -0,0 +1,106 @@
+/**
+ * Palettes for the left sidebar, rendered from the palette store
+ * @param {Object} actions - { onSelectColor(button), onCreate(), onRename(id, name), onMove(id, delta),
+ *                            onRemove(id), onAddColor(id), onRemoveColor(id, index), onImport(file), onExport(id, format) }
+ * @returns {{ element: HTMLElement, update: (palettes) => void }}
+ */
+export const PalettesPanel = (actions) => {
+    const section = document.createElement('div');
+    section.innerHTML = `
+        <div class="flex items-center justify-between pt-4">
+            <span class="text-xs text-stone-400">Palettes</span>
+            <div class="flex gap-1">
+                <button class="palette-new text-xs px-2 py-1 rounded-lg bg-stone-50 hover:bg-stone-100 text-stone-600" title="New palette">+ New</button>
+                <button class="palette-import text-xs px-2 py-1 rounded-lg bg-stone-50 hover:bg-stone-100 text-stone-600" title="Import .gpl, .ase or .json">Import</button>
+                <input type="file" class="palette-file hidden" accept=".gpl,.ase,.json" multiple>
+            </div>
+        </div>
+        <div class="palette-list"></div>
+    `;
+
+    const fileInput = section.querySelector('.palette-file');
+    section.querySelector('.palette-new').onclick = () => actions.onCreate();
+    section.querySelector('.palette-import').onclick = () => fileInput.click();
+    fileInput.onchange = () => {
+        [...fileInput.files].forEach(file => actions.onImport(file));
+        fileInput.value = '';
+    };
+
+    const list = section.querySelector('.palette-list');
+
+    const update = (palettes) => {
+        list.innerHTML = '';
+
+        palettes.forEach((palette, i) => {
+            const block = document.createElement('div');
+            block.className = `py-4 ${i < palettes.length - 1 ? 'border-b border-stone-100' : ''}`;
+            block.innerHTML = `
+                <div class="flex items-center gap-1 mb-3">
+                    <input type="text" class="palette-name flex-1 min-w-0 bg-transparent text-xs text-orange-500 font-bold outline-none rounded focus:ring-2 focus:ring-orange-300" title="Rename">
+                    <button class="palette-up w-5 text-xs text-stone-400 hover:text-stone-700 disabled:opacity-20" title="Move up" ${i === 0 ? 'disabled' : ''}>▲</button>
+                    <button class="palette-down w-5 text-xs text-stone-400 hover:text-stone-700 disabled:opacity-20" title="Move down" ${i === palettes.length - 1 ? 'disabled' : ''}>▼</button>
+                    <select class="palette-export w-5 bg-transparent text-xs text-stone-400 hover:text-stone-700 outline-none cursor-pointer appearance-none text-center" title="Export">
+                        <option value="">⤓</option>
+                        <option value="gpl">GIMP (.gpl)</option>
+                        <option value="ase">Adobe (.ase)</option>
+                        <option value="json">JSON</option>
+                    </select>
+                    <button class="palette-remove w-5 text-xs text-stone-400 hover:text-red-500" title="Delete palette">✕</button>
+                </div>
+                <div class="palette-grid grid grid-cols-3 lg:grid-cols-6 gap-2"></div>
+            `;
+
+            const nameInput = block.querySelector('.palette-name');
+            nameInput.value = palette.name;
+            nameInput.onchange = () => {
+                const name = nameInput.value.trim();
+                if (name) actions.onRename(palette.id, name);
+                else nameInput.value = palette.name;
+            };
+            nameInput.onkeydown = (e) => {
+                if (e.key === 'Enter') nameInput.blur();
+            };
+
+            block.querySelector('.palette-up').onclick = () => actions.onMove(palette.id, -1);
+            block.querySelector('.palette-down').onclick = () => actions.onMove(palette.id, 1);
+            block.querySelector('.palette-remove').onclick = () => actions.onRemove(palette.id);
+            block.querySelector('.palette-export').onchange = (e) => {
+                if (e.target.value) actions.onExport(palette.id, e.target.value);
+                e.target.value = '';
+            };
+
+            const grid = block.querySelector('.palette-grid');
+            palette.colors.forEach((c, index) => {
+                const wrap = document.createElement('div');
+                wrap.className = "relative group";
+
+                const btn = document.createElement('button');
+                btn.className = "color-btn w-8 h-8 rounded-full border-2 border-white shadow-sm transition-all hover:scale-110";
+                btn.style.backgroundColor = c;
+                btn.dataset.color = c;
+                btn.onclick = (e) => actions.onSelectColor(e.currentTarget);
+                wrap.appendChild(btn);
+
+                const remove = document.createElement('button');
+                remove.className = "absolute -top-1 -right-1 w-4 h-4 rounded-full bg-white shadow text-[10px] leading-none text-stone-400 hover:text-red-500 hidden group-hover:block";
+                remove.title = 'Remove color';
+                remove.textContent = '✕';
+                remove.onclick = () => actions.onRemoveColor(palette.id, index);
+                wrap.appendChild(remove);
+
+                grid.appendChild(wrap);
+            });
+
+            const add = document.createElement('button');
+            add.className = "w-8 h-8 rounded-full border-2 border-dashed border-stone-300 text-stone-400 hover:border-orange-400 hover:text-orange-500 transition-colors";
+            add.title = 'Add the current color';
+            add.textContent = '+';
+            add.onclick = () => actions.onAddColor(palette.id);
+            grid.appendChild(add);
+
+            list.appendChild(block);
+        });
+    };
+
+    return { element: section, update };
+};
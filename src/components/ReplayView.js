@@ -0,0 +1,222 @@
+import { createPalette, encodeGIF } from '../utils/gif_encoder';
+
+const SPEEDS = [1, 2, 4, 8, 16];
+const VIEW_MAX_SIDE = 800; // Display size of the replay canvas
+const GIF_MAX_SIDE = 480;
+const GIF_MAX_FRAMES = 120;
+const END_HOLD = 1500; // ms the finished picture stays up at the end of an export
+
+/**
+ * Time-lapse player: replays a coloring session at adjustable speed and exports it as WebM or GIF
+ * @param {Replay} replay - CanvasEditor.createReplay() result
+ * @param {Object} actions - { onClose() }
+ * @returns {{ element: HTMLElement, destroy: () => void }}
+ */
+export const ReplayView = (replay, actions) => {
+    const { width, height } = replay.page;
+    const empty = replay.entries.length === 0;
+    const duration = Math.max(1, replay.duration);
+
+    const overlay = document.createElement('div');
+    overlay.className = "fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4";
+    overlay.innerHTML = `
+        <div class="bg-white rounded-2xl shadow-xl p-4 flex flex-col gap-3 max-w-full max-h-full">
+            <div class="flex items-center justify-between">
+                <span class="text-sm text-orange-500 font-bold">🎞️ Time-lapse</span>
+                <button class="replay-close w-8 h-8 rounded-lg text-stone-400 hover:text-stone-700 hover:bg-stone-100 disabled:opacity-30" title="Close">✕</button>
+            </div>
+            <canvas class="replay-canvas rounded-xl border border-stone-100 max-w-full object-contain" style="max-height: 65vh"></canvas>
+            <div class="flex items-center gap-2">
+                <button class="replay-play w-9 h-9 rounded-lg bg-orange-100 hover:bg-orange-200 text-stone-700 disabled:opacity-30" title="Play / pause">▶</button>
+                <input type="range" class="replay-seek flex-1 h-1.5 bg-stone-200 rounded-lg appearance-none cursor-pointer accent-orange-500" min="0" max="${duration}" value="0" title="Jump to">
+                <select class="replay-speed py-1 rounded-lg bg-stone-50 text-xs text-stone-600 outline-none cursor-pointer" title="Speed">
+                    ${SPEEDS.map(s => `<option value="${s}" ${s === 4 ? 'selected' : ''}>${s}×</option>`).join('')}
+                </select>
+            </div>
+            <div class="flex items-center gap-2">
+                <button class="replay-webm px-3 py-1.5 rounded-lg bg-stone-50 hover:bg-stone-100 text-xs text-stone-600 disabled:opacity-30 disabled:cursor-not-allowed" title="Record the replay as a video">🎬 Video</button>
+                <button class="replay-gif px-3 py-1.5 rounded-lg bg-stone-50 hover:bg-stone-100 text-xs text-stone-600 disabled:opacity-30 disabled:cursor-not-allowed" title="Save the replay as an animated GIF">🖼️ GIF</button>
+                <span class="replay-status flex-1 text-xs text-stone-400 text-right"></span>
+            </div>
+        </div>
+    `;
+
+    const canvas = overlay.querySelector('.replay-canvas');
+    const scale = Math.min(1, VIEW_MAX_SIDE / Math.max(width, height));
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    const ctx = canvas.getContext('2d');
+
+    const closeBtn = overlay.querySelector('.replay-close');
+    const playBtn = overlay.querySelector('.replay-play');
+    const seekInput = overlay.querySelector('.replay-seek');
+    const speedSelect = overlay.querySelector('.replay-speed');
+    const webmBtn = overlay.querySelector('.replay-webm');
+    const gifBtn = overlay.querySelector('.replay-gif');
+    const statusText = overlay.querySelector('.replay-status');
+
+    let time = 0;
+    let playing = null; // { frame, last, resolve } while playing
+    let busy = false;   // Exporting
+
+    const setStatus = (text) => { statusText.textContent = text; };
+
+    const setBusy = (value, text = '') => {
+        busy = value;
+        [closeBtn, playBtn, webmBtn, gifBtn, seekInput, speedSelect].forEach(el => el.disabled = value || (empty && el !== closeBtn));
+        setStatus(text);
+    };
+
+    const show = async (t) => {
+        await replay.seek(t);
+        replay.render(ctx);
+    };
+
+    const pause = () => {
+        if (!playing) return;
+        cancelAnimationFrame(playing.frame);
+        playing.resolve();
+        playing = null;
+        playBtn.textContent = '▶';
+    };
+
+    /**
+     * Play from the current time to the end
+     * @returns {Promise<void>} - Resolves at the end or when paused
+     */
+    const play = () => {
+        pause();
+        if (time >= replay.duration) time = 0;
+        playBtn.textContent = '⏸';
+
+        return new Promise(resolve => {
+            playing = { frame: 0, last: performance.now(), resolve };
+            const tick = (now) => {
+                if (!playing) return;
+                time = Math.min(replay.duration, time + (now - playing.last) * Number(speedSelect.value));
+                playing.last = now;
+                seekInput.value = time;
+                show(time);
+
+                if (time >= replay.duration) {
+                    // Let the last frame land before reporting the end
+                    replay.seeking.then(pause);
+                    return;
+                }
+                playing.frame = requestAnimationFrame(tick);
+            };
+            playing.frame = requestAnimationFrame(tick);
+        });
+    };
+
+    /**
+     * Keep redrawing the current frame for a while (a recorded stream only advances on redraws)
+     */
+    const hold = (ms) => new Promise(resolve => {
+        const until = performance.now() + ms;
+        const tick = (now) => {
+            replay.render(ctx);
+            if (now >= until) resolve();
+            else requestAnimationFrame(tick);
+        };
+        requestAnimationFrame(tick);
+    });
+
+    const download = (blob, filename) => {
+        const link = document.createElement('a');
+        link.download = filename;
+        link.href = URL.createObjectURL(blob);
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    };
+
+    const exportWebM = async () => {
+        const type = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+            .find(t => window.MediaRecorder && MediaRecorder.isTypeSupported(t));
+        if (!type || !canvas.captureStream) {
+            setStatus('Video export is not supported in this browser');
+            return;
+        }
+
+        pause();
+        setBusy(true, 'Recording…');
+        const recorder = new MediaRecorder(canvas.captureStream(30), { mimeType: type });
+        const chunks = [];
+        recorder.ondataavailable = (e) => {
+            if (e.data.size) chunks.push(e.data);
+        };
+        const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+
+        time = 0;
+        await show(0);
+        recorder.start();
+        await play();
+        await hold(END_HOLD);
+        recorder.stop();
+        await stopped;
+
+        download(new Blob(chunks, { type: 'video/webm' }), 'my-coloring-timelapse.webm');
+        setBusy(false);
+    };
+
+    const exportGIF = async () => {
+        pause();
+        setBusy(true, 'Making GIF…');
+
+        const gifScale = Math.min(1, GIF_MAX_SIDE / Math.max(width, height));
+        const gifCanvas = document.createElement('canvas');
+        gifCanvas.width = Math.round(width * gifScale);
+        gifCanvas.height = Math.round(height * gifScale);
+        const gifCtx = gifCanvas.getContext('2d', { willReadFrequently: true });
+        const grab = () => {
+            replay.render(gifCtx);
+            return gifCtx.getImageData(0, 0, gifCanvas.width, gifCanvas.height).data;
+        };
+
+        // The finished picture has every color the replay will show
+        await replay.seek(replay.duration);
+        const palette = createPalette(grab());
+
+        const count = Math.min(GIF_MAX_FRAMES, replay.entries.length + 1);
+        const delay = replay.duration / Number(speedSelect.value) / Math.max(1, count - 1);
+        const frames = [];
+        for (let i = 0; i < count; i++) {
+            await replay.seek(count > 1 ? replay.duration * i / (count - 1) : replay.duration);
+            frames.push({ indices: palette.indexPixels(grab()), delay: i === count - 1 ? END_HOLD : delay });
+            setStatus(`Making GIF… ${Math.round(100 * (i + 1) / count)}%`);
+            await new Promise(resolve => requestAnimationFrame(resolve)); // Keep the page responsive
+        }
+
+        download(encodeGIF({ width: gifCanvas.width, height: gifCanvas.height, palette: palette.table, frames }), 'my-coloring-timelapse.gif');
+        setBusy(false);
+        show(time);
+    };
+
+    playBtn.onclick = () => {
+        if (playing) pause();
+        else play();
+    };
+    seekInput.oninput = () => {
+        pause();
+        time = Number(seekInput.value);
+        show(time);
+    };
+    webmBtn.onclick = () => exportWebM();
+    gifBtn.onclick = () => exportGIF();
+    closeBtn.onclick = () => {
+        if (!busy) actions.onClose();
+    };
+    overlay.onclick = (e) => {
+        if (e.target === overlay && !busy) actions.onClose();
+    };
+
+    setBusy(false, empty ? 'Color something first to make a time-lapse' : '');
+    show(0);
+
+    const destroy = () => {
+        pause();
+        overlay.remove();
+    };
+
+    return { element: overlay, destroy };
+};
@@ -0,0 +1,133 @@
+import { ShortcutManager, SHORTCUT_ACTIONS, FIXED_SHORTCUTS } from '../services/shortcut_manager';
+
+const KEY_NAMES = {
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    Escape: 'Esc',
+    Delete: 'Del',
+    Backspace: '⌫'
+};
+
+const formatCombo = (combo) => combo.split(/\+(?!$)/).map(k => KEY_NAMES[k] || k).join(' + ');
+
+const keyCaps = (keys) => keys.length
+    ? keys.map(k => `<kbd class="px-1.5 py-0.5 rounded-md bg-stone-100 border border-stone-200 text-xs text-stone-700 font-mono">${formatCombo(k)}</kbd>`).join(' ')
+    : '<span class="text-xs text-stone-300">none</span>';
+
+/**
+ * Shortcut list; click a binding and press a key to change it
+ * @param {Object} actions - { onClose() }
+ * @returns {{ element: HTMLElement, destroy: () => void }}
+ */
+export const ShortcutsHelp = (actions) => {
+    const overlay = document.createElement('div');
+    overlay.className = "fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4";
+    overlay.innerHTML = `
+        <div class="bg-white rounded-2xl shadow-xl p-4 flex flex-col gap-3 w-full max-w-lg max-h-full">
+            <div class="flex items-center justify-between">
+                <span class="text-sm text-orange-500 font-bold">⌨️ Keyboard shortcuts</span>
+                <button class="shortcuts-close w-8 h-8 rounded-lg text-stone-400 hover:text-stone-700 hover:bg-stone-100" title="Close">✕</button>
+            </div>
+            <div class="shortcuts-list flex flex-col gap-3 overflow-y-auto"></div>
+            <div class="flex items-center gap-2">
+                <span class="shortcuts-status flex-1 text-xs text-stone-400">Click a shortcut to change it</span>
+                <button class="shortcuts-reset px-3 py-1.5 rounded-lg bg-stone-50 hover:bg-stone-100 text-xs text-stone-600">Reset to defaults</button>
+            </div>
+        </div>
+    `;
+
+    const list = overlay.querySelector('.shortcuts-list');
+    const statusText = overlay.querySelector('.shortcuts-status');
+    let capturing = null; // Action id waiting for its new key
+
+    const render = () => {
+        const groups = [...new Set(SHORTCUT_ACTIONS.map(a => a.group))];
+        list.innerHTML = groups.map(group => `
+            <div>
+                <div class="text-xs text-stone-400 font-bold mb-1">${group}</div>
+                ${SHORTCUT_ACTIONS.filter(a => a.group === group).map(a => `
+                    <div class="flex items-center justify-between py-0.5">
+                        <span class="text-sm text-stone-600">${a.label}</span>
+                        <span class="flex items-center gap-1">
+                            <button class="shortcut-bind px-2 py-1 rounded-lg ${capturing === a.id ? 'bg-orange-100 border-2 border-orange-400' : 'hover:bg-stone-50'}" data-action="${a.id}" title="Change">
+                                ${capturing === a.id ? '<span class="text-xs text-orange-700">Press a key…</span>' : keyCaps(ShortcutManager.bindings[a.id])}
+                            </button>
+                            <button class="shortcut-unbind w-5 text-xs text-stone-300 hover:text-red-500" data-action="${a.id}" title="Remove shortcut">✕</button>
+                        </span>
+                    </div>
+                `).join('')}
+            </div>
+        `).join('') + `
+            <div>
+                <div class="text-xs text-stone-400 font-bold mb-1">Editing</div>
+                ${FIXED_SHORTCUTS.map(s => `
+                    <div class="flex items-center justify-between py-0.5">
+                        <span class="text-sm text-stone-600">${s.label}</span>
+                        <span class="px-2 py-1">${keyCaps(s.keys)}</span>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+
+        list.querySelectorAll('.shortcut-bind').forEach(btn => {
+            btn.onclick = () => {
+                capturing = capturing === btn.dataset.action ? null : btn.dataset.action;
+                statusText.textContent = capturing ? 'Press the new key, or Esc to keep the old one' : 'Click a shortcut to change it';
+                render();
+            };
+        });
+        list.querySelectorAll('.shortcut-unbind').forEach(btn => {
+            btn.onclick = () => {
+                ShortcutManager.unbind(btn.dataset.action);
+                render();
+            };
+        });
+    };
+
+    // Capture phase on window: runs before the editor and app shortcuts, which are kept from seeing the key
+    const handleKeyDown = (e) => {
+        e.stopPropagation();
+        if (!capturing) {
+            if (e.key === 'Escape') actions.onClose();
+            return;
+        }
+
+        const combo = ShortcutManager.comboFromEvent(e);
+        if (!combo) return;
+        e.preventDefault();
+
+        if (combo === 'Escape') {
+            statusText.textContent = 'Click a shortcut to change it';
+        } else if (ShortcutManager.rebind(capturing, combo)) {
+            statusText.textContent = `${formatCombo(combo)} saved`;
+        } else {
+            statusText.textContent = `${formatCombo(combo)} is a built-in shortcut`;
+            return; // Keep waiting for another key
+        }
+        capturing = null;
+        render();
+    };
+    window.addEventListener('keydown', handleKeyDown, true);
+
+    overlay.querySelector('.shortcuts-close').onclick = () => actions.onClose();
+    overlay.querySelector('.shortcuts-reset').onclick = () => {
+        ShortcutManager.reset();
+        capturing = null;
+        statusText.textContent = 'Shortcuts reset';
+        render();
+    };
+    overlay.onclick = (e) => {
+        if (e.target === overlay) actions.onClose();
+    };
+
+    render();
+
+    const destroy = () => {
+        window.removeEventListener('keydown', handleKeyDown, true);
+        overlay.remove();
+    };
+
+    return { element: overlay, destroy };
+};
@@ -30,6 +30,15 @@ export const WelcomeScreen = (onSelectImage, coloringPages = []) => {
     galleryTitle.className = "text-sm font-bold text-stone-400 uppercase tracking-widest mb-4";
     galleryTitle.innerText = "Select a Coloring Page";
 
+    // Color-by-number toggle (applies to gallery pages and uploads)
+    const modeToggle = document.createElement('label');
+    modeToggle.className = "inline-flex items-center gap-2 mb-4 px-4 py-2 rounded-full bg-stone-100 text-sm text-stone-600 cursor-pointer select-none hover:bg-orange-50";
+    modeToggle.innerHTML = `
+        <input type="checkbox" id="color-by-number-toggle" class="accent-orange-500">
+        🔢 Color by number
+    `;
+    const isColorByNumber = () => modeToggle.querySelector('input').checked;
+
     const gallery = document.createElement('div');
     gallery.className = "grid grid-cols-2 md:grid-cols-4 gap-4";
 
@@ -42,11 +51,12 @@ export const WelcomeScreen = (onSelectImage, coloringPages = []) => {
                 <span class="text-white font-bold text-sm">${page.name}</span>
             </div>
         `;
-        item.onclick = () => onSelectImage(page.src);
+        item.onclick = () => onSelectImage(page.src, { colorByNumber: isColorByNumber(), answer: page.answer });
         gallery.appendChild(item);
     });
 
     gallerySection.appendChild(galleryTitle);
+    gallerySection.appendChild(modeToggle);
     gallerySection.appendChild(gallery);
 
     // Divider
@@ -79,7 +89,7 @@ export const WelcomeScreen = (onSelectImage, coloringPages = []) => {
         <svg class="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
             <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 16l4.586-4.586a2 2 0 012.828 0L16 16m-2-2l1.586-1.586a2 2 0 012.828 0L20 14m-6-6h.01M6 20h12a2 2 0 002-2V6a2 2 0 00-2-2H6a2 2 0 00-2 2v12a2 2 0 002 2z"></path>
         </svg>
-        Upload Custom Line Art
+        Upload Line Art or a Photo
     `;
 
     uploadButton.onclick = () => fileInput.click();
@@ -88,7 +98,7 @@ export const WelcomeScreen = (onSelectImage, coloringPages = []) => {
         if (e.target.files && e.target.files[0]) {
             const reader = new FileReader();
             reader.onload = (ev) => {
-                onSelectImage(ev.target.result);
+                onSelectImage(ev.target.result, { colorByNumber: isColorByNumber() });
             };
             reader.readAsDataURL(e.target.files[0]);
         }
@@ -101,7 +111,7 @@ export const WelcomeScreen = (onSelectImage, coloringPages = []) => {
     // Footer hint
     const hint = document.createElement('p');
     hint.className = "text-xs text-stone-400 mt-6";
-    hint.innerText = "Tip: Use black & white line art images for best results!";
+    hint.innerText = "Tip: Black & white line art works best. For a photo, choose \"Photo\" in the next step!";
 
     // Assemble
     card.appendChild(title);
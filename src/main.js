@@ -1,40 +1,74 @@
 import { WelcomeScreen } from './components/WelcomeScreen';
+import { ImportStep } from './components/ImportStep';
 import { CanvasEditor } from './components/CanvasEditor';
+import { LayersPanel } from './components/LayersPanel';
+import { ColorPicker } from './components/ColorPicker';
+import { PalettesPanel } from './components/PalettesPanel';
+import { ReplayView } from './components/ReplayView';
+import { Navigator } from './components/Navigator';
+import { ShortcutsHelp } from './components/ShortcutsHelp';
 import { AudioManager } from './services/audio_manager';
+import { BRUSH_PRESETS } from './services/brush_engine';
+import { ColorStore } from './services/color_store';
+import { PaletteStore, DEFAULT_PALETTES } from './services/palette_store';
+import { ShortcutManager } from './services/shortcut_manager';
+import { ProjectStore } from './services/project_store';
+import { createColorByNumber } from './utils/color_by_number';
+import { parsePaletteFile, toGPL, toASE, toJSON } from './utils/palette_formats';
+import { PATTERNS } from './utils/fill_styles';
+import { STICKERS } from './utils/stickers';
 import './style.css';
 
 const app = document.querySelector('#app');
 let APP_DATA = { music: [], images: [] }; // Store loaded config
 
 // Persistence Logic
-const saveState = (imageSrc, editor) => {
-    try {
-        const state = {
-            imageSrc: imageSrc,
-            drawingData: editor.getDrawingData(),
-            timestamp: Date.now(),
-            audio: {
-                track: AudioManager.getCurrentTrack(),
-                paused: AudioManager.audio ? AudioManager.audio.paused : true,
-                muted: AudioManager.isMuted(),
-                volume: AudioManager.getVolume()
-            }
-        };
-        localStorage.setItem('vibe_coloring_state', JSON.stringify(state));
-    } catch (e) {
-        console.warn('Save failed', e);
-    }
+// Encoding every layer is slow, so changes are written once they pause for SAVE_DELAY
+const SAVE_DELAY = 1000;
+let saveTimer = 0;
+let pendingState = null; // () => state to write, until written
+let saveFailing = false; // The user has been told saving fails
+
+const saveState = (imageSrc, editor, pageOptions = {}) => {
+    pendingState = async () => ({
+        imageSrc: imageSrc,
+        pageOptions: pageOptions,
+        drawingData: editor.getDrawingData(),
+        timelapse: await editor.getTimelapseData(),
+        timestamp: Date.now(),
+        audio: {
+            track: AudioManager.getCurrentTrack(),
+            paused: AudioManager.audio ? AudioManager.audio.paused : true,
+            muted: AudioManager.isMuted(),
+            volume: AudioManager.getVolume()
+        }
+    });
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(flushSave, SAVE_DELAY);
 };
 
-const loadState = () => {
+const flushSave = async () => {
+    clearTimeout(saveTimer);
+    if (!pendingState) return;
+    const state = pendingState;
+    pendingState = null;
+
     try {
-        const raw = localStorage.getItem('vibe_coloring_state');
-        return raw ? JSON.parse(raw) : null;
+        await ProjectStore.save(await state());
+        saveFailing = false;
     } catch (e) {
-        return null;
+        console.warn('Save failed', e);
+        if (!saveFailing) showToast("⚠️ Your picture couldn't be saved, so it won't be here after a reload. Use Save Art to download it.", 8000);
+        saveFailing = true;
     }
 };
 
+// Leaving or switching away: write what's pending now
+window.addEventListener('pagehide', flushSave);
+document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') flushSave();
+});
+
 // Default color palette for coloring pages (black/white images don't extract well)
 const DEFAULT_COLOR_PALETTE = [
     '#e63946', // Red
@@ -53,7 +87,8 @@ const renderWelcome = (pages = APP_DATA.images) => {
 };
 
 // Handle image selection (from gallery or upload)
-const handleSelectImage = (imageSrc) => {
+// pageOptions: { colorByNumber: boolean, answer: optional colored answer image URL, lineArt: import settings }
+const handleSelectImage = (imageSrc, pageOptions = {}) => {
 
     // Loading UI
     app.innerHTML = `
@@ -70,7 +105,12 @@ const handleSelectImage = (imageSrc) => {
     img.crossOrigin = 'anonymous';
     img.onload = () => {
         console.log('Image loaded successfully');
-        renderEditor(imageSrc, DEFAULT_COLOR_PALETTE);
+        // Tune the line art before coloring; the settings are saved with the project
+        app.innerHTML = '';
+        app.appendChild(ImportStep(img, {
+            onConfirm: (lineArt) => renderEditor(imageSrc, null, { ...pageOptions, lineArt }),
+            onBack: () => renderWelcome()
+        }));
     };
     img.onerror = (err) => {
         console.error('Failed to load image:', err);
@@ -80,7 +120,69 @@ const handleSelectImage = (imageSrc) => {
     img.src = imageSrc;
 };
 
-const renderEditor = (imageSrc, savedDrawingData = null) => {
+// Load an image's pixels at a given size (used for color-by-number answer images)
+const loadImagePixels = (src, width, height) => new Promise((resolve, reject) => {
+    const img = new Image();
+    img.crossOrigin = 'anonymous';
+    img.onload = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillRect(0, 0, width, height);
+        ctx.drawImage(img, 0, 0, width, height);
+        resolve(ctx.getImageData(0, 0, width, height).data);
+    };
+    img.onerror = reject;
+    img.src = src;
+});
+
+// Bucket fill styles shown in the tools section
+const FILL_STYLES = [
+    { id: 'solid', label: 'Solid fill', icon: '⬛' },
+    { id: 'linear', label: 'Linear gradient (drag to set direction)', icon: '▤' },
+    { id: 'radial', label: 'Radial gradient (drag from the center)', icon: '◎' },
+    ...Object.entries(PATTERNS).map(([id, pattern]) => ({ id, label: `${pattern.label} pattern`, icon: pattern.icon })),
+    { id: 'upload', label: 'Your own pattern tile (double-click to change)', icon: '⤒' }
+];
+
+// Load an uploaded image as a pattern tile, scaled down if it is very large
+const loadTile = (file) => new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    img.onload = () => {
+        const scale = Math.min(1, 256 / Math.max(img.naturalWidth, img.naturalHeight));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+        canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+        canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+        URL.revokeObjectURL(url);
+        resolve(canvas);
+    };
+    img.onerror = (e) => {
+        URL.revokeObjectURL(url);
+        reject(e);
+    };
+    img.src = url;
+});
+
+// Small, friendly message at the bottom of the screen
+const showToast = (message, duration = 2500) => {
+    let toast = document.querySelector('#toast');
+    if (!toast) {
+        toast = document.createElement('div');
+        toast.id = 'toast';
+        toast.className = "fixed bottom-6 left-1/2 -translate-x-1/2 px-5 py-3 bg-white text-stone-700 rounded-2xl shadow-[0_4px_20px_rgba(0,0,0,0.12)] z-50 transition-opacity duration-300 opacity-0 pointer-events-none";
+        document.body.appendChild(toast);
+    }
+    toast.textContent = message;
+    toast.classList.remove('opacity-0');
+    clearTimeout(toast.hideTimer);
+    toast.hideTimer = setTimeout(() => toast.classList.add('opacity-0'), duration);
+};
+
+const renderEditor = (imageSrc, savedDrawingData = null, pageOptions = {}, savedTimelapse = null) => {
     app.innerHTML = '';
 
     const container = document.createElement('div');
@@ -103,6 +205,8 @@ const renderEditor = (imageSrc, savedDrawingData = null) => {
           title="Volume">
       </div>
       <div class="flex gap-2">
+        <button id="shortcuts-btn" class="w-9 h-9 bg-stone-50 text-stone-600 rounded-lg text-sm hover:bg-stone-100" title="Keyboard shortcuts (?)">⌨️</button>
+        <button id="timelapse-btn" class="px-4 py-2 bg-stone-50 text-stone-600 rounded-lg text-sm hover:bg-stone-100" title="Watch how your picture came together">🎞️ Time-lapse</button>
         <button id="save-btn" class="px-4 py-2 bg-orange-100 text-orange-700 rounded-lg font-bold text-sm hover:bg-orange-200">Save Art</button>
         <button id="home-btn" class="px-4 py-2 text-stone-500 hover:text-stone-800">Exit</button>
       </div>
@@ -134,6 +238,90 @@ const renderEditor = (imageSrc, savedDrawingData = null) => {
             <button class="tool-btn flex items-center justify-center w-10 h-10 rounded-xl bg-stone-50 hover:bg-stone-100 transition-colors" data-mode="eraser" title="Eraser">
                 <span class="text-xl">🧼</span>
             </button>
+            <button class="tool-btn flex items-center justify-center w-10 h-10 rounded-xl bg-stone-50 hover:bg-stone-100 transition-colors" data-mode="eyedropper" title="Eyedropper (pick a color from the page)">
+                <span class="text-xl">🧪</span>
+            </button>
+            <button class="tool-btn flex items-center justify-center w-10 h-10 rounded-xl bg-stone-50 hover:bg-stone-100 transition-colors" data-mode="line" title="Line (hold Shift for 45° steps)">
+                <span class="text-xl">📏</span>
+            </button>
+            <button class="tool-btn flex items-center justify-center w-10 h-10 rounded-xl bg-stone-50 hover:bg-stone-100 transition-colors" data-mode="rect" title="Rectangle (hold Shift for a square)">
+                <span class="text-xl">⬛</span>
+            </button>
+            <button class="tool-btn flex items-center justify-center w-10 h-10 rounded-xl bg-stone-50 hover:bg-stone-100 transition-colors" data-mode="ellipse" title="Ellipse (hold Shift for a circle)">
+                <span class="text-xl">⚫</span>
+            </button>
+            <button class="tool-btn flex items-center justify-center w-10 h-10 rounded-xl bg-stone-50 hover:bg-stone-100 transition-colors" data-mode="stamp" title="Stickers">
+                <span class="text-xl">⭐</span>
+            </button>
+            <button class="tool-btn flex items-center justify-center w-10 h-10 rounded-xl bg-stone-50 hover:bg-stone-100 transition-colors" data-mode="select-rect" title="Select a rectangle (drag inside to move, Alt-drag to copy)">
+                <span class="text-xl">⬚</span>
+            </button>
+            <button class="tool-btn flex items-center justify-center w-10 h-10 rounded-xl bg-stone-50 hover:bg-stone-100 transition-colors" data-mode="select-lasso" title="Lasso: draw around what to select">
+                <span class="text-xl">➰</span>
+            </button>
+            <button class="tool-btn flex items-center justify-center w-10 h-10 rounded-xl bg-stone-50 hover:bg-stone-100 transition-colors" data-mode="select-region" title="Select a shape of the drawing">
+                <span class="text-xl">🧩</span>
+            </button>
+        </div>
+        <div id="selection-actions" class="flex flex-wrap justify-center gap-1">
+            ${[
+                ['copy', '📋', 'Copy (Ctrl+C)'],
+                ['cut', '✂️', 'Cut (Ctrl+X)'],
+                ['paste', '📥', 'Paste (Ctrl+V)'],
+                ['flip-h', '↔️', 'Flip left to right'],
+                ['flip-v', '↕️', 'Flip upside down'],
+                ['shrink', '➖', 'Make smaller'],
+                ['grow', '➕', 'Make bigger'],
+                ['deselect', '✖️', 'Select nothing (Esc)']
+            ].map(([action, icon, title]) => `
+                <button class="selection-btn w-7 h-7 rounded-lg bg-stone-50 hover:bg-stone-100 text-xs transition-colors disabled:opacity-30 disabled:cursor-not-allowed" data-action="${action}" title="${title}" ${action === 'paste' ? '' : 'disabled'}>${icon}</button>
+            `).join('')}
+        </div>
+        <label class="flex items-center gap-2 text-xs text-stone-500 cursor-pointer select-none" title="Rectangles and ellipses are filled instead of outlined">
+            <input type="checkbox" id="shape-filled" class="accent-orange-500">
+            Filled shapes
+        </label>
+        <div class="flex flex-wrap justify-center items-center gap-1.5">
+            ${Object.entries(STICKERS).map(([name, sticker]) => `
+                <button class="sticker-btn flex items-center justify-center w-8 h-8 rounded-lg ${name === 'star' ? 'bg-orange-100 border-2 border-orange-400' : 'bg-stone-50'} hover:bg-stone-100 transition-colors" data-sticker="${name}" title="${sticker.label}">
+                    <img src="${sticker.url}" alt="" class="w-5 h-5">
+                </button>
+            `).join('')}
+        </div>
+        <div id="stamp-actions" class="hidden justify-center gap-2">
+            <button id="stamp-commit-btn" class="flex-1 py-1.5 rounded-lg bg-orange-100 hover:bg-orange-200 text-xs text-stone-700 transition-colors" title="Stick it on the page (Enter)">✓ Stick</button>
+            <button id="stamp-cancel-btn" class="flex-1 py-1.5 rounded-lg bg-stone-50 hover:bg-stone-100 text-xs text-stone-600 transition-colors" title="Remove the sticker (Esc)">✕ Cancel</button>
+        </div>
+        <div class="flex flex-wrap justify-center gap-1.5">
+            ${Object.entries(BRUSH_PRESETS).map(([name, preset]) => `
+                <button class="brush-btn flex items-center justify-center w-8 h-8 rounded-lg ${name === 'round' ? 'bg-orange-100 border-2 border-orange-400' : 'bg-stone-50'} hover:bg-stone-100 transition-colors" data-brush="${name}" title="${preset.label}">
+                    <span class="text-base">${preset.icon}</span>
+                </button>
+            `).join('')}
+        </div>
+        <div class="flex flex-wrap justify-center items-center gap-1.5">
+            ${FILL_STYLES.map(({ id, label, icon }) => `
+                <button class="fill-style-btn flex items-center justify-center w-8 h-8 rounded-lg bg-cover bg-center ${id === 'solid' ? 'bg-orange-100 border-2 border-orange-400' : 'bg-stone-50'} hover:bg-stone-100 transition-colors text-stone-600" data-fill="${id}" title="${label}">
+                    <span class="text-base">${icon}</span>
+                </button>
+            `).join('')}
+            <input type="file" id="fill-tile-file" class="hidden" accept="image/*">
+            <input type="color" id="fill-color2" value="#ffffff" class="w-8 h-8 rounded-lg cursor-pointer bg-transparent" title="Second color for gradients and patterns">
+        </div>
+        <label class="flex items-center gap-2 text-xs text-stone-500 cursor-pointer select-none" title="Brush and eraser strokes stay inside the shape they start in">
+            <input type="checkbox" id="clip-toggle" class="accent-orange-500">
+            Stay inside the lines
+        </label>
+        <div class="flex items-center gap-2" title="Repeat strokes and fills in mirrored copies (drag the purple center on the page to move it)">
+            <span class="text-xs text-stone-400">Mirror</span>
+            <select id="symmetry-type" class="flex-1 min-w-0 py-1 rounded-lg bg-stone-50 text-xs text-stone-600 outline-none cursor-pointer">
+                <option value="off">Off</option>
+                <option value="vertical">Left ↔ right</option>
+                <option value="horizontal">Top ↕ bottom</option>
+                <option value="radial">Mandala</option>
+            </select>
+            <input type="number" id="symmetry-folds" min="2" max="24" value="6" class="hidden w-12 py-1 rounded-lg bg-stone-50 text-xs text-stone-600 text-center outline-none" title="Number of copies">
+            <button id="symmetry-center-btn" class="hidden w-7 h-7 rounded-lg bg-stone-50 hover:bg-stone-100 text-xs text-stone-600 transition-colors" title="Move the center back to the middle of the page">⌖</button>
         </div>
         <div class="flex items-center gap-2">
             <span class="text-xs text-stone-400">Size</span>
@@ -141,76 +329,181 @@ const renderEditor = (imageSrc, savedDrawingData = null) => {
                 class="flex-1 h-1.5 bg-stone-200 rounded-lg appearance-none cursor-pointer accent-orange-500">
             <span id="brush-size-value" class="text-xs text-stone-500 w-6 text-right">10</span>
         </div>
+        <div class="flex items-center gap-2" title="Smooth out shaky strokes (the line trails the pointer slightly)">
+            <span class="text-xs text-stone-400">Smooth</span>
+            <input type="range" id="stabilizer" min="0" max="100" value="0" 
+                class="flex-1 h-1.5 bg-stone-200 rounded-lg appearance-none cursor-pointer accent-orange-500">
+            <span id="stabilizer-value" class="text-xs text-stone-500 w-6 text-right">0</span>
+        </div>
+        <div class="flex items-center gap-2" title="Close small gaps in the lines when filling">
+            <span class="text-xs text-stone-400">Gap</span>
+            <input type="range" id="gap-size" min="0" max="8" value="0" 
+                class="flex-1 h-1.5 bg-stone-200 rounded-lg appearance-none cursor-pointer accent-orange-500">
+            <span id="gap-size-value" class="text-xs text-stone-500 w-6 text-right">0</span>
+        </div>
+        <div class="flex justify-center gap-2">
+            <button id="undo-btn" class="flex-1 py-1.5 rounded-lg bg-stone-50 hover:bg-stone-100 text-sm text-stone-600 transition-colors disabled:opacity-40 disabled:cursor-not-allowed" title="Undo (Ctrl+Z)" disabled>↩️ Undo</button>
+            <button id="redo-btn" class="flex-1 py-1.5 rounded-lg bg-stone-50 hover:bg-stone-100 text-sm text-stone-600 transition-colors disabled:opacity-40 disabled:cursor-not-allowed" title="Redo (Ctrl+Shift+Z)" disabled>↪️ Redo</button>
+        </div>
+        <details id="recolor-panel" class="text-xs text-stone-500">
+            <summary class="cursor-pointer select-none text-stone-400 hover:text-stone-600">🔁 Recolor the page</summary>
+            <div class="flex flex-col gap-2 mt-2">
+                <div class="flex items-center gap-2">
+                    <input type="color" id="replace-from" class="w-8 h-8 rounded-lg cursor-pointer bg-transparent" title="Color to replace">
+                    <span>→</span>
+                    <input type="color" id="replace-to" value="#ffffff" class="w-8 h-8 rounded-lg cursor-pointer bg-transparent" title="New color">
+                    <button id="replace-color-btn" class="flex-1 py-1.5 rounded-lg bg-stone-50 hover:bg-stone-100 text-stone-600 transition-colors" title="Change every area of the first color on this layer">Replace</button>
+                </div>
+                <button id="fill-untouched-btn" class="py-1.5 rounded-lg bg-stone-50 hover:bg-stone-100 text-stone-600 transition-colors" title="Fill every area that is still white with the current color">🪄 Fill the white areas</button>
+            </div>
+        </details>
     `;
 
-    // Color Palette section
-    const PALETTE_COLORS = [
-        '#e63946', '#f4a261', '#e9c46a', '#2a9d8f', '#264653', '#a855f7',
-        '#ec4899', '#22c55e', '#3b82f6', '#8b5cf6', '#06b6d4', '#84cc16'
-    ];
+    // Custom colors: picker, recently used and saved colors
+    const colorPicker = ColorPicker({
+        onChange: (color) => {
+            clearColorSelection();
+            editor.setColor(color);
+        },
+        onSave: (color) => {
+            ColorStore.addCustom(color);
+            renderStoredColors();
+        }
+    });
 
-    const paletteSection = document.createElement('div');
-    paletteSection.className = "py-4 border-b border-stone-100";
-    paletteSection.innerHTML = `<div class="text-xs text-orange-500 font-bold mb-3">Palette</div>`;
+    const colorsSection = document.createElement('div');
+    colorsSection.className = "py-4 border-b border-stone-100";
+    colorsSection.innerHTML = `
+        <div class="text-xs text-orange-500 font-bold mb-3">Colors</div>
+        <div class="picker-slot"></div>
+        <div class="text-xs text-stone-400 mt-3 mb-2">Recent</div>
+        <div id="recent-colors" class="flex flex-wrap gap-2 min-h-[2rem]"></div>
+        <div class="text-xs text-stone-400 mt-3 mb-2">My colors</div>
+        <div id="custom-colors" class="grid grid-cols-3 lg:grid-cols-6 gap-2"></div>
+    `;
+    colorsSection.querySelector('.picker-slot').replaceWith(colorPicker.element);
 
-    const paletteGrid = document.createElement('div');
-    paletteGrid.className = "grid grid-cols-3 lg:grid-cols-6 gap-2";
-    PALETTE_COLORS.forEach(c => {
+    const createColorButton = (c) => {
         const btn = document.createElement('button');
         btn.className = "color-btn w-8 h-8 rounded-full border-2 border-white shadow-sm transition-all hover:scale-110";
         btn.style.backgroundColor = c;
         btn.dataset.color = c;
-        paletteGrid.appendChild(btn);
-    });
-    paletteSection.appendChild(paletteGrid);
+        btn.onclick = (e) => handleColorSelect(e.currentTarget);
+        return btn;
+    };
+
+    const renderStoredColors = () => {
+        const recentRow = colorsSection.querySelector('#recent-colors');
+        recentRow.innerHTML = ColorStore.recent.length ? '' : '<span class="text-xs text-stone-300">Colors you use show up here</span>';
+        ColorStore.recent.forEach(c => recentRow.appendChild(createColorButton(c)));
 
-    // Skin Tone section
-    const SKIN_TONES = [
-        '#8d5524', '#c68642', '#e0ac69', '#f1c27d', '#ffdbac', '#ffe0bd',
-        '#6b4423', '#a57449', '#d4a574', '#e8c4a2', '#fad4c0', '#ffe5d4'
-    ];
+        const customGrid = colorsSection.querySelector('#custom-colors');
+        customGrid.innerHTML = '';
+        ColorStore.custom.forEach(c => {
+            const wrap = document.createElement('div');
+            wrap.className = "relative group";
+            wrap.appendChild(createColorButton(c));
+            const remove = document.createElement('button');
+            remove.className = "absolute -top-1 -right-1 w-4 h-4 rounded-full bg-white shadow text-[10px] leading-none text-stone-400 hover:text-red-500 hidden group-hover:block";
+            remove.title = 'Remove';
+            remove.textContent = '✕';
+            remove.onclick = () => {
+                ColorStore.removeCustom(c);
+                renderStoredColors();
+            };
+            wrap.appendChild(remove);
+            customGrid.appendChild(wrap);
+        });
 
-    const skinSection = document.createElement('div');
-    skinSection.className = "py-4 border-b border-stone-100";
-    skinSection.innerHTML = `<div class="text-xs text-orange-500 font-bold mb-3">Skin tone</div>`;
+        refreshColorSelection();
+    };
 
-    const skinGrid = document.createElement('div');
-    skinGrid.className = "grid grid-cols-3 lg:grid-cols-6 gap-2";
-    SKIN_TONES.forEach(c => {
-        const btn = document.createElement('button');
-        btn.className = "color-btn w-8 h-8 rounded-full border-2 border-white shadow-sm transition-all hover:scale-110";
-        btn.style.backgroundColor = c;
-        btn.dataset.color = c;
-        skinGrid.appendChild(btn);
+    // Palettes (user-editable, see PaletteStore)
+    const palettesPanel = PalettesPanel({
+        onSelectColor: (btn) => handleColorSelect(btn),
+        onCreate: () => {
+            PaletteStore.create('My palette');
+            renderPalettes();
+        },
+        onRename: (id, name) => PaletteStore.rename(id, name),
+        onMove: (id, delta) => {
+            PaletteStore.move(id, delta);
+            renderPalettes();
+        },
+        onRemove: (id) => {
+            const palette = PaletteStore.get(id);
+            if (!palette || !confirm(`Delete the palette "${palette.name}"?`)) return;
+            PaletteStore.remove(id);
+            renderPalettes();
+        },
+        onAddColor: (id) => {
+            PaletteStore.addColor(id, editor.currentColor);
+            renderPalettes();
+        },
+        onRemoveColor: (id, index) => {
+            PaletteStore.removeColor(id, index);
+            renderPalettes();
+        },
+        onImport: async (file) => {
+            try {
+                const imported = parsePaletteFile(file.name, await file.arrayBuffer());
+                if (imported.length === 0) throw new Error('No colors found');
+                imported.forEach(p => PaletteStore.create(p.name, p.colors));
+                renderPalettes();
+                showToast(`🎨 Imported ${imported.map(p => p.name).join(', ')}`);
+            } catch (e) {
+                console.warn('Palette import failed', e);
+                showToast(`Couldn't import ${file.name}`);
+            }
+        },
+        onExport: (id, format) => {
+            const palette = PaletteStore.get(id);
+            if (!palette) return;
+            const content = format === 'gpl' ? toGPL(palette) : format === 'ase' ? toASE(palette) : toJSON(palette);
+            const type = format === 'ase' ? 'application/octet-stream' : format === 'json' ? 'application/json' : 'text/plain';
+            const url = URL.createObjectURL(new Blob([content], { type }));
+            const link = document.createElement('a');
+            link.download = `${palette.name}.${format}`;
+            link.href = url;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(url), 0);
+        }
     });
-    skinSection.appendChild(skinGrid);
 
-    // Hair Color section
-    const HAIR_COLORS = [
-        '#000000', '#4a3728', '#8b4513', '#d2691e', '#ff8c00', '#daa520',
-        '#f5deb3', '#c0c0c0', '#808080', '#2f1810', '#5c3317', '#a0522d'
-    ];
+    const renderPalettes = () => {
+        palettesPanel.update(PaletteStore.palettes);
+        refreshColorSelection();
+    };
 
-    const hairSection = document.createElement('div');
-    hairSection.className = "py-4";
-    hairSection.innerHTML = `<div class="text-xs text-orange-500 font-bold mb-3">Hair color</div>`;
+    // Color-by-number key (filled in once the puzzle is generated)
+    const puzzleSection = document.createElement('div');
+    puzzleSection.className = "py-4 border-b border-stone-100";
+    puzzleSection.innerHTML = `
+        <div class="flex items-center justify-between mb-3">
+            <span class="text-xs text-orange-500 font-bold">Color by number</span>
+            <span id="puzzle-progress-text" class="text-xs text-stone-400">Preparing…</span>
+        </div>
+        <div class="h-1.5 bg-stone-100 rounded-full overflow-hidden mb-3">
+            <div id="puzzle-progress-bar" class="h-full bg-orange-400 rounded-full transition-all duration-300" style="width: 0%"></div>
+        </div>
+        <div id="puzzle-key" class="grid grid-cols-3 lg:grid-cols-6 gap-2"></div>
+    `;
 
-    const hairGrid = document.createElement('div');
-    hairGrid.className = "grid grid-cols-3 lg:grid-cols-6 gap-2";
-    HAIR_COLORS.forEach(c => {
-        const btn = document.createElement('button');
-        btn.className = "color-btn w-8 h-8 rounded-full border-2 border-white shadow-sm transition-all hover:scale-110";
-        btn.style.backgroundColor = c;
-        btn.dataset.color = c;
-        hairGrid.appendChild(btn);
+    // Layers section
+    const layersPanel = LayersPanel({
+        onAdd: (type) => editor.addLayer(type),
+        onRemove: (id) => editor.removeLayer(id),
+        onMove: (id, delta) => editor.moveLayer(id, delta),
+        onSelect: (id) => editor.setActiveLayer(id),
+        onChange: (id, props) => editor.updateLayer(id, props)
     });
-    hairSection.appendChild(hairGrid);
 
     // Assemble sidebar
     leftSidebar.appendChild(toolsSection);
-    leftSidebar.appendChild(paletteSection);
-    leftSidebar.appendChild(skinSection);
-    leftSidebar.appendChild(hairSection);
+    if (pageOptions.colorByNumber) leftSidebar.appendChild(puzzleSection);
+    leftSidebar.appendChild(layersPanel.element);
+    leftSidebar.appendChild(colorsSection);
+    leftSidebar.appendChild(palettesPanel.element);
 
     // Canvas Area with soft shadow
     const canvasArea = document.createElement('div');
@@ -220,19 +513,111 @@ const renderEditor = (imageSrc, savedDrawingData = null) => {
     mainArea.appendChild(leftSidebar);
     mainArea.appendChild(canvasArea);
 
+    // Shown while hovering a fill region that reaches the page edge
+    const leakWarning = document.createElement('div');
+    leakWarning.className = "absolute top-3 left-1/2 -translate-x-1/2 px-4 py-2 bg-white/95 text-sm text-red-600 rounded-xl shadow-[0_4px_20px_rgba(0,0,0,0.12)] z-20 pointer-events-none hidden";
+    leakWarning.textContent = '⚠️ This area reaches the edge of the page, so the fill will color the background too. If a line has a gap, try a bigger Gap.';
+    canvasArea.appendChild(leakWarning);
+
+    // Minimap with zoom and rotation controls
+    const navigatorPanel = Navigator({
+        renderPage: (ctx) => editor.renderPage(ctx),
+        onMoveView: (point) => editor.centerOn(point),
+        onZoomIn: () => editor.zoomBy(1.25),
+        onZoomOut: () => editor.zoomBy(1 / 1.25),
+        onZoomReset: () => editor.setZoom(1),
+        onFit: () => editor.fitToScreen(),
+        onRotate: (steps) => editor.rotateBy(steps),
+        onResetRotation: () => editor.setRotation(0)
+    });
+    canvasArea.appendChild(navigatorPanel.element);
+
     container.appendChild(header);
     container.appendChild(mainArea);
     app.appendChild(container);
 
+    const undoBtn = container.querySelector('#undo-btn');
+    const redoBtn = container.querySelector('#redo-btn');
+
     const editor = new CanvasEditor(canvasArea, imageSrc, {
-        initialColor: PALETTE_COLORS[0],
+        initialColor: (PaletteStore.palettes.find(p => p.colors.length) || DEFAULT_PALETTES[0]).colors[0],
         initialDrawingData: savedDrawingData,
-        onUpdate: () => saveState(imageSrc, editor)
+        initialTimelapse: savedTimelapse,
+        lineArt: pageOptions.lineArt,
+        onUpdate: () => {
+            saveState(imageSrc, editor, pageOptions);
+            navigatorPanel.refresh();
+        },
+        onViewChange: (view) => navigatorPanel.update(view),
+        onLoadError: async () => {
+            alert("This picture couldn't be turned into a coloring page. Please try another one.");
+            clearTimeout(saveTimer);
+            pendingState = null;
+            await ProjectStore.clear(); // Don't reopen it on the next visit
+            location.reload();
+        },
+        onFillPreview: (preview) => {
+            leakWarning.classList.toggle('hidden', !(preview && preview.leaks));
+        },
+        onColorPick: (color) => {
+            selectColor(color);
+            // Back to the tool the color was picked for
+            container.querySelector(`.tool-btn[data-mode="${previousMode}"]`).click();
+        },
+        onColorUsed: (color) => {
+            if (ColorStore.recent[0] === color.toLowerCase()) return;
+            ColorStore.addRecent(color);
+            renderStoredColors();
+        },
+        onLayersChange: (layers, activeId) => {
+            layersPanel.update(layers, activeId);
+            navigatorPanel.refresh();
+        },
+        onRegionsReady: (regionMap) => {
+            if (pageOptions.colorByNumber && !editor.puzzle) startPuzzle(regionMap);
+        },
+        onPuzzleProgress: ({ done, total }) => {
+            container.querySelector('#puzzle-progress-text').textContent = `${done} / ${total}`;
+            container.querySelector('#puzzle-progress-bar').style.width = `${total ? (done / total) * 100 : 0}%`;
+            if (total && done === total) showToast('🎉 All done! Beautiful work!');
+        },
+        onPuzzleFeedback: ({ correct, expected }) => {
+            if (correct) return;
+            showToast(`Almost! This area is number ${expected} 🙂`);
+            const keyBtn = container.querySelector(`#puzzle-key [data-number="${expected}"]`);
+            if (keyBtn) {
+                keyBtn.classList.remove('wiggle');
+                void keyBtn.offsetWidth; // Restart the animation
+                keyBtn.classList.add('wiggle');
+            }
+        },
+        onHistoryChange: ({ canUndo, canRedo }) => {
+            undoBtn.disabled = !canUndo;
+            redoBtn.disabled = !canRedo;
+        },
+        onSelectionChange: ({ selected, floating }) => {
+            container.querySelectorAll('.selection-btn').forEach(btn => {
+                if (btn.dataset.action !== 'paste') btn.disabled = !selected;
+            });
+            // Pasted pixels are moved with the selection tools
+            if (floating && !editor.mode.startsWith('select')) container.querySelector('.tool-btn[data-mode="select-rect"]').click();
+        },
+        onStampChange: (pending) => {
+            const actions = container.querySelector('#stamp-actions');
+            actions.classList.toggle('hidden', !pending);
+            actions.classList.toggle('flex', pending);
+        }
     });
 
+    // Undo / Redo
+    undoBtn.onclick = () => editor.undo();
+    redoBtn.onclick = () => editor.redo();
+
     // Events
-    container.querySelector('#home-btn').onclick = () => {
-        localStorage.removeItem('vibe_coloring_state');
+    container.querySelector('#home-btn').onclick = async () => {
+        clearTimeout(saveTimer);
+        pendingState = null;
+        await ProjectStore.clear();
         location.reload();
     };
     container.querySelector('#save-btn').onclick = () => {
@@ -242,10 +627,19 @@ const renderEditor = (imageSrc, savedDrawingData = null) => {
         link.click();
     };
 
+    container.querySelector('#timelapse-btn').onclick = () => {
+        const view = ReplayView(editor.createReplay(), {
+            onClose: () => view.destroy()
+        });
+        document.body.appendChild(view.element);
+    };
+
     // Tool selection
+    let previousMode = 'fill'; // Last painting tool, restored after the eyedropper
     container.querySelectorAll('.tool-btn').forEach(btn => {
         btn.onclick = (e) => {
             const target = e.currentTarget;
+            if (editor.mode !== 'eyedropper' && target.dataset.mode === 'eyedropper') previousMode = editor.mode;
             container.querySelectorAll('.tool-btn').forEach(b => {
                 b.classList.remove('bg-orange-100', 'border-2', 'border-orange-400');
                 b.classList.add('bg-stone-50');
@@ -256,23 +650,206 @@ const renderEditor = (imageSrc, savedDrawingData = null) => {
         };
     });
 
+    // Brush presets (picking one switches to the brush tool)
+    container.querySelectorAll('.brush-btn').forEach(btn => {
+        btn.onclick = (e) => {
+            const target = e.currentTarget;
+            container.querySelectorAll('.brush-btn').forEach(b => {
+                b.classList.remove('bg-orange-100', 'border-2', 'border-orange-400');
+                b.classList.add('bg-stone-50');
+            });
+            target.classList.remove('bg-stone-50');
+            target.classList.add('bg-orange-100', 'border-2', 'border-orange-400');
+            editor.setBrushPreset(target.dataset.brush);
+            container.querySelector('.tool-btn[data-mode="brush"]').click();
+        };
+    });
+
+    // Sticker choice (picking one switches to the stamp tool)
+    container.querySelectorAll('.sticker-btn').forEach(btn => {
+        btn.onclick = (e) => {
+            const target = e.currentTarget;
+            container.querySelectorAll('.sticker-btn').forEach(b => {
+                b.classList.remove('bg-orange-100', 'border-2', 'border-orange-400');
+                b.classList.add('bg-stone-50');
+            });
+            target.classList.remove('bg-stone-50');
+            target.classList.add('bg-orange-100', 'border-2', 'border-orange-400');
+            editor.setSticker(target.dataset.sticker);
+            if (editor.mode !== 'stamp') container.querySelector('.tool-btn[data-mode="stamp"]').click();
+        };
+    });
+
+    container.querySelector('#stamp-commit-btn').onclick = () => editor.commitStamp();
+    container.querySelector('#stamp-cancel-btn').onclick = () => editor.cancelStamp();
+
+    // Selection commands
+    const selectionActions = {
+        copy: () => editor.copySelection(),
+        cut: () => editor.cutSelection(),
+        paste: () => editor.paste(),
+        'flip-h': () => editor.flipSelection('horizontal'),
+        'flip-v': () => editor.flipSelection('vertical'),
+        shrink: () => editor.scaleSelection(1 / 1.25),
+        grow: () => editor.scaleSelection(1.25),
+        deselect: () => editor.deselect()
+    };
+    container.querySelectorAll('.selection-btn').forEach(btn => {
+        btn.onclick = () => selectionActions[btn.dataset.action]();
+    });
+
+    container.querySelector('#shape-filled').onchange = (e) => editor.setShapeFilled(e.target.checked);
+
+    // Page-wide recolor commands
+    const recolorPanel = container.querySelector('#recolor-panel');
+    const replaceFrom = container.querySelector('#replace-from');
+    const replaceTo = container.querySelector('#replace-to');
+
+    // Start from the current color whenever the panel opens
+    recolorPanel.ontoggle = () => {
+        if (recolorPanel.open) replaceFrom.value = editor.currentColor.toLowerCase();
+    };
+
+    container.querySelector('#replace-color-btn').onclick = () => {
+        const count = editor.replaceColor(replaceFrom.value, replaceTo.value);
+        if (!count) showToast('No areas of that color on this layer');
+    };
+
+    container.querySelector('#fill-untouched-btn').onclick = () => {
+        if (!editor.regionMap) {
+            showToast('Still getting the page ready, try again in a moment');
+            return;
+        }
+        const count = editor.fillUntouchedRegions(editor.currentColor);
+        showToast(count ? `🪄 Filled ${count} ${count === 1 ? 'area' : 'areas'}` : 'Every area already has color');
+    };
+
+    // Bucket fill styles (picking one switches to the fill tool)
+    const tileInput = container.querySelector('#fill-tile-file');
+    let uploadedTile = null;
+
+    const selectFillStyle = (target) => {
+        container.querySelectorAll('.fill-style-btn').forEach(b => {
+            b.classList.remove('bg-orange-100', 'border-2', 'border-orange-400');
+            b.classList.add('bg-stone-50');
+        });
+        target.classList.remove('bg-stone-50');
+        target.classList.add('bg-orange-100', 'border-2', 'border-orange-400');
+
+        const id = target.dataset.fill;
+        if (id === 'upload') editor.setFillStyle({ type: 'pattern', tile: uploadedTile });
+        else if (PATTERNS[id]) editor.setFillStyle({ type: 'pattern', pattern: id, tile: null });
+        else editor.setFillStyle({ type: id, tile: null });
+        container.querySelector('.tool-btn[data-mode="fill"]').click();
+    };
+
+    container.querySelectorAll('.fill-style-btn').forEach(btn => {
+        btn.onclick = (e) => {
+            const target = e.currentTarget;
+            if (target.dataset.fill === 'upload' && !uploadedTile) tileInput.click();
+            else selectFillStyle(target);
+        };
+    });
+
+    // Double-click the upload button to pick a different tile
+    container.querySelector('.fill-style-btn[data-fill="upload"]').ondblclick = () => tileInput.click();
+
+    tileInput.onchange = async () => {
+        const file = tileInput.files[0];
+        tileInput.value = '';
+        if (!file) return;
+        try {
+            uploadedTile = await loadTile(file);
+            const uploadBtn = container.querySelector('.fill-style-btn[data-fill="upload"]');
+            uploadBtn.style.backgroundImage = `url(${uploadedTile.toDataURL()})`;
+            uploadBtn.querySelector('span').classList.add('opacity-0');
+            selectFillStyle(uploadBtn);
+        } catch (e) {
+            console.warn('Tile upload failed', e);
+            showToast(`Couldn't use ${file.name} as a pattern`);
+        }
+    };
+
+    container.querySelector('#fill-color2').oninput = (e) => editor.setFillStyle({ color2: e.target.value });
+
+    // Color-by-number: build targets from the answer image, or spread the default palette
+    const startPuzzle = async (regionMap) => {
+        let answerData = null;
+        if (pageOptions.answer) {
+            try {
+                answerData = await loadImagePixels(pageOptions.answer, regionMap.width, regionMap.height);
+            } catch (e) {
+                console.warn('Answer image failed to load, using default palette', e);
+            }
+        }
+
+        const puzzle = createColorByNumber(regionMap, { palette: DEFAULT_COLOR_PALETTE, answerData });
+
+        const keyGrid = container.querySelector('#puzzle-key');
+        keyGrid.innerHTML = '';
+        puzzle.palette.forEach((c, i) => {
+            const btn = document.createElement('button');
+            btn.className = "color-btn relative w-8 h-8 rounded-full border-2 border-white shadow-sm transition-all hover:scale-110 text-xs font-bold text-white";
+            btn.style.backgroundColor = c;
+            btn.style.textShadow = '0 1px 2px rgba(0,0,0,0.6)';
+            btn.dataset.color = c;
+            btn.dataset.number = i + 1;
+            btn.textContent = i + 1;
+            btn.onclick = (e) => handleColorSelect(e.currentTarget);
+            keyGrid.appendChild(btn);
+        });
+
+        editor.setPuzzle(puzzle);
+        if (keyGrid.firstChild) handleColorSelect(keyGrid.firstChild);
+    };
+
     // Color selection (unified for all palettes)
-    const handleColorSelect = (target) => {
+    const clearColorSelection = () => {
         container.querySelectorAll('.color-btn').forEach(b => {
             b.classList.remove('ring-2', 'ring-orange-400', 'ring-offset-2', 'scale-110');
             b.style.borderColor = 'white';
         });
+    };
+
+    const markColorButton = (target) => {
+        clearColorSelection();
         target.classList.add('ring-2', 'ring-orange-400', 'ring-offset-2', 'scale-110');
         target.style.borderColor = 'transparent';
+    };
+
+    const handleColorSelect = (target) => {
+        markColorButton(target);
         editor.setColor(target.dataset.color);
+        colorPicker.setColor(target.dataset.color);
     };
 
-    container.querySelectorAll('.color-btn').forEach(btn => {
-        btn.onclick = (e) => handleColorSelect(e.currentTarget);
-    });
+    const findColorButton = (color) => [...container.querySelectorAll('.color-btn')]
+        .find(b => b.dataset.color.toLowerCase() === color.toLowerCase());
+
+    // Select any color, highlighting its swatch if one is on screen
+    const selectColor = (color) => {
+        const swatch = findColorButton(color);
+        if (swatch) {
+            handleColorSelect(swatch);
+            return;
+        }
+        clearColorSelection();
+        editor.setColor(color);
+        colorPicker.setColor(color);
+    };
+
+    // Swatches are rebuilt when colors or palettes change; keep the ring on the current color
+    const refreshColorSelection = () => {
+        const swatch = findColorButton(editor.currentColor);
+        if (swatch) markColorButton(swatch);
+        else clearColorSelection();
+    };
+
+    renderStoredColors();
+    renderPalettes();
 
     // Initialize first color as active
-    const firstColorBtn = container.querySelector('.color-btn');
+    const firstColorBtn = palettesPanel.element.querySelector('.color-btn') || container.querySelector('.color-btn');
     if (firstColorBtn) handleColorSelect(firstColorBtn);
 
     // Brush size control
@@ -287,6 +864,154 @@ const renderEditor = (imageSrc, savedDrawingData = null) => {
         };
     }
 
+    // Keyboard shortcuts (rebindable, see ShortcutManager)
+    let shortcutsHelp = null;
+    const toggleShortcutsHelp = () => {
+        if (shortcutsHelp) {
+            shortcutsHelp.destroy();
+            shortcutsHelp = null;
+            return;
+        }
+        shortcutsHelp = ShortcutsHelp({ onClose: toggleShortcutsHelp });
+        document.body.appendChild(shortcutsHelp.element);
+    };
+    container.querySelector('#shortcuts-btn').onclick = toggleShortcutsHelp;
+
+    const stepBrushSize = (direction) => {
+        const size = parseInt(brushSlider.value, 10);
+        brushSlider.value = size + direction * Math.max(1, Math.round(size * 0.2));
+        brushSlider.dispatchEvent(new Event('input'));
+    };
+
+    // Next / previous swatch of the palettes, wrapping around
+    const stepColor = (direction) => {
+        const swatches = [...palettesPanel.element.querySelectorAll('.color-btn')];
+        if (swatches.length === 0) return;
+        const current = swatches.indexOf(findColorButton(editor.currentColor));
+        const next = current < 0 ? 0 : (current + direction + swatches.length) % swatches.length;
+        handleColorSelect(swatches[next]);
+        swatches[next].scrollIntoView({ block: 'nearest' });
+    };
+
+    // First color of the next / previous palette that has any
+    const stepPalette = (direction) => {
+        const grids = [...palettesPanel.element.querySelectorAll('.palette-grid')].filter(g => g.querySelector('.color-btn'));
+        if (grids.length === 0) return;
+        const swatch = findColorButton(editor.currentColor);
+        const current = grids.findIndex(g => g.contains(swatch));
+        const next = current < 0 ? 0 : (current + direction + grids.length) % grids.length;
+        const first = grids[next].querySelector('.color-btn');
+        handleColorSelect(first);
+        first.scrollIntoView({ block: 'nearest' });
+    };
+
+    const shortcutHandlers = {
+        'brush-smaller': () => stepBrushSize(-1),
+        'brush-bigger': () => stepBrushSize(1),
+        'zoom-in': () => editor.zoomBy(1.25),
+        'zoom-out': () => editor.zoomBy(1 / 1.25),
+        'zoom-fit': () => editor.fitToScreen(),
+        'color-prev': () => stepColor(-1),
+        'color-next': () => stepColor(1),
+        'palette-prev': () => stepPalette(-1),
+        'palette-next': () => stepPalette(1),
+        save: () => container.querySelector('#save-btn').click(),
+        help: toggleShortcutsHelp
+    };
+
+    // Typing goes to text fields; sliders, checkboxes and menus keep focus after use, so only
+    // the keys they act on themselves (arrows) are left to them
+    const NON_TEXT_INPUTS = new Set(['range', 'checkbox', 'radio', 'button', 'submit', 'reset', 'color', 'file', 'image']);
+    const ownsKey = (target, e) => {
+        if (!target || !target.tagName) return false;
+        if (target.isContentEditable || target.tagName === 'TEXTAREA') return true;
+        if (target.tagName === 'INPUT' && !NON_TEXT_INPUTS.has(target.type)) return true;
+        return e.key.startsWith('Arrow') && (target.type === 'range' || target.tagName === 'SELECT');
+    };
+
+    let heldKey = null; // e.code of the key holding space-to-pan
+    window.addEventListener('keydown', (e) => {
+        if (ownsKey(e.target, e)) return;
+        const action = ShortcutManager.match(e);
+        if (!action) return;
+        e.preventDefault();
+
+        if (action.hold) {
+            if (!e.repeat) {
+                heldKey = e.code;
+                editor.setPanOverride(true);
+            }
+        } else if (action.id.startsWith('tool-')) {
+            const btn = container.querySelector(`.tool-btn[data-mode="${action.id.slice(5)}"]`);
+            if (btn && editor.mode !== btn.dataset.mode) btn.click();
+        } else if (!e.repeat || action.group !== 'Other') { // Held keys repeat brush, zoom and color steps only
+            shortcutHandlers[action.id]();
+        }
+    });
+    window.addEventListener('keyup', (e) => {
+        if (e.code !== heldKey) return;
+        e.preventDefault(); // A focused button would be clicked by the space bar
+        heldKey = null;
+        editor.setPanOverride(false);
+    });
+    window.addEventListener('blur', () => {
+        heldKey = null;
+        editor.setPanOverride(false);
+    });
+
+    // "Stay inside the lines"
+    const clipToggle = container.querySelector('#clip-toggle');
+    if (clipToggle) {
+        clipToggle.onchange = (e) => editor.setClipToRegion(e.target.checked);
+    }
+
+    // Symmetry (mirror / mandala) controls
+    const symmetryType = container.querySelector('#symmetry-type');
+    const symmetryFolds = container.querySelector('#symmetry-folds');
+    const symmetryCenterBtn = container.querySelector('#symmetry-center-btn');
+
+    symmetryType.onchange = () => {
+        const type = symmetryType.value;
+        symmetryFolds.classList.toggle('hidden', type !== 'radial');
+        symmetryCenterBtn.classList.toggle('hidden', type === 'off');
+        editor.setSymmetry({ type });
+    };
+    symmetryFolds.onchange = () => {
+        editor.setSymmetry({ folds: parseInt(symmetryFolds.value, 10) });
+        symmetryFolds.value = editor.symmetry.folds;
+    };
+    symmetryCenterBtn.onclick = () => editor.setSymmetry({ center: null });
+
+    // Stroke smoothing control
+    const stabilizerSlider = container.querySelector('#stabilizer');
+    const stabilizerValue = container.querySelector('#stabilizer-value');
+
+    if (stabilizerSlider && stabilizerValue) {
+        stabilizerSlider.oninput = (e) => {
+            const strength = parseInt(e.target.value);
+            stabilizerValue.textContent = strength;
+            editor.setStabilizer(strength);
+        };
+    }
+
+    // Gap closing control (fill only)
+    const gapSlider = container.querySelector('#gap-size');
+    const gapValue = container.querySelector('#gap-size-value');
+
+    // Numbers are tied to the regions, so keep the gap size fixed in color-by-number mode
+    if (gapSlider && pageOptions.colorByNumber) {
+        gapSlider.disabled = true;
+        gapSlider.classList.add('opacity-50');
+    }
+
+    if (gapSlider && gapValue) {
+        gapSlider.oninput = (e) => {
+            const size = parseInt(e.target.value);
+            gapValue.textContent = size;
+            editor.setGapSize(size);
+        };
+    }
+
     // Volume control events
     const muteBtn = container.querySelector('#mute-btn');
     const volumeSlider = container.querySelector('#volume-slider');
@@ -359,7 +1084,7 @@ const initApp = async () => {
         });
         AudioManager.switchTrack('none');
 
-        const saved = loadState();
+        const saved = await ProjectStore.load();
         if (saved && saved.imageSrc) {
             // Restore audio state if available
             if (saved.audio) {
@@ -378,7 +1103,7 @@ const initApp = async () => {
             }
 
             // If we have a saved state, load it directly
-            renderEditor(saved.imageSrc, saved.drawingData);
+            renderEditor(saved.imageSrc, saved.drawingData, saved.pageOptions || {}, saved.timelapse);
         } else {
             renderWelcome(APP_DATA.images);
         }
@@ -0,0 +1,390 @@
+import { hexToRgb } from '../utils/color_utils';
+
+/**
+ * Brush Engine
+ * Turns raw pointer samples into a smooth stroke: a stabilizer pulls each
+ * sample toward the previous one, a Catmull-Rom spline interpolates between
+ * them, and dabs are stamped along the curve with width and opacity
+ * taken from pen pressure and tilt. Presets change what a dab looks like.
+ */
+
+/**
+ * Brush presets
+ * - spacing: dab spacing, as a fraction of dab diameter
+ * - minWidth / minOpacity: width and opacity at zero pressure
+ * - tip: 'round', 'grain' (paper-textured), 'wet' (soft with a darker rim) or 'spray' (dots)
+ * - flow: fixed per-dab alpha; without it dabs add up to the pressure's opacity
+ * - jitter: random size variation per dab
+ * - buffered: paint the stroke on its own buffer and lay it down at `opacity`,
+ *   so a stroke never darkens itself but overlapping strokes do
+ */
+export const BRUSH_PRESETS = {
+    round: { label: 'Round', icon: '🖌️', tip: 'round', spacing: 0.25, minWidth: 0.25, minOpacity: 0.35 },
+    crayon: { label: 'Crayon', icon: '🖍️', tip: 'grain', spacing: 0.15, minWidth: 0.6, minOpacity: 0.3 },
+    marker: { label: 'Marker', icon: '🖊️', tip: 'round', spacing: 0.1, minWidth: 0.8, minOpacity: 1, flow: 1, buffered: true, opacity: 0.6 },
+    watercolor: { label: 'Watercolor', icon: '💧', tip: 'wet', spacing: 0.1, minWidth: 0.5, minOpacity: 0.5, flow: 0.06, jitter: 0.15, buffered: true, opacity: 0.8 },
+    airbrush: { label: 'Airbrush', icon: '💨', tip: 'spray', spacing: 0.1, minWidth: 0.7, minOpacity: 0.2, flow: 0.5 }
+};
+
+const GRAIN_SIZE = 128; // Crayon grain tile, repeated across the page
+
+let strokeBuffer = null; // Shared by buffered strokes, one stroke at a time
+let dabScratch = null;   // Clipped dabs are masked here before they land
+
+/**
+ * Normalize a PointerEvent into a stroke sample
+ * Mouse and touch report no real pressure, so they paint at full strength.
+ */
+export function sampleFromEvent(e, coords) {
+    const isPen = e.pointerType === 'pen';
+    return {
+        x: coords.x,
+        y: coords.y,
+        pressure: isPen ? e.pressure : 1,
+        tiltX: isPen ? (e.tiltX || 0) : 0,
+        tiltY: isPen ? (e.tiltY || 0) : 0
+    };
+}
+
+export class BrushStroke {
+    /**
+     * @param {CanvasRenderingContext2D} ctx - Layer to paint on
+     * @param {Object} options
+     * @param {string} options.color - Hex color
+     * @param {number} options.size - Brush diameter at full pressure
+     * @param {number} [options.stabilizer=0] - 0 (raw) to 100 (heavy smoothing)
+     * @param {string} [options.compositeOperation='source-over'] - e.g. 'destination-out' to erase
+     * @param {string} [options.preset='round'] - Key of BRUSH_PRESETS
+     * @param {ImageData} [options.snapshot] - The layer before the stroke; required by buffered presets
+     * @param {Object} [options.clip] - { canvas, x, y }: only paint where this mask canvas is opaque
+     * @param {Object[]} [options.copies] - Symmetry: { matrix: [a, b, c, d, e, f], clip } per painted copy,
+     *                                      including the original; defaults to the original alone
+     */
+    constructor(ctx, options) {
+        this.target = ctx;
+        this.color = options.color;
+        this.size = options.size;
+        this.stabilizer = Math.max(0, Math.min(100, options.stabilizer || 0));
+        this.compositeOperation = options.compositeOperation || 'source-over';
+        this.preset = BRUSH_PRESETS[options.preset] || BRUSH_PRESETS.round;
+        this.snapshot = options.snapshot || null;
+        this.copies = options.copies || [{ matrix: null, clip: options.clip || null }];
+
+        // Buffered strokes stamp onto the shared buffer, then flush() lays it over the snapshot
+        this.buffered = !!(this.preset.buffered && this.snapshot);
+        this.opacity = this.preset.buffered ? this.preset.opacity : 1;
+        this.ctx = this.buffered ? getStrokeBuffer(ctx.canvas.width, ctx.canvas.height) : ctx;
+        this.grain = this.preset.tip === 'grain' ? createGrainPattern(this.ctx, this.color) : null;
+
+        this.points = [];      // Stabilized samples
+        this.smoothed = null;  // Stabilizer state
+        this.lastRaw = null;
+        this.carry = 0;        // Distance walked since the last dab
+        this.bounds = null;    // { minX, minY, maxX, maxY } of everything painted
+        this.dirty = null;     // Same, since the last flush
+    }
+
+    /**
+     * Add a pointer sample; paints the curve up to the previous sample
+     */
+    addPoint(sample) {
+        this.lastRaw = sample;
+
+        // Stabilizer: exponential pull toward the raw input (never fully frozen)
+        const follow = 1 - (this.stabilizer / 100) * 0.9;
+        if (!this.smoothed) {
+            this.smoothed = { ...sample };
+        } else {
+            const s = this.smoothed;
+            s.x += (sample.x - s.x) * follow;
+            s.y += (sample.y - s.y) * follow;
+            s.pressure += (sample.pressure - s.pressure) * Math.max(follow, 0.5);
+            s.tiltX = sample.tiltX;
+            s.tiltY = sample.tiltY;
+        }
+
+        this.pushPoint(this.smoothed);
+        this.flush();
+    }
+
+    pushPoint(sample) {
+        const last = this.points[this.points.length - 1];
+        if (last && Math.hypot(sample.x - last.x, sample.y - last.y) < 0.5) return;
+
+        this.points.push({ ...sample });
+        const n = this.points.length;
+
+        if (n === 1) {
+            this.stampDab(this.points[0]);
+        } else if (n >= 3) {
+            // Curve from p[n-3] to p[n-2] now that the point after it is known
+            this.drawSegment(this.points[n - 4] || this.points[n - 3], this.points[n - 3], this.points[n - 2], this.points[n - 1]);
+        }
+    }
+
+    /**
+     * Finish the stroke: catch up with the stabilizer and paint the last segment
+     */
+    end() {
+        if (this.lastRaw && this.points.length > 0) this.pushPoint(this.lastRaw);
+
+        const n = this.points.length;
+        if (n >= 2) {
+            const p1 = this.points[n - 2];
+            const p2 = this.points[n - 1];
+            this.drawSegment(this.points[n - 3] || p1, p1, p2, p2);
+        }
+        this.flush();
+    }
+
+    /**
+     * Buffered strokes: redraw the changed area as snapshot + buffer at the preset's opacity
+     */
+    flush() {
+        if (!this.buffered || !this.dirty) return;
+
+        const { width, height } = this.target.canvas;
+        const d = this.dirty;
+        this.dirty = null;
+        const x = Math.max(0, Math.floor(d.minX));
+        const y = Math.max(0, Math.floor(d.minY));
+        const w = Math.min(width, Math.ceil(d.maxX)) - x;
+        const h = Math.min(height, Math.ceil(d.maxY)) - y;
+        if (w <= 0 || h <= 0) return;
+
+        const ctx = this.target;
+        ctx.putImageData(this.snapshot, 0, 0, x, y, w, h);
+        ctx.save();
+        ctx.globalCompositeOperation = this.compositeOperation;
+        ctx.globalAlpha = this.opacity;
+        ctx.drawImage(this.ctx.canvas, x, y, w, h, x, y, w, h);
+        ctx.restore();
+    }
+
+    /**
+     * Stamp dabs along the Catmull-Rom curve between p1 and p2
+     */
+    drawSegment(p0, p1, p2, p3) {
+        const length = Math.hypot(p2.x - p1.x, p2.y - p1.y);
+        const steps = Math.max(1, Math.ceil(length));
+        let prev = p1;
+
+        for (let i = 1; i <= steps; i++) {
+            const t = i / steps;
+            const point = {
+                x: catmullRom(p0.x, p1.x, p2.x, p3.x, t),
+                y: catmullRom(p0.y, p1.y, p2.y, p3.y, t),
+                pressure: p1.pressure + (p2.pressure - p1.pressure) * t,
+                tiltX: p1.tiltX + (p2.tiltX - p1.tiltX) * t,
+                tiltY: p1.tiltY + (p2.tiltY - p1.tiltY) * t
+            };
+
+            this.carry += Math.hypot(point.x - prev.x, point.y - prev.y);
+            const spacing = Math.max(0.5, this.dabRadius(point) * 2 * this.preset.spacing);
+            if (this.carry >= spacing) {
+                this.carry = 0;
+                this.stampDab(point);
+            }
+            prev = point;
+        }
+    }
+
+    dabRadius(point) {
+        const { minWidth } = this.preset;
+        const pressure = Math.max(0, Math.min(1, point.pressure));
+        return (this.size / 2) * (minWidth + (1 - minWidth) * pressure);
+    }
+
+    /**
+     * One dab, repeated for every symmetry copy. Tilting the pen stretches it
+     * along the tilt direction, like the side of a pencil. Without a fixed flow,
+     * alpha is chosen so that overlapping dabs add up to the pressure's opacity
+     * rather than going solid.
+     */
+    stampDab(point) {
+        const { spacing, minOpacity, flow: presetFlow, jitter } = this.preset;
+        const pressure = Math.max(0, Math.min(1, point.pressure));
+        const radius = this.dabRadius(point) * (jitter ? 1 - jitter * Math.random() : 1);
+        const opacity = minOpacity + (1 - minOpacity) * pressure;
+        const flow = presetFlow !== undefined
+            ? presetFlow * opacity
+            : (opacity >= 1 ? 1 : 1 - Math.pow(1 - opacity, spacing));
+
+        const tilt = Math.min(1, Math.hypot(point.tiltX, point.tiltY) / 90);
+        const stretch = 1 + tilt;
+        const reach = radius * stretch + 1;
+
+        this.copies.forEach(({ matrix, clip }) => {
+            const [a, b, c, d, e, f] = matrix || [1, 0, 0, 1, 0, 0];
+            const x = a * point.x + c * point.y + e;
+            const y = b * point.x + d * point.y + f;
+            // Mirror / rotate the tilt direction along with the position
+            const angle = Math.atan2(b * point.tiltX + d * point.tiltY, a * point.tiltX + c * point.tiltY);
+            const dab = { x, y, radius, stretch, angle, flow };
+
+            // The buffer always builds up normally; the composite mode applies when it is flushed
+            const operation = this.buffered ? 'source-over' : this.compositeOperation;
+            if (clip) this.drawClippedDab(dab, clip, reach, operation);
+            else this.drawDab(this.ctx, dab, operation);
+
+            this.extendBounds(x - reach, y - reach, x + reach, y + reach);
+        });
+    }
+
+    drawDab(ctx, dab, operation) {
+        const { x, y, radius, stretch, angle, flow } = dab;
+        const { tip } = this.preset;
+
+        ctx.save();
+        ctx.globalCompositeOperation = operation;
+        ctx.globalAlpha = flow;
+
+        if (tip === 'spray') {
+            this.sprayDots(ctx, x, y, radius * stretch, radius, angle);
+        } else {
+            if (tip === 'grain') {
+                ctx.fillStyle = this.grain;
+            } else if (tip === 'wet') {
+                // Pigment pools at the rim of a wet dab
+                const [r, g, b] = hexToRgb(this.color);
+                const gradient = ctx.createRadialGradient(x, y, 0, x, y, radius);
+                gradient.addColorStop(0, `rgba(${r}, ${g}, ${b}, 0.5)`);
+                gradient.addColorStop(0.8, `rgba(${r}, ${g}, ${b}, 1)`);
+                gradient.addColorStop(1, `rgba(${r}, ${g}, ${b}, 0)`);
+                ctx.fillStyle = gradient;
+            } else {
+                ctx.fillStyle = this.color;
+            }
+            ctx.beginPath();
+            ctx.ellipse(x, y, radius * stretch, radius, angle, 0, Math.PI * 2);
+            ctx.fill();
+        }
+        ctx.restore();
+    }
+
+    /**
+     * "Stay inside the lines": draw the dab on a scratch canvas, keep only
+     * the part inside the clip mask, then lay that down
+     */
+    drawClippedDab(dab, clip, reach, operation) {
+        const left = Math.floor(dab.x - reach);
+        const top = Math.floor(dab.y - reach);
+        const size = Math.ceil(reach * 2) + 2;
+
+        // Skip dabs that don't touch the mask at all
+        if (left + size <= clip.x || top + size <= clip.y ||
+            left >= clip.x + clip.canvas.width || top >= clip.y + clip.canvas.height) return;
+
+        if (!dabScratch) dabScratch = document.createElement('canvas');
+        if (dabScratch.width < size || dabScratch.height < size) {
+            dabScratch.width = Math.max(dabScratch.width, size);
+            dabScratch.height = Math.max(dabScratch.height, size);
+        }
+        const scratch = dabScratch.getContext('2d');
+        scratch.setTransform(1, 0, 0, 1, 0, 0);
+        scratch.clearRect(0, 0, size, size);
+
+        // Page coordinates, so grain and gradients line up with unclipped dabs
+        scratch.setTransform(1, 0, 0, 1, -left, -top);
+        this.drawDab(scratch, dab, 'source-over');
+        scratch.globalCompositeOperation = 'destination-in';
+        scratch.drawImage(clip.canvas, clip.x, clip.y);
+        scratch.globalCompositeOperation = 'source-over';
+        // Not every browser clears outside the drawn image, so clear around the mask explicitly
+        scratch.save();
+        scratch.beginPath();
+        scratch.rect(left, top, size, size);
+        scratch.rect(clip.x, clip.y, clip.canvas.width, clip.canvas.height);
+        scratch.clip('evenodd');
+        scratch.clearRect(left, top, size, size);
+        scratch.restore();
+        scratch.setTransform(1, 0, 0, 1, 0, 0);
+
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.globalCompositeOperation = operation;
+        ctx.drawImage(dabScratch, 0, 0, size, size, left, top, size, size);
+        ctx.restore();
+    }
+
+    /**
+     * Airbrush dab: fine dots, denser toward the middle
+     */
+    sprayDots(ctx, x, y, radiusX, radiusY, angle) {
+        const dots = Math.max(4, Math.round(radiusX * radiusY * 0.15));
+        const dotSize = Math.max(1, radiusY * 0.06);
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+
+        ctx.fillStyle = this.color;
+        for (let i = 0; i < dots; i++) {
+            const r = Math.random() * Math.random(); // Biased toward the center
+            const theta = Math.random() * Math.PI * 2;
+            const dx = Math.cos(theta) * r * radiusX;
+            const dy = Math.sin(theta) * r * radiusY;
+            ctx.fillRect(x + dx * cos - dy * sin, y + dx * sin + dy * cos, dotSize, dotSize);
+        }
+    }
+
+    extendBounds(minX, minY, maxX, maxY) {
+        for (const key of ['bounds', 'dirty']) {
+            const b = this[key];
+            if (!b) {
+                this[key] = { minX, minY, maxX, maxY };
+                continue;
+            }
+            b.minX = Math.min(b.minX, minX);
+            b.minY = Math.min(b.minY, minY);
+            b.maxX = Math.max(b.maxX, maxX);
+            b.maxY = Math.max(b.maxY, maxY);
+        }
+    }
+}
+
+/**
+ * A cleared page-sized canvas for buffered strokes
+ */
+function getStrokeBuffer(width, height) {
+    if (!strokeBuffer) strokeBuffer = document.createElement('canvas');
+    if (strokeBuffer.width !== width || strokeBuffer.height !== height) {
+        strokeBuffer.width = width;
+        strokeBuffer.height = height;
+    }
+    const ctx = strokeBuffer.getContext('2d');
+    ctx.clearRect(0, 0, width, height);
+    return ctx;
+}
+
+/**
+ * Crayon grain: a tinted noise tile with gaps where the paper's tooth
+ * stays unpainted. Patterns are anchored to the page, so the grain
+ * stays put as dabs overlap instead of smearing.
+ */
+function createGrainPattern(ctx, color) {
+    const tile = document.createElement('canvas');
+    tile.width = GRAIN_SIZE;
+    tile.height = GRAIN_SIZE;
+    const tileCtx = tile.getContext('2d');
+    const image = tileCtx.createImageData(GRAIN_SIZE, GRAIN_SIZE);
+    const [r, g, b] = hexToRgb(color);
+
+    for (let i = 0; i < image.data.length; i += 4) {
+        const tooth = Math.random();
+        image.data[i] = r;
+        image.data[i + 1] = g;
+        image.data[i + 2] = b;
+        image.data[i + 3] = tooth < 0.25 ? 0 : Math.round(255 * Math.min(1, tooth * 1.3));
+    }
+    tileCtx.putImageData(image, 0, 0);
+
+    return ctx.createPattern(tile, 'repeat');
+}
+
+/**
+ * Uniform Catmull-Rom interpolation between b (t = 0) and c (t = 1)
+ */
+function catmullRom(a, b, c, d, t) {
+    const t2 = t * t;
+    const t3 = t2 * t;
+    return 0.5 * ((2 * b) + (-a + c) * t + (2 * a - 5 * b + 4 * c - d) * t2 + (-a + 3 * b - 3 * c + d) * t3);
+}
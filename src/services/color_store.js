@@ -0,0 +1,54 @@
+/**
+ * Recent and custom colors, kept in localStorage across sessions
+ */
+const STORAGE_KEY = 'vibe_coloring_colors';
+const MAX_RECENT = 12;
+const MAX_CUSTOM = 24;
+
+export const ColorStore = {
+    recent: [],
+    custom: [],
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+            this.recent = Array.isArray(saved.recent) ? saved.recent : [];
+            this.custom = Array.isArray(saved.custom) ? saved.custom : [];
+        } catch (e) {
+            this.recent = [];
+            this.custom = [];
+        }
+    },
+
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({ recent: this.recent, custom: this.custom }));
+        } catch (e) {
+            console.warn('Saving colors failed', e);
+        }
+    },
+
+    /**
+     * Move a color to the front of the recent strip
+     */
+    addRecent(color) {
+        color = color.toLowerCase();
+        if (this.recent[0] === color) return;
+        this.recent = [color, ...this.recent.filter(c => c !== color)].slice(0, MAX_RECENT);
+        this.save();
+    },
+
+    addCustom(color) {
+        color = color.toLowerCase();
+        if (this.custom.includes(color)) return;
+        this.custom = [...this.custom, color].slice(-MAX_CUSTOM);
+        this.save();
+    },
+
+    removeCustom(color) {
+        this.custom = this.custom.filter(c => c !== color.toLowerCase());
+        this.save();
+    }
+};
+
+ColorStore.load();
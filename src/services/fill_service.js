@@ -0,0 +1,142 @@
+import { scanlineFill, closeGaps } from '../utils/flood_fill';
+import { createRegionMap } from '../utils/region_map';
+
+/**
+ * Fill Service
+ * Runs scanline fills in a Web Worker, falling back to the main thread
+ * when workers (or OffscreenCanvas) are unavailable.
+ * Fills are serialized so each one sees the result of the previous.
+ */
+export class FillService {
+    constructor() {
+        this.lineMask = null;
+        this.softMask = null;
+        this.width = 0;
+        this.height = 0;
+        this.closedMasks = new Map(); // gapSize -> gap-closed mask, main-thread fallback only
+        this.nextId = 1;
+        this.pending = new Map();
+        this.queue = Promise.resolve();
+        this.canTransferBitmap = typeof OffscreenCanvas !== 'undefined' && typeof createImageBitmap !== 'undefined';
+
+        try {
+            this.worker = new Worker(new URL('../workers/flood_fill_worker.js', import.meta.url), { type: 'module' });
+            this.worker.onmessage = (e) => {
+                const resolve = this.pending.get(e.data.id);
+                this.pending.delete(e.data.id);
+                if (resolve) resolve(e.data.result);
+            };
+            this.worker.onerror = (err) => {
+                console.warn('Fill worker failed, filling on main thread', err);
+                this.worker = null;
+                this.pending.forEach(resolve => resolve(null));
+                this.pending.clear();
+            };
+        } catch (e) {
+            console.warn('Fill worker unavailable, filling on main thread', e);
+            this.worker = null;
+        }
+    }
+
+    /**
+     * Set the line boundary mask used by every subsequent fill
+     * @param {Uint8Array} lineMask - 1 = line pixel
+     * @param {Uint8Array} [softMask] - 1 = anti-aliased line edge that fills may reach under
+     */
+    setBoundaries(lineMask, width, height, softMask = null) {
+        this.lineMask = lineMask;
+        this.softMask = softMask;
+        this.width = width;
+        this.height = height;
+        this.closedMasks = new Map();
+
+        if (this.worker) {
+            // Send a copy so the main thread keeps its own
+            const copy = new Uint8Array(lineMask);
+            const softCopy = softMask ? new Uint8Array(softMask) : null;
+            this.worker.postMessage({ type: 'boundaries', lineMask: copy, softMask: softCopy, width, height },
+                softCopy ? [copy.buffer, softCopy.buffer] : [copy.buffer]);
+        }
+    }
+
+    /**
+     * Queue a fill search against the current canvas contents
+     * @param {HTMLCanvasElement} canvas - Coloring layer to sample
+     * @param {Object} params - { startX, startY, fillRGB, tolerance, gapSize }
+     * @returns {Promise<Object|null>} - scanlineFill result, or null when nothing would change
+     */
+    fill(canvas, params) {
+        const run = () => this.worker ? this.fillInWorker(canvas, params) : this.fillInline(canvas, params);
+        const task = this.queue.then(run);
+        this.queue = task.catch(() => null);
+        return task;
+    }
+
+    async fillInWorker(canvas, params) {
+        const id = this.nextId++;
+        const message = { type: 'fill', id, ...params };
+        const transfer = [];
+
+        if (this.canTransferBitmap) {
+            message.bitmap = await createImageBitmap(canvas);
+            transfer.push(message.bitmap);
+        } else {
+            message.pixels = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height).data;
+            transfer.push(message.pixels.buffer);
+        }
+
+        return new Promise((resolve) => {
+            this.pending.set(id, resolve);
+            this.worker.postMessage(message, transfer);
+        });
+    }
+
+    fillInline(canvas, params) {
+        if (!this.lineMask) return null;
+        const pixels = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height).data;
+        return scanlineFill({
+            pixels,
+            lineMask: this.lineMask,
+            softMask: this.softMask,
+            width: this.width,
+            height: this.height,
+            closedMask: this.getClosedMask(params.gapSize),
+            ...params
+        });
+    }
+
+    /**
+     * Label every enclosed region of the current boundaries
+     * @param {number} gapSize - Same gap closing radius the fills use
+     * @returns {Promise<Object|null>} - createRegionMap result
+     */
+    buildRegionMap(gapSize = 0) {
+        if (!this.worker) {
+            if (!this.lineMask) return Promise.resolve(null);
+            return Promise.resolve(createRegionMap(this.lineMask, this.width, this.height, {
+                gapSize,
+                closedMask: this.getClosedMask(gapSize),
+                softMask: this.softMask
+            }));
+        }
+
+        const id = this.nextId++;
+        return new Promise((resolve) => {
+            this.pending.set(id, resolve);
+            this.worker.postMessage({ type: 'regions', id, gapSize });
+        });
+    }
+
+    getClosedMask(gapSize) {
+        if (!gapSize) return null;
+        if (!this.closedMasks.has(gapSize)) {
+            this.closedMasks.set(gapSize, closeGaps(this.lineMask, this.width, this.height, gapSize));
+        }
+        return this.closedMasks.get(gapSize);
+    }
+
+    destroy() {
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+    }
+}
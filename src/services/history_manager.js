@@ -0,0 +1,99 @@
+/**
+ * Undo/Redo History
+ * Stores pixel patches (the rectangle an action touched, before and after)
+ * instead of full canvas copies, so memory grows with what was painted
+ * rather than with the page size.
+ */
+export class HistoryManager {
+    constructor(options = {}) {
+        this.maxEntries = options.maxEntries || 50;
+        this.maxBytes = options.maxBytes || 64 * 1024 * 1024; // 64MB of pixel data
+        this.onChange = options.onChange;
+
+        this.undoStack = [];
+        this.redoStack = [];
+        this.bytes = 0;
+    }
+
+    /**
+     * Record a new action. Clears the redo stack.
+     * @param {Object} entry - { x, y, before: ImageData, after: ImageData }
+     */
+    push(entry) {
+        entry.bytes = entry.before.data.length + entry.after.data.length;
+
+        this.redoStack.forEach(e => this.bytes -= e.bytes);
+        this.redoStack = [];
+
+        this.undoStack.push(entry);
+        this.bytes += entry.bytes;
+
+        // Drop the oldest entries once over budget (always keep the latest one)
+        while (this.undoStack.length > 1 &&
+            (this.undoStack.length > this.maxEntries || this.bytes > this.maxBytes)) {
+            this.bytes -= this.undoStack.shift().bytes;
+        }
+
+        this.notify();
+    }
+
+    /**
+     * Pop the latest action for undoing
+     * @returns {Object|null} - The entry whose `before` patch should be restored
+     */
+    undo() {
+        const entry = this.undoStack.pop();
+        if (!entry) return null;
+        this.redoStack.push(entry);
+        this.notify();
+        return entry;
+    }
+
+    /**
+     * Pop the latest undone action for redoing
+     * @returns {Object|null} - The entry whose `after` patch should be restored
+     */
+    redo() {
+        const entry = this.redoStack.pop();
+        if (!entry) return null;
+        this.undoStack.push(entry);
+        this.notify();
+        return entry;
+    }
+
+    /**
+     * Drop entries that can no longer be applied (e.g. their layer was deleted)
+     * @param {Function} predicate - Returns true for entries to drop
+     */
+    discard(predicate) {
+        const keep = (e) => {
+            if (!predicate(e)) return true;
+            this.bytes -= e.bytes;
+            return false;
+        };
+        this.undoStack = this.undoStack.filter(keep);
+        this.redoStack = this.redoStack.filter(keep);
+        this.notify();
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.bytes = 0;
+        this.notify();
+    }
+
+    notify() {
+        if (this.onChange) {
+            this.onChange({ canUndo: this.canUndo(), canRedo: this.canRedo() });
+        }
+    }
+}
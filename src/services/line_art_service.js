@@ -0,0 +1,69 @@
+import { lineArtFromImageData } from '../utils/image_processing';
+
+// Run a job on the main thread instead (the worker failed it or is gone)
+const settle = (job) => {
+    try {
+        job.resolve(job.run());
+    } catch (err) {
+        job.reject(err);
+    }
+};
+
+/**
+ * Line Art Service
+ * Runs the line art pipeline in a Web Worker, so converting a photo doesn't
+ * freeze the page, falling back to the main thread when workers are unavailable.
+ */
+export class LineArtService {
+    constructor() {
+        this.nextId = 1;
+        this.pending = new Map(); // id -> { resolve, reject, run } (run: the same job on the main thread)
+
+        try {
+            this.worker = new Worker(new URL('../workers/line_art_worker.js', import.meta.url), { type: 'module' });
+            this.worker.onmessage = (e) => {
+                const job = this.pending.get(e.data.id);
+                this.pending.delete(e.data.id);
+                if (!job) return;
+                if (e.data.result) job.resolve(e.data.result);
+                else settle(job);
+            };
+            this.worker.onerror = (err) => {
+                console.warn('Line art worker failed, processing on main thread', err);
+                this.worker = null;
+                this.pending.forEach(settle);
+                this.pending.clear();
+            };
+        } catch (e) {
+            console.warn('Line art worker unavailable, processing on main thread', e);
+            this.worker = null;
+        }
+    }
+
+    /**
+     * Turn pixels into line art
+     * @param {ImageData} imageData - Source pixels (left unchanged)
+     * @param {Object} options - lineArtFromImageData options
+     * @returns {Promise<Object>} - { data, display, width, height }
+     */
+    process(imageData, options) {
+        const { width, height } = imageData;
+        // The pipeline works in place, so it always gets its own copy
+        const run = () => lineArtFromImageData({ data: new Uint8ClampedArray(imageData.data), width, height }, options);
+        if (!this.worker) {
+            return new Promise(resolve => resolve(run()));
+        }
+
+        const id = this.nextId++;
+        const pixels = new Uint8ClampedArray(imageData.data);
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject, run });
+            this.worker.postMessage({ type: 'process', id, pixels, width, height, options }, [pixels.buffer]);
+        });
+    }
+
+    destroy() {
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+    }
+}
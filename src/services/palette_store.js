@@ -0,0 +1,122 @@
+import { normalizeHex } from '../utils/color_utils';
+
+/**
+ * User palettes, kept in localStorage. Starts with the built-in palettes,
+ * which can be edited or deleted like any other.
+ */
+const STORAGE_KEY = 'vibe_coloring_palettes';
+
+export const DEFAULT_PALETTES = [
+    {
+        name: 'Palette',
+        colors: [
+            '#e63946', '#f4a261', '#e9c46a', '#2a9d8f', '#264653', '#a855f7',
+            '#ec4899', '#22c55e', '#3b82f6', '#8b5cf6', '#06b6d4', '#84cc16'
+        ]
+    },
+    {
+        name: 'Skin tone',
+        colors: [
+            '#8d5524', '#c68642', '#e0ac69', '#f1c27d', '#ffdbac', '#ffe0bd',
+            '#6b4423', '#a57449', '#d4a574', '#e8c4a2', '#fad4c0', '#ffe5d4'
+        ]
+    },
+    {
+        name: 'Hair color',
+        colors: [
+            '#000000', '#4a3728', '#8b4513', '#d2691e', '#ff8c00', '#daa520',
+            '#f5deb3', '#c0c0c0', '#808080', '#2f1810', '#5c3317', '#a0522d'
+        ]
+    }
+];
+
+export const PaletteStore = {
+    palettes: [], // { id, name, colors: string[] }, in display order
+    nextId: 1,
+
+    load() {
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        } catch (e) {
+            saved = null;
+        }
+
+        this.palettes = [];
+        this.nextId = 1;
+        const list = Array.isArray(saved) ? saved : DEFAULT_PALETTES;
+        // Saved entries that aren't palettes are dropped, and colors that aren't hex codes
+        list.filter(p => p && typeof p === 'object' && Array.isArray(p.colors)).forEach(p => this.palettes.push({
+            id: typeof p.id === 'string' && p.id ? p.id : `palette-${this.nextId++}`,
+            name: typeof p.name === 'string' && p.name ? p.name : 'My palette',
+            colors: p.colors.filter(c => typeof c === 'string').map(normalizeHex).filter(Boolean)
+        }));
+        this.palettes.forEach(p => {
+            const num = parseInt(String(p.id).replace('palette-', ''), 10);
+            if (num >= this.nextId) this.nextId = num + 1;
+        });
+    },
+
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.palettes));
+        } catch (e) {
+            console.warn('Saving palettes failed', e);
+        }
+    },
+
+    get(id) {
+        return this.palettes.find(p => p.id === id) || null;
+    },
+
+    /**
+     * @returns {Object} - The new palette
+     */
+    create(name, colors = []) {
+        const palette = { id: `palette-${this.nextId++}`, name: name || 'My palette', colors: colors.slice() };
+        this.palettes.push(palette);
+        this.save();
+        return palette;
+    },
+
+    rename(id, name) {
+        const palette = this.get(id);
+        if (!palette || !name) return;
+        palette.name = name;
+        this.save();
+    },
+
+    /**
+     * Move a palette up (-1) or down (+1) in the sidebar
+     */
+    move(id, delta) {
+        const index = this.palettes.findIndex(p => p.id === id);
+        const target = index + delta;
+        if (index < 0 || target < 0 || target >= this.palettes.length) return;
+
+        const [palette] = this.palettes.splice(index, 1);
+        this.palettes.splice(target, 0, palette);
+        this.save();
+    },
+
+    remove(id) {
+        this.palettes = this.palettes.filter(p => p.id !== id);
+        this.save();
+    },
+
+    addColor(id, color) {
+        const palette = this.get(id);
+        if (!palette) return;
+        palette.colors.push(color.toLowerCase());
+        this.save();
+    },
+
+    removeColor(id, index) {
+        const palette = this.get(id);
+        if (!palette) return;
+        palette.colors.splice(index, 1);
+        this.save();
+    }
+};
+
+PaletteStore.load();
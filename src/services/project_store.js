@@ -0,0 +1,76 @@
+/**
+ * The open project (page, settings and layer pixels), kept in IndexedDB.
+ * A page's layers easily outgrow localStorage's few megabytes; IndexedDB allows far more.
+ * Projects saved to localStorage by older versions are still picked up.
+ */
+const DB_NAME = 'vibe_coloring';
+const STORE_NAME = 'projects';
+const PROJECT_KEY = 'current';
+const LEGACY_KEY = 'vibe_coloring_state';
+
+const request = (req) => new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+});
+
+export const ProjectStore = {
+    db: null, // Promise<IDBDatabase> once opened
+
+    open() {
+        if (!this.db) {
+            const req = indexedDB.open(DB_NAME, 1);
+            req.onupgradeneeded = () => req.result.createObjectStore(STORE_NAME);
+            this.db = request(req);
+            this.db.catch(() => { this.db = null; }); // Try again next time
+        }
+        return this.db;
+    },
+
+    async transaction(mode, run) {
+        const db = await this.open();
+        const tx = db.transaction(STORE_NAME, mode);
+        const done = new Promise((resolve, reject) => {
+            tx.oncomplete = resolve;
+            tx.onerror = tx.onabort = () => reject(tx.error);
+        });
+        // Quota errors can surface only when the transaction commits
+        const [result] = await Promise.all([request(run(tx.objectStore(STORE_NAME))), done]);
+        return result;
+    },
+
+    /**
+     * @returns {Promise<Object|null>} - The saved project, or null
+     */
+    async load() {
+        try {
+            const saved = await this.transaction('readonly', store => store.get(PROJECT_KEY));
+            if (saved) return saved;
+        } catch (e) {
+            console.warn('Loading project failed', e);
+        }
+
+        try {
+            const raw = localStorage.getItem(LEGACY_KEY);
+            return raw ? JSON.parse(raw) : null;
+        } catch (e) {
+            return null;
+        }
+    },
+
+    /**
+     * @returns {Promise<void>} - Rejects when the project could not be stored (e.g. quota exceeded)
+     */
+    async save(project) {
+        await this.transaction('readwrite', store => store.put(project, PROJECT_KEY));
+        localStorage.removeItem(LEGACY_KEY); // Now kept here
+    },
+
+    async clear() {
+        localStorage.removeItem(LEGACY_KEY);
+        try {
+            await this.transaction('readwrite', store => store.delete(PROJECT_KEY));
+        } catch (e) {
+            console.warn('Clearing project failed', e);
+        }
+    }
+};
@@ -0,0 +1,133 @@
+/**
+ * Keyboard shortcuts, rebindable and kept in localStorage.
+ * A binding is a combo string such as 'B', 'Space' or 'Ctrl+S'; an action can have several.
+ */
+const STORAGE_KEY = 'vibe_coloring_shortcuts';
+
+export const SHORTCUT_ACTIONS = [
+    { id: 'tool-fill', label: 'Fill', group: 'Tools', keys: ['F'] },
+    { id: 'tool-brush', label: 'Brush', group: 'Tools', keys: ['B'] },
+    { id: 'tool-eraser', label: 'Eraser', group: 'Tools', keys: ['E'] },
+    { id: 'tool-pan', label: 'Pan', group: 'Tools', keys: ['H'] },
+    { id: 'tool-eyedropper', label: 'Eyedropper', group: 'Tools', keys: ['I'] },
+    { id: 'tool-line', label: 'Line', group: 'Tools', keys: ['L'] },
+    { id: 'tool-rect', label: 'Rectangle', group: 'Tools', keys: ['R'] },
+    { id: 'tool-ellipse', label: 'Ellipse', group: 'Tools', keys: ['O'] },
+    { id: 'tool-stamp', label: 'Stickers', group: 'Tools', keys: ['S'] },
+    { id: 'tool-select-rect', label: 'Select', group: 'Tools', keys: ['M'] },
+    { id: 'brush-smaller', label: 'Smaller brush', group: 'Brush', keys: ['['] },
+    { id: 'brush-bigger', label: 'Bigger brush', group: 'Brush', keys: [']'] },
+    { id: 'zoom-in', label: 'Zoom in', group: 'View', keys: ['=', '+'] },
+    { id: 'zoom-out', label: 'Zoom out', group: 'View', keys: ['-'] },
+    { id: 'zoom-fit', label: 'Fit to screen', group: 'View', keys: ['0'] },
+    { id: 'pan-hold', label: 'Pan while held', group: 'View', keys: ['Space'], hold: true },
+    { id: 'color-prev', label: 'Previous color', group: 'Colors', keys: ['ArrowLeft'] },
+    { id: 'color-next', label: 'Next color', group: 'Colors', keys: ['ArrowRight'] },
+    { id: 'palette-prev', label: 'Previous palette', group: 'Colors', keys: ['ArrowUp'] },
+    { id: 'palette-next', label: 'Next palette', group: 'Colors', keys: ['ArrowDown'] },
+    { id: 'save', label: 'Save picture', group: 'Other', keys: ['Ctrl+S'] },
+    { id: 'help', label: 'Show shortcuts', group: 'Other', keys: ['?'] }
+];
+
+// Built into the editor; these can't be given to another action
+export const FIXED_SHORTCUTS = [
+    { label: 'Undo', keys: ['Ctrl+Z'] },
+    { label: 'Redo', keys: ['Ctrl+Shift+Z'] },
+    { label: 'Select all', keys: ['Ctrl+A'] },
+    { label: 'Copy / cut / paste selection', keys: ['Ctrl+C', 'Ctrl+X', 'Ctrl+V'] },
+    { label: 'Delete selection', keys: ['Delete', 'Backspace'] },
+    { label: 'Place sticker or selection', keys: ['Enter'] },
+    { label: 'Cancel / deselect', keys: ['Escape'] }
+];
+
+const MODIFIER_KEYS = ['Control', 'Shift', 'Alt', 'Meta'];
+
+export const ShortcutManager = {
+    bindings: {}, // action id -> combo strings
+
+    load() {
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        } catch (e) {
+            saved = null;
+        }
+
+        // Actions added since the bindings were saved get their defaults
+        this.bindings = {};
+        SHORTCUT_ACTIONS.forEach(a => {
+            const keys = saved && Array.isArray(saved[a.id]) ? saved[a.id] : a.keys;
+            this.bindings[a.id] = keys.slice();
+        });
+    },
+
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.bindings));
+        } catch (e) {
+            console.warn('Saving shortcuts failed', e);
+        }
+    },
+
+    /**
+     * Combo string for a key event, or null for a lone modifier key.
+     * Shift only shows up with non-printable keys or other modifiers: it is already part of '?' or '+'.
+     */
+    comboFromEvent(e) {
+        if (MODIFIER_KEYS.includes(e.key)) return null;
+        let key = e.key === ' ' ? 'Space' : e.key;
+        if (key.length === 1) key = key.toUpperCase();
+
+        const parts = [];
+        if (e.ctrlKey || e.metaKey) parts.push('Ctrl');
+        if (e.altKey) parts.push('Alt');
+        if (e.shiftKey && (key.length > 1 || parts.length)) parts.push('Shift');
+        parts.push(key);
+        return parts.join('+');
+    },
+
+    /**
+     * Action bound to a key event
+     * @returns {Object|null} - SHORTCUT_ACTIONS entry
+     */
+    match(e) {
+        const combo = this.comboFromEvent(e);
+        if (!combo) return null;
+        return SHORTCUT_ACTIONS.find(a => this.bindings[a.id].includes(combo)) || null;
+    },
+
+    isFixed(combo) {
+        return FIXED_SHORTCUTS.some(s => s.keys.includes(combo));
+    },
+
+    /**
+     * Give an action a single new combo, taking it away from any other action
+     * @returns {boolean} - False if the combo belongs to a built-in editor shortcut
+     */
+    rebind(id, combo) {
+        if (!this.bindings[id] || this.isFixed(combo)) return false;
+        Object.keys(this.bindings).forEach(other => {
+            this.bindings[other] = this.bindings[other].filter(k => k !== combo);
+        });
+        this.bindings[id] = [combo];
+        this.save();
+        return true;
+    },
+
+    unbind(id) {
+        if (!this.bindings[id]) return;
+        this.bindings[id] = [];
+        this.save();
+    },
+
+    reset() {
+        try {
+            localStorage.removeItem(STORAGE_KEY);
+        } catch (e) {
+            console.warn('Resetting shortcuts failed', e);
+        }
+        this.load();
+    }
+};
+
+ShortcutManager.load();
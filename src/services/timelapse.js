@@ -0,0 +1,266 @@
+/**
+ * Time-lapse
+ * Every change to the page is logged with a timestamp as the pixel patch it
+ * left behind, PNG-compressed. Replaying the patches in order rebuilds the
+ * picture exactly, whichever tool made each change.
+ * The log is bounded like the undo history: once over budget, its oldest half
+ * is folded into one keyframe per layer, so a replay still starts from the
+ * blank page and ends on the current picture.
+ */
+
+const MAX_GAP = 1000; // ms: longer pauses are shortened to this in the replay
+
+/**
+ * Session log of painting actions
+ */
+export class ActionLog {
+    constructor(options = {}) {
+        this.maxEntries = options.maxEntries || 2000;
+        this.maxBytes = options.maxBytes || 8 * 1024 * 1024; // 8MB of encoded patches
+        this.start = Date.now();
+        this.entries = []; // { t, tool, color, layerId, x, y, width, height, patch: Promise<Blob>, bytes }
+        this.bytes = 0;
+        this.folding = null; // Promise while the oldest entries are being folded
+    }
+
+    /**
+     * Continue a saved log (serialize() result); new entries follow its last one
+     */
+    static restore(saved, options = {}) {
+        const log = new ActionLog(options);
+        if (!saved || !Array.isArray(saved.entries)) return log;
+
+        saved.entries.forEach(({ patch, ...entry }) => {
+            log.entries.push({ ...entry, patch: Promise.resolve(patch), bytes: patch ? patch.size : 0 });
+            log.bytes += patch ? patch.size : 0;
+        });
+        const last = log.entries[log.entries.length - 1];
+        log.start = Date.now() - (last ? last.t : 0);
+        return log;
+    }
+
+    /**
+     * @param {Object} action
+     * @param {string} action.tool - Tool or command that made the change ('fill', 'brush', 'undo', ...)
+     * @param {string} action.color - Current color at the time
+     * @param {string} action.layerId
+     * @param {number} action.x - Page position of the patch
+     * @param {number} action.y
+     * @param {ImageData} action.imageData - The patch's pixels after the change
+     */
+    record({ tool, color, layerId, x, y, imageData }) {
+        const entry = {
+            t: Date.now() - this.start,
+            tool,
+            color,
+            layerId,
+            x,
+            y,
+            width: imageData.width,
+            height: imageData.height,
+            patch: encodePatch(imageData),
+            bytes: 0
+        };
+        this.entries.push(entry);
+
+        entry.patch.then(blob => {
+            entry.bytes = blob ? blob.size : 0;
+            this.bytes += entry.bytes;
+            this.trim();
+        });
+        this.trim();
+    }
+
+    get length() {
+        return this.entries.length;
+    }
+
+    /**
+     * Fold the oldest half of the log into keyframes once it is over budget
+     */
+    trim() {
+        if (this.folding || this.entries.length < 2) return;
+        if (this.entries.length <= this.maxEntries && this.bytes <= this.maxBytes) return;
+
+        this.folding = this.fold(Math.ceil(this.entries.length / 2))
+            .catch(err => console.warn('Folding time-lapse failed', err))
+            .then(() => {
+                this.folding = null;
+                this.trim();
+            });
+    }
+
+    /**
+     * Replace the first `count` entries with one patch per layer showing their combined result
+     */
+    async fold(count) {
+        const folded = this.entries.slice(0, count);
+
+        // Each layer's keyframe covers every patch folded into it
+        const layers = new Map(); // layerId -> { x0, y0, x1, y1 }
+        folded.forEach(e => {
+            const box = layers.get(e.layerId);
+            if (!box) {
+                layers.set(e.layerId, { x0: e.x, y0: e.y, x1: e.x + e.width, y1: e.y + e.height });
+                return;
+            }
+            box.x0 = Math.min(box.x0, e.x);
+            box.y0 = Math.min(box.y0, e.y);
+            box.x1 = Math.max(box.x1, e.x + e.width);
+            box.y1 = Math.max(box.y1, e.y + e.height);
+        });
+
+        const canvases = new Map();
+        layers.forEach((box, layerId) => {
+            const canvas = document.createElement('canvas');
+            canvas.width = box.x1 - box.x0;
+            canvas.height = box.y1 - box.y0;
+            canvases.set(layerId, canvas);
+        });
+        for (const entry of folded) {
+            const box = layers.get(entry.layerId);
+            await applyPatch(canvases.get(entry.layerId).getContext('2d'), entry, box.x0, box.y0);
+        }
+
+        const last = folded[folded.length - 1];
+        const keyframes = [];
+        for (const [layerId, canvas] of canvases) {
+            const box = layers.get(layerId);
+            const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+            keyframes.push({
+                t: last.t,
+                tool: 'keyframe',
+                color: last.color,
+                layerId,
+                x: box.x0,
+                y: box.y0,
+                width: canvas.width,
+                height: canvas.height,
+                patch: Promise.resolve(blob),
+                bytes: blob ? blob.size : 0
+            });
+        }
+
+        // Entries recorded meanwhile were appended, so the folded ones are still the first `count`
+        this.entries.splice(0, count, ...keyframes);
+        this.bytes = this.entries.reduce((sum, e) => sum + e.bytes, 0);
+    }
+
+    /**
+     * Plain data for saving with the project (patches as PNG blobs)
+     * @returns {Promise<Object>}
+     */
+    async serialize() {
+        const entries = await Promise.all(this.entries.map(async ({ patch, bytes, ...entry }) => ({ ...entry, patch: await patch })));
+        return { entries };
+    }
+}
+
+function encodePatch(imageData) {
+    const canvas = document.createElement('canvas');
+    canvas.width = imageData.width;
+    canvas.height = imageData.height;
+    canvas.getContext('2d').putImageData(imageData, 0, 0);
+    return new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+}
+
+/**
+ * Draw a logged patch, replacing what was under it
+ * @param {number} [originX=0] - Page position of the context's top-left corner
+ */
+async function applyPatch(ctx, entry, originX = 0, originY = 0) {
+    const blob = await entry.patch;
+    if (!blob) return;
+    const bitmap = await createImageBitmap(blob);
+    ctx.clearRect(entry.x - originX, entry.y - originY, entry.width, entry.height);
+    ctx.drawImage(bitmap, entry.x - originX, entry.y - originY);
+    if (bitmap.close) bitmap.close();
+}
+
+/**
+ * Rebuilds the page from an action log at any point of its (pause-shortened) timeline
+ */
+export class Replay {
+    /**
+     * @param {Object[]} entries - ActionLog entries
+     * @param {Object} page
+     * @param {number} page.width
+     * @param {number} page.height
+     * @param {Object[]} page.layers - { id, visible, opacity, blendMode }, bottom first
+     * @param {CanvasImageSource} page.lineArt - Drawn on top with multiply
+     */
+    constructor(entries, page) {
+        this.page = page;
+        this.entries = entries.filter(e => page.layers.some(l => l.id === e.layerId)); // Deleted layers are left out
+
+        // Replay time of each entry
+        this.times = [];
+        let time = 0;
+        this.entries.forEach((entry, i) => {
+            if (i > 0) time += Math.min(MAX_GAP, entry.t - this.entries[i - 1].t);
+            this.times.push(time);
+        });
+        this.duration = time;
+
+        this.layerCanvases = new Map(page.layers.map(l => {
+            const canvas = document.createElement('canvas');
+            canvas.width = page.width;
+            canvas.height = page.height;
+            return [l.id, canvas];
+        }));
+        this.applied = 0; // Entries drawn onto the layer canvases
+        this.seeking = Promise.resolve();
+    }
+
+    /**
+     * Bring the layers to how they looked at a replay time (ms)
+     * @returns {Promise<void>}
+     */
+    seek(time) {
+        // Seeks run one after another so patches never interleave
+        this.seeking = this.seeking
+            .then(() => this.applyUntil(time))
+            .catch(err => console.warn('Replay step failed', err));
+        return this.seeking;
+    }
+
+    async applyUntil(time) {
+        let target = 0;
+        while (target < this.entries.length && this.times[target] <= time) target++;
+
+        if (target < this.applied) {
+            this.layerCanvases.forEach(canvas => canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height));
+            this.applied = 0;
+        }
+
+        for (; this.applied < target; this.applied++) {
+            const entry = this.entries[this.applied];
+            await applyPatch(this.layerCanvases.get(entry.layerId).getContext('2d'), entry);
+        }
+    }
+
+    /**
+     * Draw the page as it currently stands: paper, layers, then line art
+     * @param {CanvasRenderingContext2D} ctx - Any size; the page is scaled to fit
+     */
+    render(ctx) {
+        const { width, height, layers, lineArt } = this.page;
+        ctx.save();
+        ctx.scale(ctx.canvas.width / width, ctx.canvas.height / height);
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillRect(0, 0, width, height);
+
+        layers.forEach(layer => {
+            if (!layer.visible) return;
+            ctx.save();
+            ctx.globalAlpha = layer.opacity;
+            ctx.globalCompositeOperation = layer.blendMode === 'normal' ? 'source-over' : layer.blendMode;
+            ctx.drawImage(this.layerCanvases.get(layer.id), 0, 0);
+            ctx.restore();
+        });
+
+        ctx.globalCompositeOperation = 'multiply';
+        ctx.drawImage(lineArt, 0, 0, width, height);
+        ctx.restore();
+    }
+}
@@ -0,0 +1,271 @@
+import { hexToRgb, rgbToHex } from './color_utils';
+
+/**
+ * Color-by-Number Module
+ * Turns a region map into a numbered puzzle: a target color per region,
+ * a numbered palette key and a spot inside each region for its number.
+ */
+
+/**
+ * Build a color-by-number puzzle from a region map
+ * @param {Object} regionMap - createRegionMap result
+ * @param {Object} options
+ * @param {string[]} [options.palette] - Colors to assign when there is no answer image
+ * @param {Uint8ClampedArray} [options.answerData] - RGBA pixels of a colored answer image, same size as the page
+ * @param {number} [options.maxColors=12] - Palette size when deriving colors from the answer image
+ * @param {number} [options.minRadius=6] - Regions too thin to hold a number are left out of the puzzle
+ * @returns {Object} - { palette: string[], targets: Map<regionId, number>, labels: Map<regionId, {x, y, radius}> }
+ *                     where numbers are 1-based indexes into palette
+ */
+export function createColorByNumber(regionMap, options = {}) {
+    const { palette = [], answerData = null, maxColors = 12, minRadius = 6 } = options;
+
+    const centers = findVisualCenters(regionMap);
+    const puzzleRegions = regionMap.regions.filter(r => centers[r.id] && centers[r.id].radius >= minRadius);
+
+    const labels = new Map();
+    puzzleRegions.forEach(r => labels.set(r.id, centers[r.id]));
+
+    let puzzlePalette;
+    let targets;
+
+    if (answerData) {
+        const averages = averageRegionColors(regionMap, answerData);
+        puzzlePalette = quantizePalette(puzzleRegions.map(r => ({ color: averages[r.id], weight: r.area })), maxColors);
+        targets = new Map();
+        puzzleRegions.forEach(r => {
+            targets.set(r.id, nearestColorIndex(averages[r.id], puzzlePalette) + 1);
+        });
+    } else {
+        puzzlePalette = palette.slice();
+        targets = assignByAdjacency(regionMap, puzzleRegions, puzzlePalette.length);
+    }
+
+    // Drop palette entries no region ended up using, keeping numbers contiguous
+    const used = [...new Set(targets.values())].sort((a, b) => a - b);
+    const renumber = new Map(used.map((n, i) => [n, i + 1]));
+    targets.forEach((n, id) => targets.set(id, renumber.get(n)));
+
+    return {
+        palette: used.map(n => puzzlePalette[n - 1]),
+        targets,
+        labels
+    };
+}
+
+/**
+ * Share of each region's pixels that shows its target color, for judging progress.
+ * Line edges the region reaches under are left out.
+ * @param {Object} regionMap - createRegionMap result
+ * @param {ImageData} imageData - Flattened painting over `rect`
+ * @param {Object} rect - { x, y, width, height } covering every region in targets
+ * @param {Map<number, number[]>} targets - Region id -> [r, g, b]
+ * @param {number} [tolerance=32] - Per-channel color tolerance
+ * @returns {Map<number, number>} - Region id -> fraction of its pixels, 0-1
+ */
+export function regionColorCoverage(regionMap, imageData, rect, targets, tolerance = 32) {
+    const { labels, softEdges } = regionMap;
+    const data = imageData.data;
+    const totals = new Uint32Array(regionMap.regions.length + 1);
+    const matching = new Uint32Array(regionMap.regions.length + 1);
+
+    for (let row = 0; row < rect.height; row++) {
+        const labelRow = (rect.y + row) * regionMap.width + rect.x;
+        for (let col = 0; col < rect.width; col++) {
+            const i = labelRow + col;
+            const target = targets.get(labels[i]);
+            if (!target || (softEdges && softEdges[i])) continue;
+            totals[labels[i]]++;
+            const pos = (row * rect.width + col) * 4;
+            if (Math.abs(data[pos] - target[0]) <= tolerance &&
+                Math.abs(data[pos + 1] - target[1]) <= tolerance &&
+                Math.abs(data[pos + 2] - target[2]) <= tolerance) matching[labels[i]]++;
+        }
+    }
+
+    const coverage = new Map();
+    targets.forEach((target, id) => coverage.set(id, totals[id] ? matching[id] / totals[id] : 0));
+    return coverage;
+}
+
+/**
+ * Pole of inaccessibility per region: the pixel farthest from the region's edge,
+ * found with a two-pass chamfer distance transform over the label map.
+ * @returns {Object[]} - Indexed by region id: { x, y, radius }
+ */
+export function findVisualCenters(regionMap) {
+    const { labels, width, height } = regionMap;
+    const dist = new Float32Array(width * height);
+    const INF = 1e9;
+    const ORTHO = 1;
+    const DIAG = Math.SQRT2;
+
+    for (let i = 0; i < dist.length; i++) dist[i] = labels[i] ? INF : 0;
+
+    // Pixels next to another label (or the page edge) count as edge pixels
+    const at = (x, y, id) => (x < 0 || y < 0 || x >= width || y >= height) ? 0 : (labels[y * width + x] === id ? dist[y * width + x] : 0);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const idx = y * width + x;
+            const id = labels[idx];
+            if (!id) continue;
+            dist[idx] = Math.min(dist[idx],
+                at(x - 1, y, id) + ORTHO, at(x, y - 1, id) + ORTHO,
+                at(x - 1, y - 1, id) + DIAG, at(x + 1, y - 1, id) + DIAG);
+        }
+    }
+    for (let y = height - 1; y >= 0; y--) {
+        for (let x = width - 1; x >= 0; x--) {
+            const idx = y * width + x;
+            const id = labels[idx];
+            if (!id) continue;
+            dist[idx] = Math.min(dist[idx],
+                at(x + 1, y, id) + ORTHO, at(x, y + 1, id) + ORTHO,
+                at(x + 1, y + 1, id) + DIAG, at(x - 1, y + 1, id) + DIAG);
+        }
+    }
+
+    const centers = [];
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const idx = y * width + x;
+            const id = labels[idx];
+            if (!id) continue;
+            if (!centers[id] || dist[idx] > centers[id].radius) {
+                centers[id] = { x, y, radius: dist[idx] };
+            }
+        }
+    }
+    return centers;
+}
+
+/**
+ * Region pairs separated only by a line (up to maxLineWidth pixels thick)
+ * @returns {Map<number, Set<number>>}
+ */
+export function findAdjacentRegions(regionMap, maxLineWidth = 8) {
+    const { labels, width, height } = regionMap;
+    const adjacency = new Map();
+
+    const link = (a, b) => {
+        if (!a || !b || a === b) return;
+        if (!adjacency.has(a)) adjacency.set(a, new Set());
+        if (!adjacency.has(b)) adjacency.set(b, new Set());
+        adjacency.get(a).add(b);
+        adjacency.get(b).add(a);
+    };
+
+    // Walk rows then columns, linking the labels on either side of each line run
+    const scan = (count, length, indexOf) => {
+        for (let line = 0; line < count; line++) {
+            let last = 0;
+            let gap = 0;
+            for (let i = 0; i < length; i++) {
+                const id = labels[indexOf(line, i)];
+                if (!id) {
+                    gap++;
+                    continue;
+                }
+                if (gap <= maxLineWidth) link(last, id);
+                last = id;
+                gap = 0;
+            }
+        }
+    };
+
+    scan(height, width, (y, x) => y * width + x);
+    scan(width, height, (x, y) => y * width + x);
+
+    return adjacency;
+}
+
+/**
+ * Greedy graph coloring so neighbouring regions get different numbers where possible
+ */
+function assignByAdjacency(regionMap, regions, colorCount) {
+    const targets = new Map();
+    if (colorCount === 0) return targets;
+
+    const adjacency = findAdjacentRegions(regionMap);
+    const ordered = regions.slice().sort((a, b) => b.area - a.area);
+
+    ordered.forEach((r, i) => {
+        const taken = new Set();
+        (adjacency.get(r.id) || []).forEach(n => {
+            if (targets.has(n)) taken.add(targets.get(n));
+        });
+        // Rotate the starting color so the page doesn't collapse onto the first few entries
+        let choice = (i % colorCount) + 1;
+        for (let k = 0; k < colorCount; k++) {
+            const candidate = ((i + k) % colorCount) + 1;
+            if (!taken.has(candidate)) {
+                choice = candidate;
+                break;
+            }
+        }
+        targets.set(r.id, choice);
+    });
+
+    return targets;
+}
+
+/**
+ * Mean RGB of the answer image inside each region
+ * @returns {number[][]} - Indexed by region id: [r, g, b]
+ */
+function averageRegionColors(regionMap, answerData) {
+    const { labels, softEdges } = regionMap;
+    const sums = regionMap.regions.map(() => [0, 0, 0, 0]);
+
+    for (let i = 0; i < labels.length; i++) {
+        const id = labels[i];
+        if (!id || (softEdges && softEdges[i])) continue; // Line edges are line-colored in the answer
+        const s = sums[id - 1];
+        const pos = i * 4;
+        s[0] += answerData[pos];
+        s[1] += answerData[pos + 1];
+        s[2] += answerData[pos + 2];
+        s[3]++;
+    }
+
+    const averages = [];
+    regionMap.regions.forEach((r, i) => {
+        const s = sums[i];
+        averages[r.id] = s[3] ? [s[0] / s[3], s[1] / s[3], s[2] / s[3]] : [255, 255, 255];
+    });
+    return averages;
+}
+
+/**
+ * Area-weighted color quantization (same 32-step buckets as extractColors)
+ */
+function quantizePalette(samples, maxColors) {
+    const buckets = new Map();
+    samples.forEach(({ color, weight }) => {
+        const key = color.map(c => Math.min(255, Math.round(c / 32) * 32)).join(',');
+        const bucket = buckets.get(key) || { weight: 0, sum: [0, 0, 0] };
+        bucket.weight += weight;
+        color.forEach((c, i) => bucket.sum[i] += c * weight);
+        buckets.set(key, bucket);
+    });
+
+    return [...buckets.values()]
+        .sort((a, b) => b.weight - a.weight)
+        .slice(0, maxColors)
+        .map(b => rgbToHex(b.sum.map(c => c / b.weight)));
+}
+
+function nearestColorIndex(rgb, palette) {
+    let best = 0;
+    let bestDist = Infinity;
+    palette.forEach((hex, i) => {
+        const [r, g, b] = hexToRgb(hex);
+        const d = (r - rgb[0]) ** 2 + (g - rgb[1]) ** 2 + (b - rgb[2]) ** 2;
+        if (d < bestDist) {
+            bestDist = d;
+            best = i;
+        }
+    });
+    return best;
+}
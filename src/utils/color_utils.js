@@ -0,0 +1,63 @@
+/**
+ * Color Utilities
+ * Conversions between hex strings, RGB and HSV.
+ * RGB channels are 0-255, hue is 0-360, saturation and value are 0-1.
+ */
+
+export function hexToRgb(hex) {
+    return [
+        parseInt(hex.slice(1, 3), 16),
+        parseInt(hex.slice(3, 5), 16),
+        parseInt(hex.slice(5, 7), 16)
+    ];
+}
+
+export function rgbToHex(rgb) {
+    return '#' + rgb.map(c => Math.round(Math.max(0, Math.min(255, c))).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Parse user input like "F80", "#ff8800" or "ff8800"
+ * @returns {string|null} - Lowercase "#rrggbb", or null if it isn't a hex color
+ */
+export function normalizeHex(input) {
+    let hex = String(input).trim().replace(/^#/, '').toLowerCase();
+    if (/^[0-9a-f]{3}$/.test(hex)) hex = hex.split('').map(c => c + c).join('');
+    return /^[0-9a-f]{6}$/.test(hex) ? '#' + hex : null;
+}
+
+export function rgbToHsv([r, g, b]) {
+    r /= 255;
+    g /= 255;
+    b /= 255;
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const d = max - min;
+
+    let h = 0;
+    if (d) {
+        if (max === r) h = ((g - b) / d) % 6;
+        else if (max === g) h = (b - r) / d + 2;
+        else h = (r - g) / d + 4;
+        h *= 60;
+        if (h < 0) h += 360;
+    }
+
+    return [h, max ? d / max : 0, max];
+}
+
+export function hsvToRgb([h, s, v]) {
+    const c = v * s;
+    const x = c * (1 - Math.abs(((h / 60) % 2) - 1));
+    const m = v - c;
+    const [r, g, b] =
+        h < 60 ? [c, x, 0] :
+        h < 120 ? [x, c, 0] :
+        h < 180 ? [0, c, x] :
+        h < 240 ? [0, x, c] :
+        h < 300 ? [x, 0, c] : [c, 0, x];
+    return [(r + m) * 255, (g + m) * 255, (b + m) * 255];
+}
+
+export const hexToHsv = (hex) => rgbToHsv(hexToRgb(hex));
+export const hsvToHex = (hsv) => rgbToHex(hsvToRgb(hsv));
@@ -0,0 +1,143 @@
+/**
+ * Fill Styles Module
+ * Gradient and pattern paint for the bucket tool. Sources are rendered
+ * for a fill's bounding box and clipped to its region mask.
+ */
+
+export const PATTERNS = {
+    dots: { label: 'Dots', icon: '⚬' },
+    stripes: { label: 'Stripes', icon: '▨' },
+    plaid: { label: 'Plaid', icon: '▦' },
+    stars: { label: 'Stars', icon: '★' }
+};
+
+/**
+ * One seamless tile of a built-in pattern
+ * @param {string} name - Key of PATTERNS
+ * @param {string} color - Pattern color
+ * @param {string} background - Tile background
+ * @param {number} size - Tile size in page pixels
+ * @returns {HTMLCanvasElement}
+ */
+export function createPatternTile(name, color, background, size = 24) {
+    const tile = document.createElement('canvas');
+    tile.width = size;
+    tile.height = size;
+    const ctx = tile.getContext('2d');
+    const s = size;
+
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, s, s);
+    ctx.fillStyle = color;
+    ctx.strokeStyle = color;
+
+    if (name === 'dots') {
+        // Staggered rows
+        [[0.25, 0.25], [0.75, 0.75]].forEach(([cx, cy]) => {
+            ctx.beginPath();
+            ctx.arc(cx * s, cy * s, s * 0.14, 0, Math.PI * 2);
+            ctx.fill();
+        });
+    } else if (name === 'stripes') {
+        // Diagonal stripes; the extra copies wrap across the tile corners
+        ctx.lineWidth = s * 0.25;
+        for (let k = -1; k <= 1; k++) {
+            ctx.beginPath();
+            ctx.moveTo(k * s, s);
+            ctx.lineTo(k * s + s, 0);
+            ctx.stroke();
+        }
+    } else if (name === 'plaid') {
+        ctx.globalAlpha = 0.45;
+        ctx.fillRect(0, s * 0.3, s, s * 0.4);
+        ctx.fillRect(s * 0.3, 0, s * 0.4, s);
+        ctx.globalAlpha = 0.9;
+        ctx.fillRect(0, s * 0.48, s, Math.max(1, s * 0.04));
+        ctx.fillRect(s * 0.48, 0, Math.max(1, s * 0.04), s);
+    } else if (name === 'stars') {
+        // One star in the middle, quarter stars in the corners
+        [[0.5, 0.5], [0, 0], [1, 0], [0, 1], [1, 1]].forEach(([cx, cy]) => {
+            starPath(ctx, cx * s, cy * s, s * 0.2, s * 0.08);
+            ctx.fill();
+        });
+    }
+
+    return tile;
+}
+
+function starPath(ctx, cx, cy, outer, inner) {
+    ctx.beginPath();
+    for (let i = 0; i < 10; i++) {
+        const r = i % 2 ? inner : outer;
+        const angle = -Math.PI / 2 + i * Math.PI / 5;
+        ctx.lineTo(cx + Math.cos(angle) * r, cy + Math.sin(angle) * r);
+    }
+    ctx.closePath();
+}
+
+/**
+ * Paint a fill style over a rectangle of the page
+ * @param {Object} rect - { x, y, width, height } in page pixels
+ * @param {Object} style - { type: 'linear' | 'radial' | 'pattern', color2, pattern, tile }
+ * @param {string} color - Main color (gradient start, pattern ink)
+ * @param {Object} drag - { start: {x, y}, end: {x, y} | null } in page pixels;
+ *                        without an end, gradients run across the rectangle
+ * @param {number} [tileSize=24] - Size of built-in pattern tiles
+ * @returns {HTMLCanvasElement} - rect-sized canvas
+ */
+export function renderFillSource(rect, style, color, drag, tileSize = 24) {
+    const canvas = document.createElement('canvas');
+    canvas.width = rect.width;
+    canvas.height = rect.height;
+    const ctx = canvas.getContext('2d');
+    ctx.translate(-rect.x, -rect.y); // Draw in page coordinates so patterns line up across fills
+
+    const color2 = style.color2 || '#FFFFFF';
+    const { start } = drag;
+    const end = drag.end && Math.hypot(drag.end.x - start.x, drag.end.y - start.y) > 2 ? drag.end : null;
+
+    if (style.type === 'linear') {
+        const from = end ? start : { x: rect.x + rect.width / 2, y: rect.y };
+        const to = end || { x: rect.x + rect.width / 2, y: rect.y + rect.height };
+        const gradient = ctx.createLinearGradient(from.x, from.y, to.x, to.y);
+        gradient.addColorStop(0, color);
+        gradient.addColorStop(1, color2);
+        ctx.fillStyle = gradient;
+    } else if (style.type === 'radial') {
+        // Without a drag, reach the farthest corner of the region
+        const radius = end
+            ? Math.hypot(end.x - start.x, end.y - start.y)
+            : Math.max(
+                ...[[rect.x, rect.y], [rect.x + rect.width, rect.y], [rect.x, rect.y + rect.height], [rect.x + rect.width, rect.y + rect.height]]
+                    .map(([x, y]) => Math.hypot(x - start.x, y - start.y))
+            );
+        const gradient = ctx.createRadialGradient(start.x, start.y, 0, start.x, start.y, Math.max(1, radius));
+        gradient.addColorStop(0, color);
+        gradient.addColorStop(1, color2);
+        ctx.fillStyle = gradient;
+    } else {
+        const tile = style.tile || createPatternTile(style.pattern || 'dots', color, color2, tileSize);
+        ctx.fillStyle = ctx.createPattern(tile, 'repeat');
+    }
+
+    ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+    return canvas;
+}
+
+/**
+ * Canvas whose alpha is a bounding-box-cropped region mask (any non-zero value counts)
+ * @param {Object} region - { width, height, mask }
+ * @returns {HTMLCanvasElement}
+ */
+export function createMaskCanvas(region) {
+    const canvas = document.createElement('canvas');
+    canvas.width = region.width;
+    canvas.height = region.height;
+    const ctx = canvas.getContext('2d');
+    const image = ctx.createImageData(region.width, region.height);
+    for (let i = 0; i < region.mask.length; i++) {
+        if (region.mask[i]) image.data[i * 4 + 3] = 255;
+    }
+    ctx.putImageData(image, 0, 0);
+    return canvas;
+}
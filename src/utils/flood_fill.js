@@ -0,0 +1,316 @@
+/**
+ * Flood Fill Module
+ * Scanline fill over typed arrays. Pure functions so it can run
+ * either inside the fill worker or on the main thread as a fallback.
+ */
+
+/**
+ * Build a 1-byte-per-pixel boundary mask from RGBA line art (black = line)
+ * @param {Uint8ClampedArray} boundaryData - RGBA binary line art
+ * @returns {Uint8Array} - 1 where a line pixel blocks the fill, 0 elsewhere
+ */
+export function createLineMask(boundaryData) {
+    const mask = new Uint8Array(boundaryData.length / 4);
+    for (let i = 0; i < mask.length; i++) {
+        mask[i] = boundaryData[i * 4] === 0 ? 1 : 0;
+    }
+    return mask;
+}
+
+// How far (pixels) fills reach under the anti-aliased edge of a line
+export const SOFT_EDGE_PASSES = 2;
+
+/**
+ * Mark line pixels that are shown lighter than solid black. Fills reach under
+ * them so paint meets the visible line without a white halo.
+ * @param {Uint8ClampedArray} boundaryData - RGBA binary line art
+ * @param {Uint8ClampedArray} displayData - RGBA anti-aliased line art, same size
+ * @returns {Uint8Array} - 1 for soft line pixels
+ */
+export function createSoftLineMask(boundaryData, displayData) {
+    const mask = new Uint8Array(boundaryData.length / 4);
+    for (let i = 0; i < mask.length; i++) {
+        mask[i] = boundaryData[i * 4] === 0 && displayData[i * 4] > 0 ? 1 : 0;
+    }
+    return mask;
+}
+
+/**
+ * Breadth-first growth from a frontier, `passes` pixels deep.
+ * queue[0..count) holds the frontier; pixels taken are appended, so a typed array needs
+ * room for every pixel that can be reached. take(from, to) claims a neighbour and
+ * returns true when it joins (and grows further in the next pass).
+ * @param {Int32Array|number[]} queue - Pixel indices
+ * @param {number} passes - Growth depth; Infinity grows until nothing more is taken
+ * @param {Uint8Array|null} [walls=null] - Line mask: also step diagonally, so `passes` covers the
+ *   square neighbourhood closeGaps seals (4-neighbour steps alone miss its corners), but never
+ *   between two line pixels (a 1 px diagonal line only touches at corners)
+ * @returns {number} - New queue length (frontier plus every pixel taken)
+ */
+export function growFrontier(queue, count, passes, width, height, take, walls = null) {
+    const size = width * height;
+    let start = 0;
+    let end = count;
+
+    for (let pass = 0; pass < passes && start < end; pass++) {
+        for (let i = start; i < end; i++) {
+            const idx = queue[i];
+            const x = idx % width;
+            if (x > 0 && take(idx, idx - 1)) queue[count++] = idx - 1;
+            if (x < width - 1 && take(idx, idx + 1)) queue[count++] = idx + 1;
+            if (idx >= width && take(idx, idx - width)) queue[count++] = idx - width;
+            if (idx < size - width && take(idx, idx + width)) queue[count++] = idx + width;
+            if (!walls) continue;
+            const up = idx >= width, down = idx < size - width;
+            const left = x > 0 && !walls[idx - 1], right = x < width - 1 && !walls[idx + 1];
+            const above = up && !walls[idx - width], below = down && !walls[idx + width];
+            if (x > 0 && up && (left || above) && take(idx, idx - width - 1)) queue[count++] = idx - width - 1;
+            if (x < width - 1 && up && (right || above) && take(idx, idx - width + 1)) queue[count++] = idx - width + 1;
+            if (x > 0 && down && (left || below) && take(idx, idx + width - 1)) queue[count++] = idx + width - 1;
+            if (x < width - 1 && down && (right || below) && take(idx, idx + width + 1)) queue[count++] = idx + width + 1;
+        }
+        start = end;
+        end = count;
+    }
+    return count;
+}
+
+/**
+ * Close small gaps in the line art for fill purposes only.
+ * Dilates the boundary mask with a square kernel (two separable passes),
+ * so any opening narrower than about 2 * radius pixels is sealed.
+ * @param {Uint8Array} lineMask - 1 = line pixel
+ * @param {number} radius - Gap closing size in pixels
+ * @returns {Uint8Array} - New, thicker boundary mask
+ */
+export function closeGaps(lineMask, width, height, radius) {
+    if (radius <= 0) return lineMask;
+
+    const horizontal = new Uint8Array(lineMask.length);
+    for (let y = 0; y < height; y++) {
+        const row = y * width;
+        let lastLine = -Infinity;
+        // Left-to-right then right-to-left, tracking the distance to the nearest line pixel
+        for (let x = 0; x < width; x++) {
+            if (lineMask[row + x]) lastLine = x;
+            if (x - lastLine <= radius) horizontal[row + x] = 1;
+        }
+        lastLine = Infinity;
+        for (let x = width - 1; x >= 0; x--) {
+            if (lineMask[row + x]) lastLine = x;
+            if (lastLine - x <= radius) horizontal[row + x] = 1;
+        }
+    }
+
+    const closed = new Uint8Array(lineMask.length);
+    for (let x = 0; x < width; x++) {
+        let lastLine = -Infinity;
+        for (let y = 0; y < height; y++) {
+            if (horizontal[y * width + x]) lastLine = y;
+            if (y - lastLine <= radius) closed[y * width + x] = 1;
+        }
+        lastLine = Infinity;
+        for (let y = height - 1; y >= 0; y--) {
+            if (horizontal[y * width + x]) lastLine = y;
+            if (lastLine - y <= radius) closed[y * width + x] = 1;
+        }
+    }
+
+    return closed;
+}
+
+/**
+ * Find the 4-connected region under (startX, startY) whose color is within
+ * `tolerance` of the start pixel, stopping at line pixels and the page edge.
+ * @param {Object} params
+ * @param {Uint8ClampedArray} params.pixels - RGBA pixels of the coloring layer
+ * @param {Uint8Array} params.lineMask - 1 = line boundary
+ * @param {number} params.width
+ * @param {number} params.height
+ * @param {number} params.startX
+ * @param {number} params.startY
+ * @param {number[]|null} params.fillRGB - [r, g, b] being filled (fills of the same color are skipped)
+ * @param {number} [params.tolerance=32] - Per-channel color tolerance
+ * @param {number} [params.gapSize=0] - Gap closing radius; 0 fills against the raw lines. Areas the
+ *   gap closing seals off entirely (narrower than the gap) are filled against the raw lines instead
+ * @param {Uint8Array} [params.closedMask] - closeGaps(lineMask, ..., gapSize), used for the search
+ * @param {Uint8Array} [params.softMask] - createSoftLineMask result; the fill reaches under these line pixels
+ * @returns {Object|null} - { x, y, width, height, mask, count } cropped to the dirty bounding box
+ */
+export function scanlineFill({
+    pixels, lineMask, width, height, startX, startY, fillRGB,
+    tolerance = 32, gapSize = 0, closedMask = null, softMask = null
+}) {
+    if (startX < 0 || startX >= width || startY < 0 || startY >= height) return null;
+
+    const startIdx = startY * width + startX;
+    if (lineMask[startIdx]) return null;
+
+    const startPos = startIdx * 4;
+    const targetR = pixels[startPos], targetG = pixels[startPos + 1], targetB = pixels[startPos + 2];
+    const targetA = pixels[startPos + 3];
+    if (fillRGB && targetR === fillRGB[0] && targetG === fillRGB[1] && targetB === fillRGB[2] &&
+        targetA === 255) return null;
+
+    let searchMask = gapSize > 0 ? (closedMask || closeGaps(lineMask, width, height, gapSize)) : lineMask;
+    const filled = new Uint8Array(width * height);
+
+    const colorMatches = (idx) => {
+        const pos = idx * 4;
+        return Math.abs(pixels[pos] - targetR) <= tolerance &&
+            Math.abs(pixels[pos + 1] - targetG) <= tolerance &&
+            Math.abs(pixels[pos + 2] - targetB) <= tolerance &&
+            Math.abs(pixels[pos + 3] - targetA) <= tolerance; // Alpha only differs on transparent layers
+    };
+    const matches = (idx) => !filled[idx] && !searchMask[idx] && colorMatches(idx);
+    const nearOtherArea = (x, y) => {
+        for (let ny = Math.max(0, y - gapSize); ny <= Math.min(height - 1, y + gapSize); ny++) {
+            for (let nx = Math.max(0, x - gapSize); nx <= Math.min(width - 1, x + gapSize); nx++) {
+                if (!searchMask[ny * width + nx] && !filled[ny * width + nx]) return true;
+            }
+        }
+        return false;
+    };
+
+    // A click inside the sealed band next to a line: seed from the nearest open pixel instead
+    let seedIdx = startIdx;
+    if (searchMask[startIdx]) {
+        seedIdx = findOpenSeed(startX, startY, gapSize + 1, width, height, matches);
+        if (seedIdx < 0) {
+            // Nothing open nearby: the area is narrower than the gap, so fill it against the real lines
+            searchMask = lineMask;
+            gapSize = 0;
+            seedIdx = startIdx;
+        }
+    }
+
+    const seedX = seedIdx % width;
+    const seedY = (seedIdx / width) | 0;
+    let minX = seedX, minY = seedY, maxX = seedX, maxY = seedY;
+    let count = 0;
+    const stack = [seedIdx];
+
+    while (stack.length > 0) {
+        const idx = stack.pop();
+        if (!matches(idx)) continue;
+
+        const y = (idx / width) | 0;
+        const rowStart = y * width;
+
+        // Expand left and right to the ends of this span
+        let left = idx - rowStart;
+        let right = left;
+        while (left > 0 && matches(rowStart + left - 1)) left--;
+        while (right < width - 1 && matches(rowStart + right + 1)) right++;
+
+        filled.fill(1, rowStart + left, rowStart + right + 1);
+        count += right - left + 1;
+
+        if (left < minX) minX = left;
+        if (right > maxX) maxX = right;
+        if (y < minY) minY = y;
+        if (y > maxY) maxY = y;
+
+        // Seed one pixel per matching run in the rows above and below
+        for (const ny of [y - 1, y + 1]) {
+            if (ny < 0 || ny >= height) continue;
+            const nRowStart = ny * width;
+            let inRun = false;
+            for (let x = left; x <= right; x++) {
+                const nIdx = nRowStart + x;
+                if (matches(nIdx)) {
+                    if (!inRun) {
+                        stack.push(nIdx);
+                        inRun = true;
+                    }
+                } else {
+                    inRun = false;
+                }
+            }
+        }
+    }
+
+    // Grow back out to the real lines, so the sealed band doesn't leave a white halo,
+    // then reach under the soft edges of the surrounding lines
+    const softPasses = softMask ? SOFT_EDGE_PASSES : 0;
+    if (gapSize + softPasses > 0) {
+        // A plain array: taking in the band's far corners can reach past the fill's box
+        const queue = [];
+
+        let frontier = 0;
+        for (let y = minY; y <= maxY; y++) {
+            for (let x = minX; x <= maxX; x++) {
+                const idx = y * width + x;
+                if (!filled[idx]) continue;
+                if ((x > 0 && !filled[idx - 1]) || (x < width - 1 && !filled[idx + 1]) ||
+                    (y > 0 && !filled[idx - width]) || (y < height - 1 && !filled[idx + width])) {
+                    queue[frontier++] = idx;
+                }
+            }
+        }
+
+        let end = frontier;
+        if (gapSize > 0) {
+            const take = (from, to) => {
+                if (filled[to] || lineMask[to] || !colorMatches(to)) return false;
+                filled[to] = 1;
+                return true;
+            };
+            end = growFrontier(queue, end, gapSize, width, height, take, lineMask);
+            // Band pixels farther than the gap from any open area (the tips of sharp corners) are
+            // left over; take them in too, unless another open area is as close as the gap
+            end = growFrontier(queue, end, Infinity, width, height, (from, to) =>
+                searchMask[to] && !nearOtherArea(to % width, (to / width) | 0) && take(from, to), lineMask);
+        }
+        if (softPasses > 0) {
+            // Everything queued so far is the edge of the fill (or inside it, and takes nothing)
+            end = growFrontier(queue, end, softPasses, width, height, (from, to) => {
+                if (filled[to] || !softMask[to]) return false;
+                filled[to] = 1;
+                return true;
+            });
+        }
+
+        for (let i = frontier; i < end; i++) {
+            const x = queue[i] % width;
+            const y = (queue[i] - x) / width;
+            count++;
+            if (x < minX) minX = x;
+            if (x > maxX) maxX = x;
+            if (y < minY) minY = y;
+            if (y > maxY) maxY = y;
+        }
+    }
+
+    // Crop the mask to the dirty bounding box
+    const boxWidth = maxX - minX + 1;
+    const boxHeight = maxY - minY + 1;
+    const mask = new Uint8Array(boxWidth * boxHeight);
+    for (let row = 0; row < boxHeight; row++) {
+        const src = (minY + row) * width + minX;
+        mask.set(filled.subarray(src, src + boxWidth), row * boxWidth);
+    }
+
+    return { x: minX, y: minY, width: boxWidth, height: boxHeight, mask, count };
+}
+
+/**
+ * Nearest fillable pixel within a square window around (x, y), or -1
+ */
+function findOpenSeed(x, y, radius, width, height, matches) {
+    let best = -1;
+    let bestDist = Infinity;
+    for (let dy = -radius; dy <= radius; dy++) {
+        for (let dx = -radius; dx <= radius; dx++) {
+            const nx = x + dx;
+            const ny = y + dy;
+            if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+            const dist = dx * dx + dy * dy;
+            if (dist < bestDist && matches(ny * width + nx)) {
+                best = ny * width + nx;
+                bestDist = dist;
+            }
+        }
+    }
+    return best;
+}
@@ -0,0 +1,172 @@
+/**
+ * GIF Encoder Module
+ * Minimal animated GIF89a writer: one global 256-color palette, LZW-compressed
+ * frames, looping forever.
+ */
+
+/**
+ * Palette of the most common colors in some sample pixels (5 bits per channel),
+ * with a cached nearest-color lookup for indexing frames
+ * @param {Uint8ClampedArray} pixels - RGBA samples, e.g. the finished picture
+ * @param {number} [maxColors=256]
+ * @returns {{ table: Uint8Array, indexPixels: (pixels: Uint8ClampedArray) => Uint8Array }}
+ */
+export function createPalette(pixels, maxColors = 256) {
+    const counts = new Uint32Array(32768);
+    const sums = new Float64Array(32768 * 3);
+    for (let pos = 0; pos < pixels.length; pos += 4) {
+        const key = bucketKey(pixels[pos], pixels[pos + 1], pixels[pos + 2]);
+        counts[key]++;
+        sums[key * 3] += pixels[pos];
+        sums[key * 3 + 1] += pixels[pos + 1];
+        sums[key * 3 + 2] += pixels[pos + 2];
+    }
+
+    const used = [];
+    for (let key = 0; key < counts.length; key++) {
+        if (counts[key]) used.push(key);
+    }
+    used.sort((a, b) => counts[b] - counts[a]);
+
+    // Always 256 entries; unused ones stay black
+    const table = new Uint8Array(256 * 3);
+    const colors = used.slice(0, maxColors).map(key => [0, 1, 2].map(c => Math.round(sums[key * 3 + c] / counts[key])));
+    colors.forEach((rgb, i) => table.set(rgb, i * 3));
+
+    const lookup = new Int16Array(32768).fill(-1);
+    const nearest = (r, g, b) => {
+        let best = 0;
+        let bestDist = Infinity;
+        colors.forEach(([pr, pg, pb], i) => {
+            const dist = (r - pr) ** 2 + (g - pg) ** 2 + (b - pb) ** 2;
+            if (dist < bestDist) {
+                bestDist = dist;
+                best = i;
+            }
+        });
+        return best;
+    };
+
+    const indexPixels = (frame) => {
+        const indices = new Uint8Array(frame.length / 4);
+        for (let i = 0, pos = 0; i < indices.length; i++, pos += 4) {
+            const key = bucketKey(frame[pos], frame[pos + 1], frame[pos + 2]);
+            if (lookup[key] < 0) lookup[key] = nearest(frame[pos], frame[pos + 1], frame[pos + 2]);
+            indices[i] = lookup[key];
+        }
+        return indices;
+    };
+
+    return { table, indexPixels };
+}
+
+function bucketKey(r, g, b) {
+    return ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+}
+
+/**
+ * @param {Object} options
+ * @param {number} options.width
+ * @param {number} options.height
+ * @param {Uint8Array} options.palette - 256 RGB triplets (createPalette().table)
+ * @param {Object[]} options.frames - { indices: Uint8Array (palette index per pixel), delay: ms }
+ * @returns {Blob} - image/gif
+ */
+export function encodeGIF({ width, height, palette, frames }) {
+    const bytes = [];
+    const writeString = (s) => { for (let i = 0; i < s.length; i++) bytes.push(s.charCodeAt(i)); };
+    const writeShort = (n) => bytes.push(n & 0xff, (n >> 8) & 0xff);
+
+    writeString('GIF89a');
+    writeShort(width);
+    writeShort(height);
+    bytes.push(0xf7, 0, 0); // Global color table of 256 entries, background 0, square pixels
+    for (let i = 0; i < palette.length; i++) bytes.push(palette[i]);
+
+    // NETSCAPE2.0 extension: loop forever
+    bytes.push(0x21, 0xff, 0x0b);
+    writeString('NETSCAPE2.0');
+    bytes.push(0x03, 0x01, 0, 0, 0);
+
+    frames.forEach(({ indices, delay }) => {
+        // Graphic control extension: delay in hundredths of a second
+        bytes.push(0x21, 0xf9, 0x04, 0);
+        writeShort(Math.max(2, Math.round(delay / 10)));
+        bytes.push(0, 0);
+
+        // Image descriptor: the whole canvas, no local color table
+        bytes.push(0x2c);
+        writeShort(0);
+        writeShort(0);
+        writeShort(width);
+        writeShort(height);
+        bytes.push(0);
+
+        bytes.push(8); // LZW minimum code size
+        const data = lzwEncode(indices, 8);
+        for (let i = 0; i < data.length; i += 255) {
+            const block = data.subarray(i, i + 255);
+            bytes.push(block.length);
+            for (let j = 0; j < block.length; j++) bytes.push(block[j]);
+        }
+        bytes.push(0);
+    });
+
+    bytes.push(0x3b);
+    return new Blob([new Uint8Array(bytes)], { type: 'image/gif' });
+}
+
+/**
+ * Variable-length-code LZW as GIF expects it (codes packed least significant bit first)
+ * @returns {Uint8Array}
+ */
+export function lzwEncode(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let table = new Map();
+
+    const out = [];
+    let buffer = 0;
+    let bufferBits = 0;
+    const emit = (code) => {
+        buffer |= code << bufferBits;
+        bufferBits += codeSize;
+        while (bufferBits >= 8) {
+            out.push(buffer & 0xff);
+            buffer >>>= 8;
+            bufferBits -= 8;
+        }
+    };
+
+    emit(clearCode);
+    let current = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const k = indices[i];
+        const key = (current << 8) | k;
+        const known = table.get(key);
+        if (known !== undefined) {
+            current = known;
+            continue;
+        }
+
+        emit(current);
+        if (nextCode === 4096) {
+            // Table full: start over
+            emit(clearCode);
+            table = new Map();
+            codeSize = minCodeSize + 1;
+            nextCode = endCode + 1;
+        } else {
+            if (nextCode >= (1 << codeSize)) codeSize++;
+            table.set(key, nextCode++);
+        }
+        current = k;
+    }
+    emit(current);
+    emit(endCode);
+    if (bufferBits > 0) out.push(buffer & 0xff);
+
+    return new Uint8Array(out);
+}
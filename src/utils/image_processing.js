@@ -4,157 +4,498 @@
  */
 
 /**
- * Process line art image to create clean, gap-free boundaries
- * @param {HTMLImageElement} img - Source image
+ * Import settings a page is opened with (chosen in the import step, saved with the project)
+ */
+export const DEFAULT_LINE_ART_SETTINGS = {
+    threshold: 200,
+    dilationRadius: 0, // Keep lines thin
+    gaussianBlur: false,
+    edgeDetect: false,
+    removeBackground: true, // Even out tinted or unevenly lit scanned paper
+    photo: false,      // Convert a photograph with photoToLineArt instead
+    detail: 50         // Photo detail level, 0-100
+};
+
+const PHOTO_MAX_SIDE = 1600; // Photos are scaled down to this before converting
+
+/**
+ * Pixels of an image at its natural size (photos at most PHOTO_MAX_SIDE)
+ * @param {HTMLImageElement} img
+ * @param {boolean} [photo=false]
+ * @returns {ImageData}
+ */
+export function readImagePixels(img, photo = false) {
+    const naturalWidth = img.naturalWidth || img.width;
+    const naturalHeight = img.naturalHeight || img.height;
+    const scale = photo ? Math.min(1, PHOTO_MAX_SIDE / Math.max(naturalWidth, naturalHeight)) : 1;
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    canvas.width = Math.round(naturalWidth * scale);
+    canvas.height = Math.round(naturalHeight * scale);
+    ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+    return ctx.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+/**
+ * The line art pipeline on raw pixels; needs no DOM, so it also runs in workers and tests
+ * @param {ImageData|Object} imageData - { data: RGBA, width, height }; modified in place
  * @param {Object} options - Processing options
- * @returns {Object} - Processed line art data and dimensions
+ * @returns {Object} - { data: binary RGBA for boundaries, display: anti-aliased RGBA for showing, width, height }
  */
-export function processLineArt(img, options = {}) {
+export function lineArtFromImageData(imageData, options = {}) {
     const {
-        threshold = 200,      // Brightness threshold (0-255) for line detection
+        threshold = 200,      // Brightness threshold (0-255) for line detection; with edgeDetect, higher finds fainter edges
         dilationRadius = 2,   // How much to thicken lines (pixels)
         gaussianBlur = false, // Apply blur before processing
         edgeDetect = false,   // Use edge detection instead of threshold
+        removeBackground = false, // Whiten scanned paper first (see removePaperBackground)
+        photo = false,        // Turn a photograph into outlines (threshold and edgeDetect are ignored)
+        detail = 50,          // Photo detail level, 0-100
     } = options;
+    const { width, height } = imageData;
 
-    // Create canvas at image's natural size
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d', { willReadFrequently: true });
-    canvas.width = img.naturalWidth || img.width;
-    canvas.height = img.naturalHeight || img.height;
-
-    // Draw original image
-    ctx.drawImage(img, 0, 0);
+    // Transparent areas are paper, not lines
+    imageData = flattenOnWhite(imageData);
+    let display = null; // Anti-aliased version for showing
 
-    // Get image data
-    let imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-
-    // Step 1: Convert to grayscale
-    imageData = toGrayscale(imageData);
+    if (photo) {
+        // Optional Gaussian blur to reduce noise, then edges and color areas to outlines
+        if (gaussianBlur) {
+            imageData = applyGaussianBlur(imageData, width, height);
+        }
+        imageData = photoToLineArt(imageData, detail);
+    } else {
+        // Step 1: Convert to grayscale
+        imageData = toGrayscale(imageData);
+        if (removeBackground) {
+            imageData = removePaperBackground(imageData, width, height);
+        }
 
-    // Step 2: Optional Gaussian blur to reduce noise
-    if (gaussianBlur) {
-        imageData = applyGaussianBlur(imageData, canvas.width, canvas.height);
-    }
+        // Step 2: Optional Gaussian blur to reduce noise
+        if (gaussianBlur) {
+            imageData = applyGaussianBlur(imageData, width, height);
+        }
 
-    // Step 3: Threshold to binary (black lines on white)
-    if (edgeDetect) {
-        imageData = applySobelEdgeDetection(imageData, canvas.width, canvas.height);
+        // Step 3: Threshold to binary (black lines on white)
+        if (edgeDetect) {
+            imageData = applySobelEdgeDetection(imageData, width, height, 255 - threshold);
+        } else {
+            display = softenLines(imageData.data, threshold);
+            imageData = applyThreshold(imageData, threshold);
+        }
     }
-    imageData = applyThreshold(imageData, threshold);
 
     // Step 4: Dilate to thicken lines and close gaps
     if (dilationRadius > 0) {
-        imageData = applyDilation(imageData, canvas.width, canvas.height, dilationRadius);
+        imageData = applyDilation(imageData, width, height, dilationRadius);
+        if (display) applyGrayDilation(display, width, height, dilationRadius);
+    }
+
+    // Generated outlines have no source shading to keep; smooth their stair steps instead
+    if (!display) {
+        display = new Uint8ClampedArray(imageData.data);
+        applyLineSmoothing(display, width, height);
     }
 
     return {
         data: imageData.data,
-        width: canvas.width,
-        height: canvas.height
+        display,
+        width,
+        height
     };
 }
 
 /**
- * Create a high-quality line art image from source
- * Converts to pure binary (black=0, white=255) with NO gray values
- * Uses the SAME binary data for both display and boundary detection
- * @param {HTMLImageElement} img - Source image
- * @param {Object} options - Processing options
- * @returns {Object} - { dataURL: string, boundaryData: Uint8ClampedArray, width: number, height: number }
+ * Create a high-quality line art image from processed line art
+ * The displayed image keeps smooth anti-aliased edges; a pure binary version
+ * (black=0, white=255, NO gray values) drives boundary detection
+ * @param {Object} processed - lineArtFromImageData result
+ * @returns {Object} - { dataURL: string, displayData: Uint8ClampedArray, boundaryData: Uint8ClampedArray, width: number, height: number }
  */
-export function createHighQualityLineArt(img, options = {}) {
-    const {
-        threshold = 200,      // Brightness threshold: below = black line, above = white
-        dilationRadius = 1,   // Thicken lines to close tiny gaps
-    } = options;
-
-    const width = img.naturalWidth || img.width;
-    const height = img.naturalHeight || img.height;
+export function createHighQualityLineArt(processed) {
+    const { width, height } = processed;
 
-    // Create canvas at image's natural size
+    // Put the anti-aliased version on a canvas for display
     const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d', { willReadFrequently: true });
     canvas.width = width;
     canvas.height = height;
+    canvas.getContext('2d').putImageData(new ImageData(processed.display, width, height), 0, 0);
 
-    // Draw original image
-    ctx.drawImage(img, 0, 0);
+    return {
+        dataURL: canvas.toDataURL('image/png'),
+        displayData: processed.display,
+        boundaryData: new Uint8ClampedArray(processed.data),  // Copy of the binary data
+        width: width,
+        height: height
+    };
+}
 
-    // Get image data
-    const imageData = ctx.getImageData(0, 0, width, height);
-    const data = imageData.data;
 
-    // Step 1: Convert to pure binary (black or white only)
-    for (let i = 0; i < data.length; i += 4) {
-        // Calculate grayscale brightness
-        const brightness = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
 
-        // Pure binary: either 0 (black) or 255 (white)
-        const binary = brightness < threshold ? 0 : 255;
+/**
+ * Turn a photograph into coloring-page outlines, entirely in the browser:
+ * XDoG edges for shapes and features, plus the borders between flat color
+ * areas from a k-means quantization, with small specks dropped
+ * @param {ImageData} imageData - Photo pixels; replaced in place by black lines on white
+ * @param {number} [detail=50] - 0 (few bold shapes) to 100 (fine detail)
+ * @returns {ImageData}
+ */
+export function photoToLineArt(imageData, detail = 50) {
+    const { width, height, data } = imageData;
+    const d = Math.max(0, Math.min(100, detail)) / 100;
+    const lerp = (from, to) => from + (to - from) * d;
+    const size = width * height;
+
+    // Edges: difference of Gaussians on luminance, soft-thresholded (XDoG)
+    const gray = new Float32Array(size);
+    for (let i = 0, pos = 0; i < size; i++, pos += 4) {
+        gray[i] = (0.299 * data[pos] + 0.587 * data[pos + 1] + 0.114 * data[pos + 2]) / 255;
+    }
+    const sigma = lerp(2.5, 0.8);
+    const lines = xdogEdges(gray, width, height, sigma);
+
+    // Color areas: quantize a smoothed copy and outline where the color changes.
+    // Borders that only split a smooth gradient into bands are skipped.
+    const colors = Math.round(lerp(3, 12));
+    const rgb = blurRGB(data, width, height, sigma * 2);
+    const labels = quantizeColors(rgb, width, height, colors);
+    majorityFilter(labels, width, height, Math.round(lerp(3, 1)));
+    const minContrast = lerp(60, 25) ** 2;
+    const contrast = (a, b) => (rgb[0][a] - rgb[0][b]) ** 2 + (rgb[1][a] - rgb[1][b]) ** 2 + (rgb[2][a] - rgb[2][b]) ** 2;
+    for (let y = 2; y < height - 2; y++) {
+        for (let x = 2; x < width - 2; x++) {
+            const i = y * width + x;
+            if ((labels[i] !== labels[i + 1] && contrast(i - 2, i + 2) >= minContrast) ||
+                (labels[i] !== labels[i + width] && contrast(i - 2 * width, i + 2 * width) >= minContrast)) {
+                lines[i] = 1;
+            }
+        }
+    }
 
-        data[i] = binary;
-        data[i + 1] = binary;
-        data[i + 2] = binary;
-        data[i + 3] = 255; // Full opacity
+    // Specks: line fragments too small to be part of a shape
+    removeSpeckles(lines, width, height, Math.round(size * lerp(0.0004, 0.00002)));
+
+    for (let i = 0, pos = 0; i < size; i++, pos += 4) {
+        const value = lines[i] ? 0 : 255;
+        data[pos] = value;
+        data[pos + 1] = value;
+        data[pos + 2] = value;
+        data[pos + 3] = 255;
     }
+    return imageData;
+}
 
-    // Step 2: Dilate black pixels to thicken lines and close gaps
-    if (dilationRadius > 0) {
-        const output = new Uint8ClampedArray(data.length);
-        output.set(data);
-
-        // Create circular kernel offsets
-        const kernel = [];
-        for (let dy = -dilationRadius; dy <= dilationRadius; dy++) {
-            for (let dx = -dilationRadius; dx <= dilationRadius; dx++) {
-                if (dx * dx + dy * dy <= dilationRadius * dilationRadius) {
-                    kernel.push({ dx, dy });
-                }
+/**
+ * Extended difference of Gaussians: dark where luminance falls off across an edge
+ * @param {Float32Array} gray - Luminance, 0-1
+ * @returns {Uint8Array} - 1 for line pixels
+ */
+function xdogEdges(gray, width, height, sigma) {
+    const TAU = 0.98; // Weight of the wider blur; below 1 keeps flat areas white
+    const EPSILON = -0.004;
+    const PHI = 200;
+
+    const narrow = gaussianBlurChannel(gray, width, height, sigma);
+    const wide = gaussianBlurChannel(gray, width, height, sigma * 1.6);
+    const lines = new Uint8Array(gray.length);
+    for (let i = 0; i < gray.length; i++) {
+        const dog = narrow[i] - TAU * wide[i];
+        const value = dog >= EPSILON ? 1 : 1 + Math.tanh(PHI * (dog - EPSILON));
+        if (value < 0.5) lines[i] = 1;
+    }
+    return lines;
+}
+
+/**
+ * Approximate Gaussian blur of one channel: three box blurs, each split into rows and columns
+ * @returns {Float32Array}
+ */
+function gaussianBlurChannel(src, width, height, sigma) {
+    // Box width whose three passes match the Gaussian's variance
+    const radius = Math.max(1, Math.round((Math.sqrt(4 * sigma * sigma + 1) - 1) / 2));
+    let a = Float32Array.from(src);
+    let b = new Float32Array(src.length);
+    for (let pass = 0; pass < 3; pass++) {
+        boxBlurLine(a, b, width, height, radius, 1, width);
+        boxBlurLine(b, a, height, width, radius, width, 1);
+    }
+    return a;
+}
+
+/**
+ * Running-sum box blur along one axis, clamping at the edges
+ * @param {number} length - Pixels per line
+ * @param {number} lines - Number of lines
+ * @param {number} step - Index distance between neighbors along a line
+ * @param {number} lineStep - Index distance between the starts of lines
+ */
+function boxBlurLine(src, dst, length, lines, radius, step, lineStep) {
+    const span = radius * 2 + 1;
+    for (let line = 0; line < lines; line++) {
+        const start = line * lineStep;
+        const at = (i) => src[start + Math.max(0, Math.min(length - 1, i)) * step];
+        let sum = 0;
+        for (let i = -radius; i <= radius; i++) sum += at(i);
+        for (let i = 0; i < length; i++) {
+            dst[start + i * step] = sum / span;
+            sum += at(i + radius + 1) - at(i - radius);
+        }
+    }
+}
+
+/**
+ * @returns {Float32Array[]} - Blurred R, G and B channels
+ */
+function blurRGB(data, width, height, sigma) {
+    return [0, 1, 2].map(c => {
+        const channel = new Float32Array(width * height);
+        for (let i = 0; i < channel.length; i++) channel[i] = data[i * 4 + c];
+        return gaussianBlurChannel(channel, width, height, sigma);
+    });
+}
+
+/**
+ * K-means color quantization on a sample of pixels
+ * @param {Float32Array[]} rgb - Channels to quantize
+ * @returns {Uint8Array} - Cluster index per pixel
+ */
+function quantizeColors(rgb, width, height, count) {
+    const [r, g, b] = rgb;
+    const size = width * height;
+    const stride = Math.max(1, Math.floor(size / 20000));
+
+    // Start from samples spread evenly through the brightness range
+    const samples = [];
+    for (let i = 0; i < size; i += stride) samples.push(i);
+    const byBrightness = samples.slice().sort((p, q) => (r[p] + g[p] + b[p]) - (r[q] + g[q] + b[q]));
+    const centers = [];
+    for (let k = 0; k < count; k++) {
+        const i = byBrightness[Math.floor((k + 0.5) * byBrightness.length / count)];
+        centers.push([r[i], g[i], b[i]]);
+    }
+
+    const nearest = (i) => {
+        let best = 0;
+        let bestDist = Infinity;
+        for (let k = 0; k < centers.length; k++) {
+            const [cr, cg, cb] = centers[k];
+            const dist = (r[i] - cr) ** 2 + (g[i] - cg) ** 2 + (b[i] - cb) ** 2;
+            if (dist < bestDist) {
+                bestDist = dist;
+                best = k;
             }
         }
+        return best;
+    };
+
+    for (let iteration = 0; iteration < 8; iteration++) {
+        const sums = centers.map(() => [0, 0, 0, 0]);
+        samples.forEach(i => {
+            const s = sums[nearest(i)];
+            s[0] += r[i];
+            s[1] += g[i];
+            s[2] += b[i];
+            s[3]++;
+        });
+        sums.forEach((s, k) => {
+            if (s[3]) centers[k] = [s[0] / s[3], s[1] / s[3], s[2] / s[3]];
+        });
+    }
+
+    const labels = new Uint8Array(size);
+    for (let i = 0; i < size; i++) labels[i] = nearest(i);
+    return labels;
+}
 
-        // Dilate: if any pixel in the original is black, spread it to neighbors
+/**
+ * Replace each label with the most common one around it, smoothing ragged area borders
+ */
+function majorityFilter(labels, width, height, passes) {
+    const counts = new Uint16Array(256);
+    let src = labels;
+    for (let pass = 0; pass < passes; pass++) {
+        const out = new Uint8Array(src.length);
         for (let y = 0; y < height; y++) {
             for (let x = 0; x < width; x++) {
-                const idx = (y * width + x) * 4;
-
-                // If this pixel is black in original
-                if (data[idx] === 0) {
-                    // Make all neighbors black in output
-                    for (const { dx, dy } of kernel) {
-                        const nx = x + dx;
-                        const ny = y + dy;
-                        if (nx >= 0 && nx < width && ny >= 0 && ny < height) {
-                            const nIdx = (ny * width + nx) * 4;
-                            output[nIdx] = 0;
-                            output[nIdx + 1] = 0;
-                            output[nIdx + 2] = 0;
+                let best = src[y * width + x];
+                let bestCount = 0;
+                for (let dy = -1; dy <= 1; dy++) {
+                    const ny = Math.max(0, Math.min(height - 1, y + dy));
+                    for (let dx = -1; dx <= 1; dx++) {
+                        const nx = Math.max(0, Math.min(width - 1, x + dx));
+                        const label = src[ny * width + nx];
+                        if (++counts[label] > bestCount) {
+                            bestCount = counts[label];
+                            best = label;
                         }
                     }
                 }
+                out[y * width + x] = best;
+                for (let dy = -1; dy <= 1; dy++) {
+                    const ny = Math.max(0, Math.min(height - 1, y + dy));
+                    for (let dx = -1; dx <= 1; dx++) {
+                        counts[src[ny * width + Math.max(0, Math.min(width - 1, x + dx))]] = 0;
+                    }
+                }
             }
         }
+        src = out;
+    }
+    labels.set(src);
+}
 
-        // Copy back
-        for (let i = 0; i < data.length; i++) {
-            data[i] = output[i];
+/**
+ * Clear connected groups of line pixels (8-neighbor) smaller than minSize, in place
+ */
+function removeSpeckles(lines, width, height, minSize) {
+    if (minSize <= 1) return;
+    const seen = new Uint8Array(lines.length);
+    const stack = [];
+    const group = [];
+
+    for (let start = 0; start < lines.length; start++) {
+        if (!lines[start] || seen[start]) continue;
+        group.length = 0;
+        stack.push(start);
+        seen[start] = 1;
+        while (stack.length) {
+            const i = stack.pop();
+            group.push(i);
+            const x = i % width;
+            const y = (i - x) / width;
+            for (let dy = -1; dy <= 1; dy++) {
+                const ny = y + dy;
+                if (ny < 0 || ny >= height) continue;
+                for (let dx = -1; dx <= 1; dx++) {
+                    const nx = x + dx;
+                    if (nx < 0 || nx >= width) continue;
+                    const n = ny * width + nx;
+                    if (lines[n] && !seen[n]) {
+                        seen[n] = 1;
+                        stack.push(n);
+                    }
+                }
+            }
         }
+        if (group.length < minSize) group.forEach(i => { lines[i] = 0; });
     }
+}
 
-    // Put processed data back to canvas
-    ctx.putImageData(imageData, 0, 0);
+/**
+ * Composite onto white paper and make every pixel opaque, so alpha counts as line coverage
+ * (a half-transparent black edge becomes mid gray, a transparent background white)
+ */
+export function flattenOnWhite(imageData) {
+    const data = imageData.data;
+    for (let i = 0; i < data.length; i += 4) {
+        const alpha = data[i + 3] / 255;
+        if (alpha === 1) continue;
+        data[i] = data[i] * alpha + 255 * (1 - alpha);
+        data[i + 1] = data[i + 1] * alpha + 255 * (1 - alpha);
+        data[i + 2] = data[i + 2] * alpha + 255 * (1 - alpha);
+        data[i + 3] = 255;
+    }
+    return imageData;
+}
 
-    // Return the SAME binary data for both display and boundary detection
-    return {
-        dataURL: canvas.toDataURL('image/png'),
-        boundaryData: new Uint8ClampedArray(data),  // Copy of the binary data
-        width: width,
-        height: height
-    };
+/**
+ * Scanned paper: estimate the paper brightness across the page (flat tint or uneven
+ * lighting) and divide it out, so the paper turns white and lines keep their contrast.
+ * Pages whose paper is already white, or that are mostly dark, are left alone.
+ * @param {ImageData} imageData - Grayscale (R = G = B)
+ */
+export function removePaperBackground(imageData, width, height) {
+    const data = imageData.data;
+    const block = Math.max(16, Math.round(Math.max(width, height) / 48));
+    const cols = Math.ceil(width / block);
+    const rows = Math.ceil(height / block);
+
+    // Paper brightness per block: a bright percentile, since lines are a dark minority
+    const grid = new Float32Array(cols * rows);
+    const histogram = new Uint32Array(256);
+    for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
+            histogram.fill(0);
+            let count = 0;
+            for (let y = row * block; y < Math.min(height, (row + 1) * block); y++) {
+                for (let x = col * block; x < Math.min(width, (col + 1) * block); x++) {
+                    histogram[data[(y * width + x) * 4]]++;
+                    count++;
+                }
+            }
+            let seen = 0;
+            let value = 255;
+            while (value > 0 && (seen += histogram[value]) < count * 0.1) value--;
+            grid[row * cols + col] = value;
+        }
+    }
+
+    // Mostly dark pages have no paper to find
+    const median = Float32Array.from(grid).sort()[grid.length >> 1];
+    if (median < 96) return imageData;
+
+    // Blocks covered by a dark shape borrow their brightest neighbor, then everything is smoothed
+    const paper = smoothGrid(maxFilterGrid(grid, cols, rows), cols, rows);
+    if (paper.every(value => value >= 250)) return imageData; // Already white
+
+    for (let y = 0; y < height; y++) {
+        // Bilinear lookup between block centers
+        const gy = Math.max(0, Math.min(rows - 1, (y + 0.5) / block - 0.5));
+        const row0 = Math.floor(gy);
+        const row1 = Math.min(rows - 1, row0 + 1);
+        const fy = gy - row0;
+        for (let x = 0; x < width; x++) {
+            const gx = Math.max(0, Math.min(cols - 1, (x + 0.5) / block - 0.5));
+            const col0 = Math.floor(gx);
+            const col1 = Math.min(cols - 1, col0 + 1);
+            const fx = gx - col0;
+            const background =
+                (paper[row0 * cols + col0] * (1 - fx) + paper[row0 * cols + col1] * fx) * (1 - fy) +
+                (paper[row1 * cols + col0] * (1 - fx) + paper[row1 * cols + col1] * fx) * fy;
+
+            const idx = (y * width + x) * 4;
+            const value = Math.min(255, data[idx] * 255 / Math.max(1, background));
+            data[idx] = value;
+            data[idx + 1] = value;
+            data[idx + 2] = value;
+        }
+    }
+    return imageData;
 }
 
+function maxFilterGrid(grid, cols, rows) {
+    const out = new Float32Array(grid.length);
+    for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
+            let max = 0;
+            for (let r = Math.max(0, row - 1); r <= Math.min(rows - 1, row + 1); r++) {
+                for (let c = Math.max(0, col - 1); c <= Math.min(cols - 1, col + 1); c++) {
+                    max = Math.max(max, grid[r * cols + c]);
+                }
+            }
+            out[row * cols + col] = max;
+        }
+    }
+    return out;
+}
 
+function smoothGrid(grid, cols, rows) {
+    const out = new Float32Array(grid.length);
+    for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
+            let sum = 0;
+            let count = 0;
+            for (let r = Math.max(0, row - 1); r <= Math.min(rows - 1, row + 1); r++) {
+                for (let c = Math.max(0, col - 1); c <= Math.min(cols - 1, col + 1); c++) {
+                    sum += grid[r * cols + c];
+                    count++;
+                }
+            }
+            out[row * cols + col] = sum / count;
+        }
+    }
+    return out;
+}
 
 /**
  * Convert image to grayscale
@@ -182,10 +523,62 @@ function applyThreshold(imageData, threshold) {
         data[i] = binary;
         data[i + 1] = binary;
         data[i + 2] = binary;
+        data[i + 3] = 255; // Full opacity
     }
     return imageData;
 }
 
+/**
+ * Anti-aliased display tones for threshold mode: a contrast ramp centered on the threshold,
+ * so pixels that become lines show at most mid gray, paper shows white, and edges keep
+ * their shading instead of stair-stepping
+ * @param {Uint8ClampedArray} data - Grayscale RGBA
+ * @returns {Uint8ClampedArray} - New RGBA
+ */
+function softenLines(data, threshold) {
+    const spread = Math.max(1, Math.min(48, threshold, 255 - threshold));
+    const low = threshold - spread;
+    const output = new Uint8ClampedArray(data.length);
+    for (let i = 0; i < data.length; i += 4) {
+        const tone = Math.max(0, Math.min(255, (data[i] - low) * 255 / (2 * spread)));
+        output[i] = tone;
+        output[i + 1] = tone;
+        output[i + 2] = tone;
+        output[i + 3] = 255;
+    }
+    return output;
+}
+
+/**
+ * Grayscale dilation of dark lines (minimum over a circular kernel), in place.
+ * Thickens the display tones the same way applyDilation thickens the binary lines.
+ */
+function applyGrayDilation(data, width, height, radius) {
+    const source = new Uint8ClampedArray(data);
+    const kernel = [];
+    for (let dy = -radius; dy <= radius; dy++) {
+        for (let dx = -radius; dx <= radius; dx++) {
+            if (dx * dx + dy * dy <= radius * radius) kernel.push({ dx, dy });
+        }
+    }
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let min = 255;
+            for (const { dx, dy } of kernel) {
+                const nx = x + dx;
+                const ny = y + dy;
+                if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+                min = Math.min(min, source[(ny * width + nx) * 4]);
+            }
+            const idx = (y * width + x) * 4;
+            data[idx] = min;
+            data[idx + 1] = min;
+            data[idx + 2] = min;
+        }
+    }
+}
+
 /**
  * Morphological dilation - thickens dark lines
  * Uses a circular structuring element
@@ -240,8 +633,9 @@ function applyDilation(imageData, width, height, radius) {
 
 /**
  * Sobel edge detection - finds edges in the image
+ * @param {number} [minMagnitude=50] - Gradient strength that counts as an edge (lower finds fainter edges)
  */
-function applySobelEdgeDetection(imageData, width, height) {
+function applySobelEdgeDetection(imageData, width, height, minMagnitude = 50) {
     const data = imageData.data;
     const output = new Uint8ClampedArray(data.length);
 
@@ -282,7 +676,7 @@ function applySobelEdgeDetection(imageData, width, height) {
             const idx = (y * width + x) * 4;
 
             // Invert: edges become black
-            const edge = magnitude > 50 ? 0 : 255;
+            const edge = magnitude > minMagnitude ? 0 : 255;
             output[idx] = edge;
             output[idx + 1] = edge;
             output[idx + 2] = edge;
@@ -0,0 +1,219 @@
+import { hexToRgb, rgbToHex, normalizeHex } from './color_utils';
+
+/**
+ * Palette File Formats
+ * Reads and writes palettes as GIMP .gpl, Adobe .ase and plain JSON.
+ * A palette is { name: string, colors: string[] } with "#rrggbb" colors.
+ */
+
+/**
+ * Parse any supported palette file
+ * @param {string} fileName - Used to pick the format by extension
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {Object[]} - Palettes found in the file
+ */
+export function parsePaletteFile(fileName, buffer) {
+    const ext = fileName.split('.').pop().toLowerCase();
+    const baseName = fileName.replace(/\.[^.]+$/, '');
+
+    if (ext === 'ase') return parseASE(buffer, baseName);
+
+    const text = new TextDecoder().decode(buffer);
+    if (ext === 'gpl') return [parseGPL(text, baseName)];
+    if (ext === 'json') return parseJSON(text, baseName);
+    throw new Error(`Unsupported palette file: .${ext}`);
+}
+
+// GIMP (.gpl)
+
+export function parseGPL(text, fallbackName = 'Imported') {
+    const lines = text.split(/\r?\n/);
+    if (!/^GIMP Palette/.test(lines[0])) throw new Error('Not a GIMP palette');
+
+    let name = fallbackName;
+    const colors = [];
+    lines.slice(1).forEach(line => {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.startsWith('#')) return;
+
+        const header = trimmed.match(/^Name:\s*(.*)$/);
+        if (header) {
+            name = header[1] || name;
+            return;
+        }
+        if (/^Columns:/.test(trimmed)) return;
+
+        const rgb = trimmed.split(/\s+/).slice(0, 3).map(Number);
+        if (rgb.length === 3 && rgb.every(c => Number.isFinite(c))) colors.push(rgbToHex(rgb));
+    });
+
+    return { name, colors };
+}
+
+export function toGPL(palette) {
+    const rows = palette.colors.map(hex => {
+        const rgb = hexToRgb(hex).map(c => String(c).padStart(3, ' '));
+        return `${rgb.join(' ')}\t${hex}`;
+    });
+    return ['GIMP Palette', `Name: ${palette.name}`, 'Columns: 6', '#', ...rows, ''].join('\n');
+}
+
+// Adobe Swatch Exchange (.ase)
+
+const ASE_GROUP_START = 0xC001;
+const ASE_GROUP_END = 0xC002;
+const ASE_COLOR = 0x0001;
+
+/**
+ * Swatches outside a group go into a palette named after the file,
+ * each group becomes its own palette.
+ */
+export function parseASE(buffer, fallbackName = 'Imported') {
+    const view = new DataView(buffer);
+    if (view.byteLength < 12 || readAscii(view, 0, 4) !== 'ASEF') throw new Error('Not an ASE file');
+
+    const blockCount = view.getUint32(8);
+    const loose = { name: fallbackName, colors: [] };
+    const palettes = [];
+    let current = loose;
+    let offset = 12;
+
+    for (let i = 0; i < blockCount && offset + 6 <= view.byteLength; i++) {
+        const type = view.getUint16(offset);
+        const length = view.getUint32(offset + 2);
+        const start = offset + 6;
+        offset = start + length;
+
+        if (type === ASE_GROUP_START) {
+            current = { name: readUtf16(view, start).text || fallbackName, colors: [] };
+            palettes.push(current);
+        } else if (type === ASE_GROUP_END) {
+            current = loose;
+        } else if (type === ASE_COLOR) {
+            const { end } = readUtf16(view, start);
+            const model = readAscii(view, end, 4).trim().toUpperCase();
+            const hex = aseColorToHex(view, end + 4, model);
+            if (hex) current.colors.push(hex);
+        }
+    }
+
+    if (loose.colors.length > 0) palettes.unshift(loose);
+    return palettes.filter(p => p.colors.length > 0);
+}
+
+export function toASE(palette) {
+    const blocks = [];
+    blocks.push(aseBlock(ASE_GROUP_START, utf16Bytes(palette.name)));
+    palette.colors.forEach(hex => {
+        const values = new DataView(new ArrayBuffer(4 + 12 + 2));
+        'RGB '.split('').forEach((c, i) => values.setUint8(i, c.charCodeAt(0)));
+        hexToRgb(hex).forEach((c, i) => values.setFloat32(4 + i * 4, c / 255));
+        values.setUint16(16, 2); // Normal (not global / spot) color
+        blocks.push(aseBlock(ASE_COLOR, concatBytes([utf16Bytes(hex), new Uint8Array(values.buffer)])));
+    });
+    blocks.push(aseBlock(ASE_GROUP_END, new Uint8Array(0)));
+
+    const header = new DataView(new ArrayBuffer(12));
+    'ASEF'.split('').forEach((c, i) => header.setUint8(i, c.charCodeAt(0)));
+    header.setUint16(4, 1); // Version 1.0
+    header.setUint16(6, 0);
+    header.setUint32(8, blocks.length);
+
+    return concatBytes([new Uint8Array(header.buffer), ...blocks]).buffer;
+}
+
+function aseColorToHex(view, offset, model) {
+    const f = (i) => view.getFloat32(offset + i * 4);
+    if (model === 'RGB') return rgbToHex([f(0) * 255, f(1) * 255, f(2) * 255]);
+    if (model === 'GRAY') return rgbToHex([f(0) * 255, f(0) * 255, f(0) * 255]);
+    if (model === 'CMYK') {
+        const k = f(3);
+        return rgbToHex([0, 1, 2].map(i => 255 * (1 - f(i)) * (1 - k)));
+    }
+    if (model === 'LAB') return rgbToHex(labToRgb(f(0) * 100, f(1), f(2)));
+    return null;
+}
+
+/**
+ * CIE L*a*b* (D50, as Adobe stores it) to sRGB
+ */
+function labToRgb(l, a, b) {
+    const fy = (l + 16) / 116;
+    const fx = fy + a / 500;
+    const fz = fy - b / 200;
+    const inv = (t) => (t ** 3 > 0.008856 ? t ** 3 : (t - 16 / 116) / 7.787);
+    const [x, y, z] = [0.96422 * inv(fx), inv(fy), 0.82521 * inv(fz)];
+
+    // Bradford-adapted D50 XYZ to linear sRGB
+    const linear = [
+        3.1338561 * x - 1.6168667 * y - 0.4906146 * z,
+        -0.9787684 * x + 1.9161415 * y + 0.0334540 * z,
+        0.0719453 * x - 0.2289914 * y + 1.4052427 * z
+    ];
+    return linear.map(c => {
+        const v = c <= 0.0031308 ? 12.92 * c : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+        return v * 255;
+    });
+}
+
+function aseBlock(type, body) {
+    const head = new DataView(new ArrayBuffer(6));
+    head.setUint16(0, type);
+    head.setUint32(2, body.length);
+    return concatBytes([new Uint8Array(head.buffer), body]);
+}
+
+/**
+ * ASE string: UTF-16 length (including the terminator), big-endian code units, then 0
+ */
+function utf16Bytes(text) {
+    const view = new DataView(new ArrayBuffer(2 + (text.length + 1) * 2));
+    view.setUint16(0, text.length + 1);
+    for (let i = 0; i < text.length; i++) view.setUint16(2 + i * 2, text.charCodeAt(i));
+    return new Uint8Array(view.buffer);
+}
+
+function readUtf16(view, offset) {
+    const count = view.getUint16(offset);
+    let text = '';
+    for (let i = 0; i < count; i++) {
+        const code = view.getUint16(offset + 2 + i * 2);
+        if (code) text += String.fromCharCode(code);
+    }
+    return { text, end: offset + 2 + count * 2 };
+}
+
+function readAscii(view, offset, length) {
+    let text = '';
+    for (let i = 0; i < length; i++) text += String.fromCharCode(view.getUint8(offset + i));
+    return text;
+}
+
+function concatBytes(parts) {
+    const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+    let offset = 0;
+    parts.forEach(p => {
+        out.set(p, offset);
+        offset += p.length;
+    });
+    return out;
+}
+
+// JSON
+
+/**
+ * Accepts { name, colors }, an array of those, or { palettes: [...] }
+ */
+export function parseJSON(text, fallbackName = 'Imported') {
+    const data = JSON.parse(text);
+    const list = Array.isArray(data) ? data : (Array.isArray(data.palettes) ? data.palettes : [data]);
+
+    return list.map((p, i) => ({
+        name: typeof p.name === 'string' && p.name ? p.name : (list.length > 1 ? `${fallbackName} ${i + 1}` : fallbackName),
+        colors: (Array.isArray(p.colors) ? p.colors : []).map(normalizeHex).filter(Boolean)
+    })).filter(p => p.colors.length > 0);
+}
+
+export function toJSON(palette) {
+    return JSON.stringify({ name: palette.name, colors: palette.colors }, null, 2);
+}
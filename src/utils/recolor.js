@@ -0,0 +1,76 @@
+/**
+ * Recolor Module
+ * Page-wide color commands: swap one color for another, and find the
+ * regions nobody has colored yet.
+ */
+
+/**
+ * Replace every pixel within tolerance of a color, in place.
+ * Alpha is kept, so soft brush edges stay soft in the new color.
+ * @param {Uint8ClampedArray} pixels - RGBA pixels of a layer
+ * @param {number} width
+ * @param {Object} options
+ * @param {number[]} options.fromRGB - Color to replace
+ * @param {number[]} options.toRGB - Replacement color
+ * @param {number} [options.tolerance=32] - Max per-channel difference
+ * @param {Uint8Array} [options.lineMask] - 1 = line pixel; line pixels are left alone
+ * @returns {Object|null} - { x, y, width, height, count } of the changed pixels, or null if none changed
+ */
+export function replaceColorPixels(pixels, width, options) {
+    const { fromRGB, toRGB, tolerance = 32, lineMask = null } = options;
+    const [fromR, fromG, fromB] = fromRGB;
+    const [toR, toG, toB] = toRGB;
+
+    let minX = width, minY = Infinity, maxX = -1, maxY = -1;
+    let count = 0;
+
+    for (let i = 0, pos = 0; pos < pixels.length; i++, pos += 4) {
+        if (pixels[pos + 3] === 0 || (lineMask && lineMask[i])) continue;
+        if (Math.abs(pixels[pos] - fromR) > tolerance ||
+            Math.abs(pixels[pos + 1] - fromG) > tolerance ||
+            Math.abs(pixels[pos + 2] - fromB) > tolerance) continue;
+        if (pixels[pos] === toR && pixels[pos + 1] === toG && pixels[pos + 2] === toB) continue;
+
+        pixels[pos] = toR;
+        pixels[pos + 1] = toG;
+        pixels[pos + 2] = toB;
+        count++;
+
+        const x = i % width;
+        const y = (i / width) | 0;
+        if (x < minX) minX = x;
+        if (x > maxX) maxX = x;
+        if (y < minY) minY = y;
+        if (y > maxY) maxY = y;
+    }
+
+    if (!count) return null;
+    return { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1, count };
+}
+
+/**
+ * Regions that are still (almost) entirely white on the flattened page
+ * @param {Object} regionMap - createRegionMap result
+ * @param {Uint8ClampedArray} compositeData - RGBA pixels of all layers flattened on white
+ * @param {Object} [options]
+ * @param {number} [options.whiteThreshold=245] - Channels at or above this count as white
+ * @param {number} [options.maxPainted=0.005] - Fraction of colored pixels still treated as stray (e.g. a neighbour's soft edge)
+ * @returns {number[]} - Region ids
+ */
+export function findUntouchedRegions(regionMap, compositeData, options = {}) {
+    const { whiteThreshold = 245, maxPainted = 0.005 } = options;
+    const { labels, softEdges, regions } = regionMap;
+    const painted = new Uint32Array(regions.length + 1);
+
+    for (let i = 0, pos = 0; i < labels.length; i++, pos += 4) {
+        const id = labels[i];
+        if (!id || (softEdges && softEdges[i])) continue; // Under a line, where neighbours' paint may reach
+        if (compositeData[pos] < whiteThreshold ||
+            compositeData[pos + 1] < whiteThreshold ||
+            compositeData[pos + 2] < whiteThreshold) painted[id]++;
+    }
+
+    return regions
+        .filter(r => painted[r.id] <= r.area * maxPainted)
+        .map(r => r.id);
+}
@@ -0,0 +1,193 @@
+import { closeGaps, growFrontier, SOFT_EDGE_PASSES } from './flood_fill';
+
+/**
+ * Region Map Module
+ * Labels every enclosed area of the line art once, so fills and
+ * region queries become lookups instead of per-click searches.
+ */
+
+/**
+ * Label the connected (4-neighbour) non-line areas of a boundary mask.
+ * With gapSize > 0 regions are found on the gap-closed mask, then grown
+ * back over the sealed band so they reach the real lines.
+ * With a softMask, regions also take in the anti-aliased line edges next to them.
+ * @param {Uint8Array} lineMask - 1 = line pixel
+ * @param {number} width
+ * @param {number} height
+ * @param {Object} options - { gapSize, closedMask, softMask }
+ * @returns {Object} - { labels: Int32Array (0 = line / unassigned, else region id), softEdges: Uint8Array|null (1 = line edge taken in by a region), regions, width, height }
+ */
+export function createRegionMap(lineMask, width, height, options = {}) {
+    const { gapSize = 0, softMask = null } = options;
+    const searchMask = gapSize > 0 ? (options.closedMask || closeGaps(lineMask, width, height, gapSize)) : lineMask;
+
+    const labels = new Int32Array(width * height);
+    const regions = [];
+    const stack = [];
+
+    // Pass 1: scanline-label each open area
+    for (let start = 0; start < labels.length; start++) {
+        if (labels[start] || searchMask[start]) continue;
+
+        const id = regions.length + 1;
+        stack.push(start);
+
+        while (stack.length > 0) {
+            const idx = stack.pop();
+            if (labels[idx] || searchMask[idx]) continue;
+
+            const y = (idx / width) | 0;
+            const rowStart = y * width;
+            let left = idx - rowStart;
+            let right = left;
+            while (left > 0 && !labels[rowStart + left - 1] && !searchMask[rowStart + left - 1]) left--;
+            while (right < width - 1 && !labels[rowStart + right + 1] && !searchMask[rowStart + right + 1]) right++;
+
+            labels.fill(id, rowStart + left, rowStart + right + 1);
+
+            for (const ny of [y - 1, y + 1]) {
+                if (ny < 0 || ny >= height) continue;
+                const nRowStart = ny * width;
+                let inRun = false;
+                for (let x = left; x <= right; x++) {
+                    const open = !labels[nRowStart + x] && !searchMask[nRowStart + x];
+                    if (open && !inRun) stack.push(nRowStart + x);
+                    inRun = open;
+                }
+            }
+        }
+
+        regions.push({ id });
+    }
+
+    // Breadth-first growth of every region at once into pixels that qualify. The queue starts
+    // with the region pixels on an unlabeled edge and keeps what each pass takes, so later
+    // passes start from the grown edge without rescanning the page
+    let queue = null;
+    let queued = 0;
+    const grow = (canTake, passes, walls = null) => {
+        if (!queue) {
+            queue = new Int32Array(labels.length);
+            for (let idx = 0; idx < labels.length; idx++) {
+                if (!labels[idx]) continue;
+                const x = idx % width;
+                if ((x > 0 && !labels[idx - 1]) || (x < width - 1 && !labels[idx + 1]) ||
+                    (idx >= width && !labels[idx - width]) || (idx < labels.length - width && !labels[idx + width])) {
+                    queue[queued++] = idx;
+                }
+            }
+        }
+
+        queued = growFrontier(queue, queued, passes, width, height, (from, to) => {
+            if (labels[to] || !canTake(to)) return false;
+            labels[to] = labels[from];
+            return true;
+        }, walls);
+    };
+
+    // Pass 2: hand the sealed band back to its nearest region (breadth-first from region edges),
+    // all of it: the tips of sharp corners lie farther than the gap from any open area
+    if (searchMask !== lineMask) {
+        grow((n) => !lineMask[n], Infinity, lineMask);
+    }
+
+    // Pass 2b: reach under the soft edges of the lines, so paint meets them without a halo
+    let softEdges = null;
+    if (softMask) {
+        const before = queued;
+        grow((n) => softMask[n], SOFT_EDGE_PASSES);
+        softEdges = new Uint8Array(labels.length);
+        for (let i = before; i < queued; i++) softEdges[queue[i]] = 1;
+    }
+
+    // Pass 3: per-region stats
+    regions.forEach(r => {
+        r.area = 0;
+        r.minX = width; r.minY = height; r.maxX = -1; r.maxY = -1;
+        r.sumX = 0; r.sumY = 0;
+        r.touchesBorder = false;
+    });
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const id = labels[y * width + x];
+            if (!id) continue;
+            const r = regions[id - 1];
+            r.area++;
+            r.sumX += x;
+            r.sumY += y;
+            if (x < r.minX) r.minX = x;
+            if (x > r.maxX) r.maxX = x;
+            if (y < r.minY) r.minY = y;
+            if (y > r.maxY) r.maxY = y;
+            if (x === 0 || y === 0 || x === width - 1 || y === height - 1) r.touchesBorder = true;
+        }
+    }
+
+    regions.forEach(r => {
+        r.centroid = { x: r.sumX / r.area, y: r.sumY / r.area };
+        delete r.sumX;
+        delete r.sumY;
+    });
+
+    return { labels, softEdges, regions, width, height };
+}
+
+/**
+ * Region id under a canvas point (0 = line or outside the page)
+ */
+export function regionIdAt(regionMap, x, y) {
+    const ix = Math.floor(x);
+    const iy = Math.floor(y);
+    if (!regionMap || ix < 0 || iy < 0 || ix >= regionMap.width || iy >= regionMap.height) return 0;
+    return regionMap.labels[iy * regionMap.width + ix];
+}
+
+/**
+ * Region id at or near a canvas point: points on a line snap to the
+ * closest region within maxDistance pixels
+ */
+export function regionIdNear(regionMap, x, y, maxDistance = 0) {
+    const id = regionIdAt(regionMap, x, y);
+    if (id || !regionMap) return id;
+
+    let best = 0;
+    let bestDist = Infinity;
+    const r = Math.ceil(maxDistance);
+    for (let dy = -r; dy <= r; dy++) {
+        for (let dx = -r; dx <= r; dx++) {
+            const d = dx * dx + dy * dy;
+            if (d > maxDistance * maxDistance || d >= bestDist) continue;
+            const n = regionIdAt(regionMap, x + dx, y + dy);
+            if (n) {
+                best = n;
+                bestDist = d;
+            }
+        }
+    }
+    return best;
+}
+
+/**
+ * Bounding-box-cropped mask of one region
+ * @returns {Object|null} - { x, y, width, height, mask: Uint8Array (1 = inside) }
+ */
+export function createRegionMask(regionMap, regionId) {
+    const region = regionMap && regionMap.regions[regionId - 1];
+    if (!region) return null;
+
+    const { labels } = regionMap;
+    const x = region.minX, y = region.minY;
+    const width = region.maxX - region.minX + 1;
+    const height = region.maxY - region.minY + 1;
+    const mask = new Uint8Array(width * height);
+
+    for (let row = 0; row < height; row++) {
+        const labelRow = (y + row) * regionMap.width + x;
+        for (let col = 0; col < width; col++) {
+            if (labels[labelRow + col] === regionId) mask[row * width + col] = 1;
+        }
+    }
+
+    return { x, y, width, height, mask };
+}
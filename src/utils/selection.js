@@ -0,0 +1,123 @@
+/**
+ * Selection Module
+ * Selections use the region mask format: { x, y, width, height, mask },
+ * a bounding-box-cropped Uint8Array where non-zero means selected.
+ */
+
+/**
+ * Rectangle between two corners, clipped to the page
+ * @returns {Object|null} - Selection, or null if nothing of it is on the page
+ */
+export function rectSelection(x1, y1, x2, y2, pageWidth, pageHeight) {
+    const x = Math.max(0, Math.floor(Math.min(x1, x2)));
+    const y = Math.max(0, Math.floor(Math.min(y1, y2)));
+    const width = Math.min(pageWidth, Math.ceil(Math.max(x1, x2))) - x;
+    const height = Math.min(pageHeight, Math.ceil(Math.max(y1, y2))) - y;
+    if (width <= 0 || height <= 0) return null;
+    return { x, y, width, height, mask: new Uint8Array(width * height).fill(1) };
+}
+
+/**
+ * Freehand outline, closed back to its first point and filled (nonzero rule)
+ * @param {Object[]} points - { x, y } in page pixels
+ * @returns {Object|null} - Selection, or null if the outline encloses nothing
+ */
+export function lassoSelection(points, pageWidth, pageHeight) {
+    if (points.length < 3) return null;
+    const xs = points.map(p => p.x);
+    const ys = points.map(p => p.y);
+    const bounds = rectSelection(Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys), pageWidth, pageHeight);
+    if (!bounds) return null;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = bounds.width;
+    canvas.height = bounds.height;
+    const ctx = canvas.getContext('2d');
+    ctx.translate(-bounds.x, -bounds.y);
+    ctx.beginPath();
+    points.forEach(p => ctx.lineTo(p.x, p.y));
+    ctx.closePath();
+    ctx.fill();
+
+    return selectionFromAlpha(canvas, bounds.x, bounds.y);
+}
+
+/**
+ * Selection from a canvas's alpha channel (at least half opaque counts), trimmed to what is selected
+ * @param {HTMLCanvasElement} canvas - Placed at x, y on the page
+ * @returns {Object|null}
+ */
+export function selectionFromAlpha(canvas, x, y) {
+    const { width, height } = canvas;
+    if (!width || !height) return null;
+    const data = canvas.getContext('2d').getImageData(0, 0, width, height).data;
+
+    let minX = width, minY = height, maxX = -1, maxY = -1;
+    for (let row = 0; row < height; row++) {
+        for (let col = 0; col < width; col++) {
+            if (data[(row * width + col) * 4 + 3] < 128) continue;
+            if (col < minX) minX = col;
+            if (col > maxX) maxX = col;
+            if (row < minY) minY = row;
+            if (row > maxY) maxY = row;
+        }
+    }
+    if (maxX < 0) return null;
+
+    const w = maxX - minX + 1;
+    const h = maxY - minY + 1;
+    const mask = new Uint8Array(w * h);
+    for (let row = 0; row < h; row++) {
+        for (let col = 0; col < w; col++) {
+            if (data[((row + minY) * width + col + minX) * 4 + 3] >= 128) mask[row * w + col] = 1;
+        }
+    }
+    return { x: x + minX, y: y + minY, width: w, height: h, mask };
+}
+
+export function selectionContains(selection, x, y) {
+    const col = Math.floor(x) - selection.x;
+    const row = Math.floor(y) - selection.y;
+    if (col < 0 || row < 0 || col >= selection.width || row >= selection.height) return false;
+    return selection.mask[row * selection.width + col] !== 0;
+}
+
+/**
+ * Copy of a region mask with everything outside the selection dropped
+ * @param {Object} region - Region-format mask
+ * @returns {Object|null} - Region-format mask, or null if nothing is left
+ */
+export function intersectSelection(region, selection) {
+    const mask = new Uint8Array(region.mask.length);
+    let count = 0;
+    for (let row = 0; row < region.height; row++) {
+        for (let col = 0; col < region.width; col++) {
+            const i = row * region.width + col;
+            if (region.mask[i] && selectionContains(selection, region.x + col, region.y + row)) {
+                mask[i] = 1;
+                count++;
+            }
+        }
+    }
+    if (!count) return null;
+    return { ...region, mask, count };
+}
+
+/**
+ * Undo every change outside the selection, in place
+ * @param {ImageData} before - Pixels before painting
+ * @param {ImageData} after - Pixels after painting (same size as before), placed at x, y on the page
+ */
+export function restoreOutsideSelection(selection, before, after, x, y) {
+    const { width, height } = after;
+    for (let row = 0; row < height; row++) {
+        for (let col = 0; col < width; col++) {
+            if (selectionContains(selection, x + col, y + row)) continue;
+            const pos = (row * width + col) * 4;
+            after.data[pos] = before.data[pos];
+            after.data[pos + 1] = before.data[pos + 1];
+            after.data[pos + 2] = before.data[pos + 2];
+            after.data[pos + 3] = before.data[pos + 3];
+        }
+    }
+}
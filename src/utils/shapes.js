@@ -0,0 +1,104 @@
+/**
+ * Shapes Module
+ * Geometry for the line, rectangle and ellipse tools, drawn on a canvas
+ * when committed and as SVG for the rubber-band preview.
+ */
+
+export const SHAPE_TOOLS = ['line', 'rect', 'ellipse'];
+
+/**
+ * Shape spanned by a drag
+ * @param {string} type - 'line' | 'rect' | 'ellipse'
+ * @param {Object} start - { x, y } in page pixels
+ * @param {Object} end - { x, y } in page pixels
+ * @param {boolean} [constrain=false] - Lines snap to 45°, rectangles and ellipses become squares and circles
+ * @returns {Object} - { type, x1, y1, x2, y2 }
+ */
+export function shapeFromDrag(type, start, end, constrain = false) {
+    let { x, y } = end;
+
+    if (constrain) {
+        const dx = x - start.x;
+        const dy = y - start.y;
+        if (type === 'line') {
+            const step = Math.PI / 4;
+            const angle = Math.round(Math.atan2(dy, dx) / step) * step;
+            const length = Math.hypot(dx, dy);
+            x = start.x + Math.cos(angle) * length;
+            y = start.y + Math.sin(angle) * length;
+        } else {
+            const side = Math.max(Math.abs(dx), Math.abs(dy));
+            x = start.x + (dx < 0 ? -side : side);
+            y = start.y + (dy < 0 ? -side : side);
+        }
+    }
+
+    return { type, x1: start.x, y1: start.y, x2: x, y2: y };
+}
+
+/**
+ * Build the shape's path on a context (the caller strokes or fills it)
+ */
+export function traceShape(ctx, shape) {
+    const { type, x1, y1, x2, y2 } = shape;
+    ctx.beginPath();
+
+    if (type === 'line') {
+        ctx.moveTo(x1, y1);
+        ctx.lineTo(x2, y2);
+    } else if (type === 'rect') {
+        ctx.rect(Math.min(x1, x2), Math.min(y1, y2), Math.abs(x2 - x1), Math.abs(y2 - y1));
+    } else {
+        ctx.ellipse((x1 + x2) / 2, (y1 + y2) / 2, Math.abs(x2 - x1) / 2, Math.abs(y2 - y1) / 2, 0, 0, Math.PI * 2);
+    }
+}
+
+/**
+ * Stroke or fill a shape with round joins and caps
+ * @param {Object} style - { color, width, filled } (lines are always stroked)
+ */
+export function drawShape(ctx, shape, style) {
+    traceShape(ctx, shape);
+    if (style.filled && shape.type !== 'line') {
+        ctx.fillStyle = style.color;
+        ctx.fill();
+        return;
+    }
+    ctx.strokeStyle = style.color;
+    ctx.lineWidth = style.width;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    ctx.stroke();
+}
+
+/**
+ * Page-pixel box the drawn shape can touch
+ * @returns {Object} - { minX, minY, maxX, maxY }
+ */
+export function shapeBounds(shape, width) {
+    const pad = width / 2 + 1;
+    return {
+        minX: Math.min(shape.x1, shape.x2) - pad,
+        minY: Math.min(shape.y1, shape.y2) - pad,
+        maxX: Math.max(shape.x1, shape.x2) + pad,
+        maxY: Math.max(shape.y1, shape.y2) + pad
+    };
+}
+
+/**
+ * SVG element for the rubber-band preview, in page coordinates
+ * @param {Object} style - { color, width, filled }
+ * @returns {string}
+ */
+export function shapeToSVG(shape, style) {
+    const { type, x1, y1, x2, y2 } = shape;
+    const paint = style.filled && type !== 'line'
+        ? `fill="${style.color}" stroke="none"`
+        : `fill="none" stroke="${style.color}" stroke-width="${style.width}" stroke-linecap="round" stroke-linejoin="round"`;
+
+    if (type === 'line') return `<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" ${paint}/>`;
+    if (type === 'rect') {
+        return `<rect x="${Math.min(x1, x2)}" y="${Math.min(y1, y2)}" width="${Math.abs(x2 - x1)}" height="${Math.abs(y2 - y1)}" ${paint}/>`;
+    }
+    return `<ellipse cx="${(x1 + x2) / 2}" cy="${(y1 + y2) / 2}" rx="${Math.abs(x2 - x1) / 2}" ry="${Math.abs(y2 - y1) / 2}" ${paint}/>`;
+}
@@ -0,0 +1,44 @@
+/**
+ * Stickers Module
+ * Bundled images for the stamp tool (served from public/stickers).
+ */
+
+export const STICKERS = {
+    star: { label: 'Star', url: '/stickers/star.svg' },
+    heart: { label: 'Heart', url: '/stickers/heart.svg' },
+    leaf: { label: 'Leaf', url: '/stickers/leaf.svg' },
+    flower: { label: 'Flower', url: '/stickers/flower.svg' },
+    sun: { label: 'Sun', url: '/stickers/sun.svg' }
+};
+
+const loaded = new Map(); // name -> Promise<HTMLImageElement>
+
+/**
+ * Load a sticker image once and reuse it
+ * @param {string} name - Key of STICKERS
+ * @returns {Promise<HTMLImageElement>}
+ */
+export function loadSticker(name) {
+    if (!loaded.has(name)) {
+        loaded.set(name, new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = () => {
+                loaded.delete(name); // Let a later attempt retry
+                reject(new Error(`Sticker failed to load: ${name}`));
+            };
+            img.src = STICKERS[name].url;
+        }));
+    }
+    return loaded.get(name);
+}
+
+/**
+ * Width and height of a sticker drawn with its longest side at `size`
+ */
+export function stickerSize(image, size) {
+    const w = image.naturalWidth || 1;
+    const h = image.naturalHeight || 1;
+    const scale = size / Math.max(w, h);
+    return { width: w * scale, height: h * scale };
+}
@@ -0,0 +1,60 @@
+/**
+ * Symmetry Module
+ * Mirror and rotation transforms for symmetric drawing. Matrices use the
+ * canvas convention [a, b, c, d, e, f]: x' = a*x + c*y + e, y' = b*x + d*y + f.
+ */
+
+export const SYMMETRY_TYPES = ['off', 'vertical', 'horizontal', 'radial'];
+
+/**
+ * Every painted copy of a point, the original first
+ * @param {Object} symmetry - { type, folds, center: { x, y } }
+ * @returns {number[][]} - Matrices
+ */
+export function symmetryMatrices(symmetry) {
+    const { type, folds = 6, center } = symmetry;
+    const identity = [1, 0, 0, 1, 0, 0];
+    if (!center || type === 'off') return [identity];
+
+    const { x: cx, y: cy } = center;
+    if (type === 'vertical') return [identity, [-1, 0, 0, 1, 2 * cx, 0]];   // Mirror across the vertical axis
+    if (type === 'horizontal') return [identity, [1, 0, 0, -1, 0, 2 * cy]]; // Mirror across the horizontal axis
+
+    // Radial: rotations about the center
+    const n = Math.max(2, Math.round(folds));
+    const matrices = [];
+    for (let k = 0; k < n; k++) {
+        const angle = (k * 2 * Math.PI) / n;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        matrices.push([cos, sin, -sin, cos, cx - cos * cx + sin * cy, cy - sin * cx - cos * cy]);
+    }
+    return matrices;
+}
+
+export function applyMatrix([a, b, c, d, e, f], point) {
+    return { x: a * point.x + c * point.y + e, y: b * point.x + d * point.y + f };
+}
+
+/**
+ * Axis segments to draw as guides, clipped to the page
+ * @returns {Object[]} - { x1, y1, x2, y2 }
+ */
+export function symmetryAxes(symmetry, width, height) {
+    const { type, folds = 6, center } = symmetry;
+    if (!center || type === 'off') return [];
+
+    const { x: cx, y: cy } = center;
+    if (type === 'vertical') return [{ x1: cx, y1: 0, x2: cx, y2: height }];
+    if (type === 'horizontal') return [{ x1: 0, y1: cy, x2: width, y2: cy }];
+
+    // Radial: one ray per fold, long enough to leave the page from anywhere
+    const n = Math.max(2, Math.round(folds));
+    const length = Math.hypot(width, height);
+    const axes = [];
+    for (let k = 0; k < n; k++) {
+        const angle = -Math.PI / 2 + (k * 2 * Math.PI) / n;
+        axes.push({ x1: cx, y1: cy, x2: cx + Math.cos(angle) * length, y2: cy + Math.sin(angle) * length });
+    }
+    return axes;
+}
@@ -0,0 +1,97 @@
+import { scanlineFill, closeGaps } from '../utils/flood_fill';
+import { createRegionMap } from '../utils/region_map';
+
+/**
+ * Flood Fill Worker
+ * Keeps the line boundary mask and runs scanline fills and
+ * region labeling off the main thread.
+ *
+ * Messages in:
+ *   { type: 'boundaries', lineMask, softMask, width, height }
+ *   { type: 'fill', id, bitmap | pixels, startX, startY, fillRGB, tolerance, gapSize }
+ *   { type: 'regions', id, gapSize }
+ * Messages out:
+ *   { id, result } - scanlineFill / createRegionMap result (mask or labels buffer transferred)
+ */
+
+let lineMask = null;
+let softMask = null; // Anti-aliased line edges fills may reach under
+let width = 0;
+let height = 0;
+let closedMasks = new Map(); // gapSize -> gap-closed boundary mask
+let scratch = null; // OffscreenCanvas for decoding ImageBitmaps
+
+const readPixels = (msg) => {
+    if (msg.pixels) return msg.pixels;
+
+    if (!scratch || scratch.width !== width || scratch.height !== height) {
+        scratch = new OffscreenCanvas(width, height);
+    }
+    const ctx = scratch.getContext('2d', { willReadFrequently: true });
+    ctx.clearRect(0, 0, width, height);
+    ctx.drawImage(msg.bitmap, 0, 0);
+    msg.bitmap.close();
+    return ctx.getImageData(0, 0, width, height).data;
+};
+
+const getClosedMask = (gapSize) => {
+    if (!gapSize) return null;
+    if (!closedMasks.has(gapSize)) {
+        closedMasks.set(gapSize, closeGaps(lineMask, width, height, gapSize));
+    }
+    return closedMasks.get(gapSize);
+};
+
+self.onmessage = (e) => {
+    const msg = e.data;
+
+    if (msg.type === 'boundaries') {
+        lineMask = msg.lineMask;
+        softMask = msg.softMask || null;
+        width = msg.width;
+        height = msg.height;
+        closedMasks = new Map();
+        return;
+    }
+
+    if (msg.type === 'fill') {
+        let result = null;
+        try {
+            if (lineMask) {
+                result = scanlineFill({
+                    pixels: readPixels(msg),
+                    lineMask,
+                    softMask,
+                    width,
+                    height,
+                    startX: msg.startX,
+                    startY: msg.startY,
+                    fillRGB: msg.fillRGB,
+                    tolerance: msg.tolerance,
+                    gapSize: msg.gapSize,
+                    closedMask: getClosedMask(msg.gapSize)
+                });
+            }
+        } catch (err) {
+            console.error('Fill worker error:', err);
+        }
+        self.postMessage({ id: msg.id, result }, result ? [result.mask.buffer] : []);
+        return;
+    }
+
+    if (msg.type === 'regions') {
+        let result = null;
+        try {
+            if (lineMask) {
+                result = createRegionMap(lineMask, width, height, {
+                    gapSize: msg.gapSize,
+                    closedMask: getClosedMask(msg.gapSize),
+                    softMask
+                });
+            }
+        } catch (err) {
+            console.error('Region labeling error:', err);
+        }
+        self.postMessage({ id: msg.id, result }, result ? [result.labels.buffer] : []);
+    }
+};
@@ -0,0 +1,25 @@
+import { lineArtFromImageData } from '../utils/image_processing';
+
+/**
+ * Line Art Worker
+ * Turns picked pages into line art off the main thread
+ * (converting a photo takes seconds).
+ *
+ * Messages in:
+ *   { type: 'process', id, pixels, width, height, options } - pixels: RGBA, transferred
+ * Messages out:
+ *   { id, result } - lineArtFromImageData result (data and display buffers transferred), or null on error
+ */
+
+self.onmessage = (e) => {
+    const msg = e.data;
+    if (msg.type !== 'process') return;
+
+    let result = null;
+    try {
+        result = lineArtFromImageData({ data: msg.pixels, width: msg.width, height: msg.height }, msg.options);
+    } catch (err) {
+        console.error('Line art worker error:', err);
+    }
+    self.postMessage({ id: msg.id, result }, result ? [result.data.buffer, result.display.buffer] : []);
+};
@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import { regionColorCoverage } from '../src/utils/color_by_number';
+import { createRegionMap } from '../src/utils/region_map';
+
+describe('regionColorCoverage', () => {
+    // Two 10x10 regions side by side, split by a line at x = 10
+    const width = 21, height = 10;
+    const lineMask = new Uint8Array(width * height);
+    for (let y = 0; y < height; y++) lineMask[y * width + 10] = 1;
+    const regionMap = createRegionMap(lineMask, width, height);
+    const rect = { x: 0, y: 0, width, height };
+    const red = [230, 57, 70];
+
+    const paint = (predicate) => {
+        const data = new Uint8ClampedArray(width * height * 4).fill(255);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (!predicate(x, y)) continue;
+                data.set(red, (y * width + x) * 4);
+            }
+        }
+        return { data, width, height };
+    };
+
+    it('measures the share of a region in its target color', () => {
+        const coverage = regionColorCoverage(regionMap, paint((x) => x < 5), rect, new Map([[1, red], [2, red]]));
+        expect(coverage.get(1)).toBe(0.5);
+        expect(coverage.get(2)).toBe(0);
+    });
+
+    it('does not count a dab on one spot as progress', () => {
+        const coverage = regionColorCoverage(regionMap, paint((x, y) => x === 5 && y === 5), rect, new Map([[1, red]]));
+        expect(coverage.get(1)).toBe(0.01);
+    });
+
+    it('accepts slightly varied strokes within tolerance', () => {
+        const image = paint((x) => x < 10);
+        for (let i = 0; i < image.data.length; i += 8) image.data[i] -= 20; // Grainy texture
+        const coverage = regionColorCoverage(regionMap, image, rect, new Map([[1, red]]));
+        expect(coverage.get(1)).toBe(1);
+    });
+});
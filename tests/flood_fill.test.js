@@ -0,0 +1,105 @@
+import { describe, it, expect } from 'vitest';
+import { scanlineFill } from '../src/utils/flood_fill';
+import { createRegionMap } from '../src/utils/region_map';
+
+/**
+ * Page of solid line with open rectangles cut out
+ * @param {number[][]} holes - [x, y, width, height]
+ */
+const page = (width, height, holes) => {
+    const lineMask = new Uint8Array(width * height).fill(1);
+    holes.forEach(([hx, hy, hw, hh]) => {
+        for (let y = hy; y < hy + hh; y++) lineMask.fill(0, y * width + hx, y * width + hx + hw);
+    });
+    return { lineMask, width, height, pixels: new Uint8ClampedArray(width * height * 4).fill(255) };
+};
+
+/**
+ * Square room split corner to corner by a 1 px diagonal line, into two acute-cornered halves
+ */
+const splitRoom = (size) => {
+    const width = size + 4;
+    const room = page(width, width, [[2, 2, size, size]]);
+    for (let i = 2; i < size + 2; i++) room.lineMask[i * width + i] = 1;
+    return room;
+};
+
+const fill = ({ lineMask, width, height, pixels }, startX, startY, gapSize) => scanlineFill({
+    pixels, lineMask, width, height, startX, startY, fillRGB: [255, 0, 0], gapSize
+});
+
+describe('scanlineFill gap closing', () => {
+    // A 4 px corridor, 38 px long
+    const corridor = page(60, 20, [[10, 8, 38, 4]]);
+
+    it('fills a corridor narrower than the gap against the real lines', () => {
+        expect(fill(corridor, 20, 9, 0).count).toBe(152);
+        expect(fill(corridor, 20, 9, 1).count).toBe(152);
+        expect(fill(corridor, 20, 9, 2).count).toBe(152);
+        expect(fill(corridor, 20, 9, 4).count).toBe(152);
+    });
+
+    it('grows back into the corners of the sealed band', () => {
+        const room = page(40, 40, [[5, 5, 30, 30]]);
+        [0, 1, 2, 3].forEach(gapSize => {
+            expect(fill(room, 6, 6, gapSize).count).toBe(900);
+        });
+    });
+
+    it('fills the sharp tips of an acute corner', () => {
+        const room = splitRoom(60);
+        [0, 1, 3, 5].forEach(gapSize => {
+            expect(fill(room, 40, 20, gapSize).count).toBe(1770);
+            expect(fill(room, 20, 40, gapSize).count).toBe(1770);
+        });
+    });
+
+    it('still stops at a gap narrower than the closing', () => {
+        // Two rooms joined by a 2 px doorway through a 2 px wall
+        const rooms = page(50, 30, [[5, 5, 18, 20], [25, 5, 18, 20], [23, 14, 2, 2]]);
+        expect(fill(rooms, 10, 10, 0).count).toBe(2 * 360 + 4);
+
+        const sealed = fill(rooms, 10, 10, 2);
+        expect(sealed.x + sealed.width).toBeLessThanOrEqual(25);
+    });
+});
+
+describe('createRegionMap gap closing', () => {
+    it('hands the whole sealed band back, corners included', () => {
+        const { lineMask, width, height } = page(40, 40, [[5, 5, 30, 30]]);
+        const map = createRegionMap(lineMask, width, height, { gapSize: 2 });
+        expect(map.regions).toHaveLength(1);
+        expect(map.regions[0].area).toBe(900);
+    });
+
+    it('labels the sharp tips of an acute corner', () => {
+        const { lineMask, width, height } = splitRoom(60);
+        const map = createRegionMap(lineMask, width, height, { gapSize: 3 });
+        expect(map.regions.map(r => r.area)).toEqual([1770, 1770]);
+    });
+});
+
+describe('soft line edges', () => {
+    // Two rooms split by a 4 px wall whose outer columns are anti-aliased
+    const width = 40, height = 20;
+    const { lineMask, pixels } = page(width, height, [[2, 2, 16, 16], [22, 2, 16, 16]]);
+    const softMask = new Uint8Array(width * height);
+    for (let y = 2; y < 18; y++) {
+        softMask[y * width + 18] = 1;
+        softMask[y * width + 21] = 1;
+    }
+
+    it('fills reach under the soft edge but not through the wall', () => {
+        const region = scanlineFill({ pixels, lineMask, softMask, width, height, startX: 5, startY: 5, fillRGB: [255, 0, 0] });
+        expect(region.count).toBe(16 * 16 + 16);
+        expect(region.x + region.width).toBe(19);
+    });
+
+    it('regions take in the soft edge on their side', () => {
+        const map = createRegionMap(lineMask, width, height, { softMask });
+        expect(map.regions.map(r => r.area)).toEqual([16 * 16 + 16, 16 * 16 + 16]);
+        expect(map.labels[5 * width + 18]).toBe(map.labels[5 * width + 5]);
+        expect(map.softEdges[5 * width + 18]).toBe(1);
+        expect(map.softEdges[5 * width + 5]).toBe(0);
+    });
+});
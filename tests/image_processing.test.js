@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'fs';
+import { PNG } from 'pngjs';
+import { lineArtFromImageData, flattenOnWhite, DEFAULT_LINE_ART_SETTINGS } from '../src/utils/image_processing';
+import { createLineMask } from '../src/utils/flood_fill';
+
+const loadFixture = (name) => {
+    const png = PNG.sync.read(readFileSync(new URL(`./fixtures/${name}`, import.meta.url)));
+    return { data: new Uint8ClampedArray(png.data), width: png.width, height: png.height };
+};
+
+const lineMaskOf = (name, options = {}) => {
+    const result = lineArtFromImageData(loadFixture(name), { ...DEFAULT_LINE_ART_SETTINGS, ...options });
+    return { mask: createLineMask(result.data), width: result.width, height: result.height };
+};
+
+/**
+ * Compare a binary mask with the drawn shape: every pixel on the shape's core must be
+ * a line, and no pixel more than one pixel away from the shape may be
+ * @param {Function} shapeAt - (x, y) => 2 on the shape's core, 1 on its soft edge, 0 off it
+ */
+const expectLinesAt = ({ mask, width, height }, shapeAt) => {
+    const nearShape = (x, y) => {
+        for (let dy = -1; dy <= 1; dy++) {
+            for (let dx = -1; dx <= 1; dx++) {
+                if (shapeAt(x + dx, y + dy)) return true;
+            }
+        }
+        return false;
+    };
+
+    const missing = [];
+    const stray = [];
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const line = mask[y * width + x] === 1;
+            if (shapeAt(x, y) === 2 && !line) missing.push([x, y]);
+            if (line && !nearShape(x, y)) stray.push([x, y]);
+        }
+    }
+    expect(missing).toEqual([]);
+    expect(stray).toEqual([]);
+};
+
+// outline-transparent.png: black ring around (48, 48), radius 30, 3 px wide, on a transparent background
+const ringAt = (x, y) => {
+    const offset = Math.abs(Math.hypot(x + 0.5 - 48, y + 0.5 - 48) - 30);
+    return offset <= 0.75 ? 2 : offset <= 2.25 ? 1 : 0;
+};
+
+// The scans: a square outline from 16 to 79 (inclusive), 2 px wide
+const squareAt = (x, y) => x >= 16 && x <= 79 && y >= 16 && y <= 79 &&
+    (x <= 17 || x >= 78 || y <= 17 || y >= 78) ? 2 : 0;
+
+const countLines = ({ mask }) => mask.reduce((sum, v) => sum + v, 0);
+
+describe('flattenOnWhite', () => {
+    it('turns transparent pixels white and partial alpha into gray coverage', () => {
+        const imageData = {
+            data: new Uint8ClampedArray([0, 0, 0, 0, 0, 0, 0, 128, 0, 0, 0, 255, 200, 100, 50, 255]),
+            width: 4,
+            height: 1
+        };
+        flattenOnWhite(imageData);
+        expect(Array.from(imageData.data)).toEqual([255, 255, 255, 255, 127, 127, 127, 255, 0, 0, 0, 255, 200, 100, 50, 255]);
+    });
+});
+
+describe('line art from sample images', () => {
+    it('keeps only the outline of a transparent-background drawing', () => {
+        expectLinesAt(lineMaskOf('outline-transparent.png'), ringAt);
+    });
+
+    it('whitens a flat tinted scan', () => {
+        const withTint = lineMaskOf('tinted-scan.png', { removeBackground: false });
+        expect(countLines(withTint)).toBe(withTint.width * withTint.height); // The tint alone passes as line
+
+        expectLinesAt(lineMaskOf('tinted-scan.png'), squareAt);
+    });
+
+    it('evens out a scan lit from one side', () => {
+        const shaded = lineMaskOf('gradient-scan.png', { removeBackground: false });
+        expect(shaded.mask[48 * shaded.width + 90]).toBe(1); // Shadowed paper passes as line
+
+        expectLinesAt(lineMaskOf('gradient-scan.png'), squareAt);
+    });
+});
@@ -0,0 +1,27 @@
+import { describe, it, expect, vi } from 'vitest';
+import { LineArtService } from '../src/services/line_art_service';
+import { DEFAULT_LINE_ART_SETTINGS } from '../src/utils/image_processing';
+
+describe('LineArtService', () => {
+    it('processes on the main thread when workers are unavailable, leaving the source alone', async () => {
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const service = new LineArtService();
+        expect(service.worker).toBeNull();
+
+        // Gray square on white
+        const width = 8, height = 8;
+        const data = new Uint8ClampedArray(width * height * 4).fill(255);
+        for (let i = 0; i < data.length; i += 4) {
+            const x = (i / 4) % width, y = Math.floor(i / 4 / width);
+            if (x >= 2 && x < 6 && y >= 2 && y < 6) data.fill(40, i, i + 3);
+        }
+        const source = { data, width, height };
+        const before = new Uint8ClampedArray(data);
+
+        const result = await service.process(source, { ...DEFAULT_LINE_ART_SETTINGS, removeBackground: false });
+        expect(result.width).toBe(width);
+        expect(result.data[(3 * width + 3) * 4]).toBe(0);
+        expect(result.data[0]).toBe(255);
+        expect(data).toEqual(before);
+    });
+});
@@ -0,0 +1,107 @@
+import { describe, it, expect } from 'vitest';
+import { parsePaletteFile, parseASE, toASE, parseGPL, toGPL, parseJSON, toJSON } from '../src/utils/palette_formats';
+
+const palette = { name: 'Sunset Ünïcode', colors: ['#ff5733', '#000000', '#ffffff', '#1a2b3c', '#808080'] };
+
+/**
+ * ASE file from [type, body bytes] blocks
+ */
+const aseFile = (blocks) => {
+    const parts = blocks.map(([type, body]) => {
+        const block = new DataView(new ArrayBuffer(6 + body.length));
+        block.setUint16(0, type);
+        block.setUint32(2, body.length);
+        new Uint8Array(block.buffer).set(body, 6);
+        return new Uint8Array(block.buffer);
+    });
+    const out = new Uint8Array(12 + parts.reduce((sum, p) => sum + p.length, 0));
+    const header = new DataView(out.buffer);
+    [...'ASEF'].forEach((c, i) => header.setUint8(i, c.charCodeAt(0)));
+    header.setUint16(4, 1);
+    header.setUint32(8, blocks.length);
+    let offset = 12;
+    parts.forEach(p => {
+        out.set(p, offset);
+        offset += p.length;
+    });
+    return out.buffer;
+};
+
+const aseName = (text) => {
+    const view = new DataView(new ArrayBuffer(2 + (text.length + 1) * 2));
+    view.setUint16(0, text.length + 1);
+    [...text].forEach((c, i) => view.setUint16(2 + i * 2, c.charCodeAt(0)));
+    return new Uint8Array(view.buffer);
+};
+
+const aseColor = (name, model, values) => {
+    const view = new DataView(new ArrayBuffer(4 + values.length * 4 + 2));
+    [...model.padEnd(4)].forEach((c, i) => view.setUint8(i, c.charCodeAt(0)));
+    values.forEach((v, i) => view.setFloat32(4 + i * 4, v));
+    view.setUint16(4 + values.length * 4, 2);
+    const nameBytes = aseName(name);
+    const body = new Uint8Array(nameBytes.length + view.byteLength);
+    body.set(nameBytes);
+    body.set(new Uint8Array(view.buffer), nameBytes.length);
+    return [0x0001, body];
+};
+
+describe('palette file round trips', () => {
+    it('ASE', () => {
+        expect(parseASE(toASE(palette))).toEqual([palette]);
+    });
+
+    it('GPL', () => {
+        expect(parseGPL(toGPL(palette))).toEqual(palette);
+    });
+
+    it('JSON', () => {
+        expect(parseJSON(toJSON(palette))).toEqual([palette]);
+    });
+
+    it('picks the format by file extension', () => {
+        const gpl = new TextEncoder().encode(toGPL(palette)).buffer;
+        expect(parsePaletteFile('sunset.GPL', gpl)).toEqual([palette]);
+        expect(parsePaletteFile('sunset.ase', toASE(palette))).toEqual([palette]);
+        expect(() => parsePaletteFile('sunset.aco', gpl)).toThrow('Unsupported palette file');
+    });
+});
+
+describe('parseASE', () => {
+    it('reads loose swatches and CMYK / gray swatches in groups', () => {
+        const buffer = aseFile([
+            aseColor('Sky', 'RGB', [0, 0.5, 1]),
+            [0xC001, aseName('Print')],
+            aseColor('Red', 'CMYK', [0, 1, 1, 0]),
+            aseColor('Dark gray', 'CMYK', [0, 0, 0, 0.75]),
+            aseColor('Mid gray', 'Gray', [0.5]),
+            [0xC002, new Uint8Array(0)]
+        ]);
+
+        expect(parseASE(buffer, 'swatches')).toEqual([
+            { name: 'swatches', colors: ['#0080ff'] },
+            { name: 'Print', colors: ['#ff0000', '#404040', '#808080'] }
+        ]);
+    });
+
+    it('rejects files without the ASE signature', () => {
+        expect(() => parseASE(new TextEncoder().encode('GIMP Palette\n').buffer)).toThrow('Not an ASE file');
+    });
+});
+
+describe('parseGPL', () => {
+    it('skips comments and headers and falls back to the file name', () => {
+        const text = 'GIMP Palette\r\nColumns: 4\r\n# A comment\r\n255   0   0\tRed\r\n  0 128 255\r\n\r\n';
+        expect(parseGPL(text, 'file')).toEqual({ name: 'file', colors: ['#ff0000', '#0080ff'] });
+    });
+});
+
+describe('parseJSON', () => {
+    it('accepts a list of palettes and drops invalid colors', () => {
+        const text = JSON.stringify({ palettes: [{ colors: ['F80', 'nope', '#00ff00'] }, { name: 'Empty', colors: ['x'] }, { colors: ['#123456'] }] });
+        expect(parseJSON(text, 'mine')).toEqual([
+            { name: 'mine 1', colors: ['#ff8800', '#00ff00'] },
+            { name: 'mine 3', colors: ['#123456'] }
+        ]);
+    });
+});
@@ -0,0 +1,35 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+
+const storage = new Map();
+globalThis.localStorage = {
+    getItem: (key) => storage.has(key) ? storage.get(key) : null,
+    setItem: (key, value) => storage.set(key, String(value)),
+    removeItem: (key) => storage.delete(key)
+};
+
+const { PaletteStore, DEFAULT_PALETTES } = await import('../src/services/palette_store');
+
+describe('PaletteStore.load', () => {
+    beforeEach(() => storage.clear());
+
+    it('starts with the built-in palettes', () => {
+        PaletteStore.load();
+        expect(PaletteStore.palettes.map(p => p.name)).toEqual(DEFAULT_PALETTES.map(p => p.name));
+    });
+
+    it('drops malformed saved palettes and colors', () => {
+        storage.set('vibe_coloring_palettes', JSON.stringify([
+            { id: 'palette-1', name: 'Good', colors: ['#AABBCC', 'red', 12, '#abc'] },
+            { id: 'palette-2', name: 'No colors' },
+            null,
+            'text',
+            { id: 'palette-3', name: 'Empty', colors: [] }
+        ]));
+        PaletteStore.load();
+        expect(PaletteStore.palettes).toEqual([
+            { id: 'palette-1', name: 'Good', colors: ['#aabbcc', '#aabbcc'] },
+            { id: 'palette-3', name: 'Empty', colors: [] }
+        ]);
+        expect(PaletteStore.nextId).toBe(4);
+    });
+});
@@ -5,5 +5,9 @@ export default {
     outDir: '../build',
     emptyOutDir: true,
   },
-  publicDir: '../public'
+  publicDir: '../public',
+  test: {
+    root: '.',
+    include: ['tests/**/*.test.js'],
+  }
 }